@@ -0,0 +1,121 @@
+import config from 'config';
+import debug from 'debug';
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import { AuthTokens } from './db.js';
+import { hashSecret } from './sessions.js';
+import { sendMail, appLink } from './mailer.js';
+
+const debugTokens = debug('app:core:authTokens');
+const { emailVerificationExpiresInHours, passwordResetExpiresInMinutes } =
+  config.get('auth');
+
+/**
+ * How long each kind of token can be used for, in milliseconds.
+ */
+const tokenLifetimes = {
+  'verify-email': emailVerificationExpiresInHours * 60 * 60 * 1000,
+  'reset-password': passwordResetExpiresInMinutes * 60 * 1000,
+};
+
+/**
+ * Issue a single-use token, that lets a user verify their email
+ * or reset their password. Only the hash of the token is stored.
+ * Any earlier tokens of the same kind are cancelled.
+ * @param {any} user
+ * @param {'verify-email'|'reset-password'} purpose
+ * @returns {Promise<string>} token, of the form "<userId>.<tokenId>.<secret>"
+ */
+export async function issueAuthToken(user, purpose) {
+  await revokeAuthTokens(user.userId, purpose);
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const authToken = {
+    id: nanoid(),
+    userId: user.userId,
+    email: user.email,
+    purpose,
+    tokenHash: hashSecret(secret),
+    createdOn: now,
+    expiresOn: new Date(now.getTime() + tokenLifetimes[purpose]),
+  };
+  await AuthTokens.add(authToken);
+  debugTokens(`Token ${authToken.id} issued to ${user.userId} to ${purpose}.`);
+  return `${user.userId}.${authToken.id}.${secret}`;
+}
+
+/**
+ * Check a token and use it up, so that it cannot be used again.
+ * @param {string} token
+ * @param {'verify-email'|'reset-password'} purpose
+ * @returns {Promise<any>} the token's data (userId, email),
+ *  or null if the token is not valid
+ */
+export async function redeemAuthToken(token, purpose) {
+  const [userId, tokenId, secret] = (token || '').split('.');
+  if (!userId || !tokenId || !secret) {
+    return null;
+  }
+
+  const authToken = await AuthTokens.getById(userId, tokenId);
+  if (
+    !authToken ||
+    authToken.purpose !== purpose ||
+    authToken.tokenHash !== hashSecret(secret)
+  ) {
+    return null;
+  }
+
+  await AuthTokens.remove(userId, tokenId);
+  if (new Date(authToken.expiresOn).getTime() <= Date.now()) {
+    return null;
+  }
+  debugTokens(`Token ${tokenId} redeemed by ${userId} to ${purpose}.`);
+  return authToken;
+}
+
+/**
+ * Cancel all of a user's tokens of one kind.
+ * @param {string} userId
+ * @param {'verify-email'|'reset-password'} purpose
+ */
+export async function revokeAuthTokens(userId, purpose) {
+  const authTokens = await AuthTokens.getAllForUser(userId, purpose);
+  for (const authToken of authTokens) {
+    await AuthTokens.remove(userId, authToken.id);
+  }
+}
+
+/**
+ * Send a user a link to verify their email address.
+ * @param {any} user
+ */
+export async function sendVerificationEmail(user) {
+  const token = await issueAuthToken(user, 'verify-email');
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text:
+      `Hi ${user.givenName},\n\n` +
+      'Please verify your email address by following this link:\n' +
+      appLink('verify-email', { token }),
+  });
+}
+
+/**
+ * Send a user a link to reset their password.
+ * @param {any} user
+ */
+export async function sendPasswordResetEmail(user) {
+  const token = await issueAuthToken(user, 'reset-password');
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text:
+      `Hi ${user.givenName},\n\n` +
+      'You can reset your password by following this link:\n' +
+      appLink('reset-password', { token }) +
+      '\n\nIf you did not ask to reset your password, you can ignore this email.',
+  });
+}
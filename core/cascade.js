@@ -0,0 +1,137 @@
+import debug from 'debug';
+import {
+  Projects,
+  Issues,
+  IssueComments,
+  Attachments,
+  Webhooks,
+  WebhookDeliveries,
+  Watches,
+} from './db.js';
+import { fileStore } from './fileStore.js';
+import { unlinkIssue } from './issueLinks.js';
+
+const debugCascade = debug('app:core:cascade');
+
+/**
+ * Permanently remove an attachment, along with its contents.
+ * @param {any} attachment
+ */
+export async function removeAttachment(attachment) {
+  await fileStore.remove(attachment.storageKey);
+  await Attachments.remove(
+    attachment.projectId,
+    attachment.issueId,
+    attachment.id
+  );
+}
+
+/**
+ * Permanently remove a comment, along with its attachments.
+ * @param {string} projectId
+ * @param {string} issueId
+ * @param {string} commentId
+ */
+export async function removeComment(projectId, issueId, commentId) {
+  const attachments = await Attachments.getAllForComment(
+    projectId,
+    issueId,
+    commentId,
+    true
+  );
+  for (const attachment of attachments) {
+    await removeAttachment(attachment);
+  }
+  await IssueComments.remove(projectId, issueId, commentId);
+}
+
+/**
+ * Permanently remove an issue, along with all of its comments
+ * and attachments, including any that are in the trash,
+ * the links to it from other issues, and the watches on it.
+ * @param {string} projectId
+ * @param {string} issueId
+ */
+export async function removeIssue(projectId, issueId) {
+  const issue = await Issues.getById(projectId, issueId, true);
+  if (!issue) {
+    // already removed, if an earlier removal was interrupted
+    return;
+  }
+  await unlinkIssue(issue);
+  const attachments = await Attachments.getAllForIssue(
+    projectId,
+    issueId,
+    true
+  );
+  for (const attachment of attachments) {
+    await removeAttachment(attachment);
+  }
+  const comments = await IssueComments.getAllCommentsForIssue(
+    projectId,
+    issueId,
+    true
+  );
+  for (const comment of comments) {
+    await IssueComments.remove(projectId, issueId, comment.id);
+  }
+  const watches = await Watches.getAllForProject(projectId);
+  for (const watch of watches.filter((x) => x.issueId === issueId)) {
+    await Watches.remove(projectId, watch.id);
+  }
+  await Issues.remove(projectId, issueId);
+  debugCascade(
+    `Issue ${issueId} removed, with ${comments.length} comments and ${attachments.length} attachments.`
+  );
+}
+
+/**
+ * Remove a webhook, along with its delivery log.
+ * @param {string} projectId
+ * @param {string} webhookId
+ */
+export async function removeWebhook(projectId, webhookId) {
+  const deliveries = await WebhookDeliveries.getAllForWebhook(
+    projectId,
+    webhookId
+  );
+  for (const delivery of deliveries) {
+    await WebhookDeliveries.remove(projectId, delivery.id);
+  }
+  await Webhooks.remove(projectId, webhookId);
+}
+
+/**
+ * Remove a project, along with its issues, comments, webhooks and watches.
+ * The change log of the project is kept.
+ * Safe to run again if it is interrupted part way through.
+ * @param {string} projectId
+ * @param {(done: number, total: number) => Promise<void>} onProgress
+ *  called after each issue or webhook is removed
+ */
+export async function removeProject(projectId, onProgress) {
+  const issues = await Issues.getAllIssuesForProject(projectId, true);
+  const webhooks = await Webhooks.getAllForProject(projectId);
+  const total = issues.length + webhooks.length;
+  let done = 0;
+  await onProgress(done, total);
+
+  for (const issue of issues) {
+    await removeIssue(projectId, issue.issueId);
+    await onProgress(++done, total);
+  }
+  for (const webhook of webhooks) {
+    await removeWebhook(projectId, webhook.id);
+    await onProgress(++done, total);
+  }
+  for (const watch of await Watches.getAllForProject(projectId)) {
+    await Watches.remove(projectId, watch.id);
+  }
+
+  if (await Projects.getById(projectId)) {
+    await Projects.remove(projectId);
+  }
+  debugCascade(
+    `Project ${projectId} removed, with ${issues.length} issues and ${webhooks.length} webhooks.`
+  );
+}
@@ -0,0 +1,160 @@
+import debug from 'debug';
+import Joi from 'joi';
+import _ from 'lodash';
+import { Issues } from './db.js';
+import { doneStatuses } from './issueLinks.js';
+
+const debugCategories = debug('app:core:categories');
+
+/**
+ * The labels, components and milestones that a project defines for its issues.
+ * Each kind is kept as an array on the project,
+ * and is referenced from issues by id.
+ */
+export const categoryKinds = {
+  label: {
+    entityType: 'Label',
+    projectField: 'labels',
+    issueField: 'labelIds',
+    multiple: true,
+    schema: Joi.object({
+      name: Joi.string().trim().max(50).required(),
+      color: Joi.string()
+        .trim()
+        .pattern(/^#[0-9a-fA-F]{6}$/)
+        .lowercase()
+        .required(),
+      description: Joi.string().trim().allow(''), // optional
+    }),
+  },
+  component: {
+    entityType: 'Component',
+    projectField: 'components',
+    issueField: 'componentId',
+    multiple: false,
+    schema: Joi.object({
+      name: Joi.string().trim().max(50).required(),
+      description: Joi.string().trim().allow(''), // optional
+    }),
+  },
+  milestone: {
+    entityType: 'Milestone',
+    projectField: 'milestones',
+    issueField: 'milestoneId',
+    multiple: false,
+    schema: Joi.object({
+      name: Joi.string().trim().max(50).required(),
+      description: Joi.string().trim().allow(''), // optional
+      dueDate: Joi.date().iso().allow(null), // optional
+    }),
+  },
+};
+
+/**
+ * The fields of issueSchema that reference the categories of the project.
+ */
+export const issueCategoryKeys = {
+  labelIds: Joi.array().items(Joi.string().trim()).unique(), // optional
+  componentId: Joi.string().trim().allow(null), // optional
+  milestoneId: Joi.string().trim().allow(null), // optional
+};
+
+/**
+ * List the categories of one kind that a project defines.
+ * @param {any} project
+ * @param {'label'|'component'|'milestone'} kind
+ * @returns {any[]}
+ */
+export function getCategories(project, kind) {
+  return (project && project[categoryKinds[kind].projectField]) || [];
+}
+
+/**
+ * Find a category of a project.
+ * @param {any} project
+ * @param {'label'|'component'|'milestone'} kind
+ * @param {string} id
+ * @returns {any} the category, or undefined if it is not defined
+ */
+export function getCategory(project, kind, id) {
+  return _.find(getCategories(project, kind), { id });
+}
+
+/**
+ * Find the categories that an issue references,
+ * but which are not defined by the project.
+ * @param {any} project
+ * @param {any} issueData
+ * @returns {{ kind: string, id: string }[]}
+ */
+export function findUnknownCategories(project, issueData) {
+  const unknown = [];
+  for (const kind in categoryKinds) {
+    const { issueField } = categoryKinds[kind];
+    for (const id of _.castArray(issueData[issueField] || [])) {
+      if (!getCategory(project, kind, id)) {
+        unknown.push({ kind, id });
+      }
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Remove the references to a category from all of the issues of a project,
+ * including those in the trash, once it has been deleted.
+ * @param {string} projectId
+ * @param {'label'|'component'|'milestone'} kind
+ * @param {string} id
+ * @returns {Promise<number>} the number of issues changed
+ */
+export async function removeCategoryFromIssues(projectId, kind, id) {
+  const { issueField, multiple } = categoryKinds[kind];
+  const issues = await Issues.getAllForProjectWhere(
+    projectId,
+    [[issueField, multiple ? 'contains' : '=', id]],
+    true
+  );
+  for (const issue of issues) {
+    issue[issueField] = multiple ? _.without(issue[issueField], id) : null;
+    await Issues.replace(projectId, issue.issueId, issue);
+  }
+  debugCategories(`${kind} ${id} removed from ${issues.length} issues.`);
+  return issues.length;
+}
+
+/**
+ * Work out how far through its issues each of a project's milestones is.
+ * Issues that are resolved count as closed, as they do everywhere else.
+ * @param {string} projectId
+ * @param {string[]} milestoneIds
+ * @returns {Promise<Object<string, any>>} the number of issues closed,
+ *  the total and the percent closed, keyed by milestone id
+ */
+export async function getMilestoneProgress(projectId, milestoneIds) {
+  const rows = milestoneIds.length
+    ? await Issues.aggregateForProject(
+        projectId,
+        { where: [['milestoneId', 'in', milestoneIds]] },
+        {
+          groupBy: { milestoneId: 'milestoneId', status: 'status' },
+          aggregates: { count: ['count'] },
+        }
+      )
+    : [];
+  const progress = {};
+  for (const milestoneId of milestoneIds) {
+    const milestoneRows = _.filter(rows, { milestoneId });
+    const closed = _.sumBy(
+      milestoneRows.filter((row) => doneStatuses.includes(row.status)),
+      'count'
+    );
+    const total = _.sumBy(milestoneRows, 'count');
+    progress[milestoneId] = {
+      closed,
+      total,
+      percent: total ? Math.round((closed / total) * 100) : 0,
+    };
+  }
+  return progress;
+}
@@ -1,11 +1,57 @@
 import config from 'config';
 import debug from 'debug';
-import Cosmos, { CosmosClient, Database, Container } from '@azure/cosmos';
+import { invalidContinuationToken } from './errors.js';
+import {
+  CosmosClient,
+  Database,
+  Container,
+  ChangeFeedStartFrom,
+} from '@azure/cosmos';
 
 // create debug channels
 const debugCosmos = debug('app:core:cosmos');
 const debugError = debug('app:error');
 
+/**
+ * A condition on a single field of an item.
+ * The field may be a dotted path, such as "createdBy.userId".
+ * Supported operators are "=", "!=", "<", "<=", ">", ">=", "in",
+ * "contains" (the field is an array that contains the value),
+ * "includes" (the field is a string that includes the value, ignoring case),
+ * and "exists" (the field is present when the value is true, or missing when false).
+ *
+ * A condition may also be a group of conditions, `{ any: [...] }`,
+ * that matches when any one of them matches.
+ * @typedef {[field: string, op: string, value: any]|{ any: QueryCondition[] }} QueryCondition
+ */
+
+/**
+ * A sort key, with a direction of either "ASC" or "DESC".
+ * @typedef {[field: string, direction: 'ASC'|'DESC']} QueryOrder
+ */
+
+/**
+ * A storage agnostic query, which is understood by all of the storage drivers.
+ * All of the conditions must match for an item to be selected.
+ * @typedef {{
+ *  where?: QueryCondition[],
+ *  orderBy?: QueryOrder[]
+ * }} Query
+ */
+
+/**
+ * Groups items, and computes aggregates over each group.
+ * Each key of `groupBy` names a field of the results, and is either a field
+ * of the items, or `[field, 'day']` for the date part of an ISO date field.
+ * Each key of `aggregates` names a field of the results, and is either
+ * `['count']` or `[fn, field]`, where fn is "sum", "min", "max" or "avg".
+ * Groups whose field is missing leave that field out of the results.
+ * @typedef {{
+ *  groupBy?: Object<string, string|[field: string, fn: 'day']>,
+ *  aggregates: Object<string, ['count']|[fn: 'sum'|'min'|'max'|'avg', field: string]>
+ * }} Aggregation
+ */
+
 /**
  * Open a connection to our Cosmos database.
  * Also creates the database and/or containers if needed.
@@ -17,7 +63,7 @@ const debugError = debug('app:error');
  *  usersContainer: Container
  * }>}
  */
-async function connect() {
+export async function connect() {
   try {
     // get cosmos configuration
     const { endpoint, key, databaseId } = config.get('cosmos');
@@ -88,68 +134,265 @@ async function createContainer(
   return container;
 }
 
+/**
+ * Converts a dotted field path into a Cosmos property reference.
+ * @param {string} field
+ * @returns {string}
+ */
+function toPropertyRef(field) {
+  return (
+    'c' +
+    field
+      .split('.')
+      .map((name) => `["${name}"]`)
+      .join('')
+  );
+}
+
+/**
+ * Compiles a single query condition into a Cosmos SQL expression.
+ * @param {QueryCondition} condition
+ * @param {Cosmos.SqlParameter[]} parameters the parameters of the query
+ * @returns {string}
+ */
+function toSqlCondition(condition, parameters) {
+  if (condition.any) {
+    const clauses = condition.any.map((x) => toSqlCondition(x, parameters));
+    return '(' + clauses.join(' OR ') + ')';
+  }
+
+  const [field, op, value] = condition;
+  const param = '@p' + parameters.length;
+  parameters.push({ name: param, value });
+  const ref = toPropertyRef(field);
+  switch (op) {
+    case '=':
+    case '!=':
+    case '<':
+    case '<=':
+    case '>':
+    case '>=':
+      return `${ref} ${op} ${param}`;
+    case 'in':
+      return `ARRAY_CONTAINS(${param}, ${ref})`;
+    case 'contains':
+      return `ARRAY_CONTAINS(${ref}, ${param})`;
+    case 'includes':
+      return `CONTAINS(${ref}, ${param}, true)`;
+    case 'exists':
+      return `IS_DEFINED(${ref}) = ${param}`;
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+/**
+ * Compiles the conditions of a query into a Cosmos SQL WHERE clause.
+ * @param {QueryCondition[]} where
+ * @param {Cosmos.SqlParameter[]} parameters the parameters of the query
+ * @returns {string} the clause, or an empty string if there are no conditions
+ */
+function toSqlWhere(where, parameters) {
+  if (!where || !where.length) {
+    return '';
+  }
+  const clauses = where.map((condition) =>
+    toSqlCondition(condition, parameters)
+  );
+  return ' WHERE ' + clauses.join(' AND ');
+}
+
+/**
+ * Compiles a storage agnostic query into a Cosmos SQL query.
+ * @param {Query} query
+ * @returns {Cosmos.SqlQuerySpec}
+ */
+function toSqlQuerySpec(query) {
+  const { where, orderBy } = query || {};
+  const parameters = [];
+  let sql = 'SELECT * FROM c';
+
+  sql += toSqlWhere(where, parameters);
+  if (orderBy && orderBy.length) {
+    sql +=
+      ' ORDER BY ' +
+      orderBy
+        .map(([field, direction]) => `${toPropertyRef(field)} ${direction}`)
+        .join(', ');
+  }
+
+  return { query: sql, parameters };
+}
+
+/**
+ * Compiles a storage agnostic query and aggregation
+ * into a Cosmos SQL query with a GROUP BY clause.
+ * @param {Query} query
+ * @param {Aggregation} aggregation
+ * @returns {Cosmos.SqlQuerySpec}
+ */
+function toSqlAggregateSpec(query, aggregation) {
+  const { groupBy = {}, aggregates } = aggregation;
+  const parameters = [];
+
+  const groups = Object.entries(groupBy).map(([alias, spec]) => {
+    const [field, fn] = Array.isArray(spec) ? spec : [spec];
+    const ref = toPropertyRef(field);
+    return [alias, fn === 'day' ? `LEFT(${ref}, 10)` : ref];
+  });
+  const columns = [
+    ...groups.map(([alias, expr]) => `${expr} AS ${alias}`),
+    ...Object.entries(aggregates).map(([alias, [fn, field]]) =>
+      fn === 'count'
+        ? `COUNT(1) AS ${alias}`
+        : `${fn.toUpperCase()}(${toPropertyRef(field)}) AS ${alias}`
+    ),
+  ];
+
+  let sql = 'SELECT ' + columns.join(', ') + ' FROM c';
+  sql += toSqlWhere(query && query.where, parameters);
+  if (groups.length) {
+    sql += ' GROUP BY ' + groups.map(([, expr]) => expr).join(', ');
+  }
+  return { query: sql, parameters };
+}
+
 /**
  * Queries a container items and return matching items as an array.
  * @param {Container} container
- * @param {Cosmos.SqlQuerySpec} querySpec
+ * @param {Query} query
  * @returns {Promise<any[]>}
  */
-async function queryItemsFromContainer(container, querySpec) {
+export async function queryItemsFromContainer(container, query) {
   debugCosmos('querying container ', container.id);
-  const query = container.items.query(querySpec);
-  const { resources: items } = await query.fetchAll();
+  const querySpec = toSqlQuerySpec(query);
+  const { resources: items } = await container.items
+    .query(querySpec)
+    .fetchAll();
   return items;
 }
 
 /**
- * Fetches all items from a container and returns them as an array.
+ * Queries a container for a single page of matching items.
+ * Pass the continuation token from the previous page to fetch the next page.
  * @param {Container} container
- * @returns {Promise<any[]>}
+ * @param {Query} query
+ * @param {number} pageSize
+ * @param {string|null} continuationToken
+ * @returns {Promise<{ items: any[], continuationToken: string|null }>}
  */
-async function getAllItemsFromContainer(container, orderBy = null) {
-  debugCosmos('selecting all items', container.id);
-  let sql = 'SELECT * FROM c';
-  if (orderBy) {
-    sql += ' ' + orderBy;
+export async function queryPageFromContainer(
+  container,
+  query,
+  pageSize,
+  continuationToken = null
+) {
+  debugCosmos('querying page from container', container.id, pageSize);
+  const querySpec = toSqlQuerySpec(query);
+  try {
+    const response = await container.items
+      .query(querySpec, {
+        maxItemCount: pageSize,
+        continuationToken: continuationToken || undefined,
+      })
+      .fetchNext();
+    return {
+      items: response.resources,
+      continuationToken: response.continuationToken || null,
+    };
+  } catch (err) {
+    if (continuationToken && (!err.code || err.code === 400)) {
+      throw invalidContinuationToken();
+    }
+    throw err;
   }
+}
 
-  const querySpec = { query: sql };
-  const query = container.items.query(querySpec);
-  const { resources: items } = await query.fetchAll();
-  return items;
+/**
+ * Groups the items of a container that match a query,
+ * and computes aggregates over each group, within the database.
+ * @param {Container} container
+ * @param {Query} query only the conditions are used
+ * @param {Aggregation} aggregation
+ * @returns {Promise<any[]>} one result for each group
+ */
+export async function aggregateItemsFromContainer(
+  container,
+  query,
+  aggregation
+) {
+  debugCosmos('aggregating items from container', container.id);
+  const querySpec = toSqlAggregateSpec(query, aggregation);
+  const { resources } = await container.items.query(querySpec).fetchAll();
+  return resources;
 }
 
 /**
- * Fetches a specific item from a container.
+ * Where to read the change feed of a container from.
+ * A continuation, from a previous read, takes precedence over a start time.
+ * Without either, only changes from now on are read.
+ * @typedef {{
+ *  continuation?: string|null,
+ *  startTime?: Date|null
+ * }} ChangeFeedPosition
+ */
+
+/**
+ * Reads the next batch of changes to the items of a container,
+ * from the change feed of every partition.
+ * Each item is given in its latest version, and deletes are not included.
  * @param {Container} container
- * @param {string} id
- * @returns {Promise<any>}
+ * @param {ChangeFeedPosition} position
+ * @returns {Promise<{ items: any[], continuation: string }>}
+ *  the changed items, and where to read the next batch from
  */
-async function getItemByIdFromContainer(container, id) {
-  debugCosmos('selecting item by id', container.id, id);
-  const querySpec = {
-    query: 'SELECT * FROM c WHERE c.id = @id',
-    parameters: [{ name: '@id', value: id }],
+export async function readChangeFeedFromContainer(
+  container,
+  { continuation = null, startTime = null } = {}
+) {
+  const changeFeedStartFrom = continuation
+    ? ChangeFeedStartFrom.Continuation(continuation)
+    : startTime
+    ? ChangeFeedStartFrom.Time(startTime)
+    : ChangeFeedStartFrom.Now();
+  const iterator = container.items.getChangeFeedIterator({
+    changeFeedStartFrom,
+    maxItemCount: 100,
+  });
+  const response = await iterator.readNext();
+  return {
+    items: response.result || [],
+    continuation: response.continuationToken,
   };
-  const query = container.items.query(querySpec);
-  const { resources: items } = await query.fetchAll();
-  return items && items.length ? items[0] : null;
 }
 
 /**
- * Fetches a specific user by email address.
+ * Fetches all items from a container and returns them as an array.
  * @param {Container} container
- * @param {string} email
+ * @param {QueryOrder[]} orderBy
+ * @returns {Promise<any[]>}
+ */
+export async function getAllItemsFromContainer(container, orderBy = null) {
+  debugCosmos('selecting all items', container.id);
+  const querySpec = toSqlQuerySpec({ orderBy });
+  const { resources: items } = await container.items
+    .query(querySpec)
+    .fetchAll();
+  return items;
+}
+
+/**
+ * Fetches a specific item from a container.
+ * @param {Container} container
+ * @param {string} id
  * @returns {Promise<any>}
  */
-async function getUserByEmail(container, email) {
-  debugCosmos('selecting user by email', container.id, email);
-  const querySpec = {
-    query: 'SELECT * FROM c WHERE c.email = @email',
-    parameters: [{ name: '@email', value: email }],
-  };
-  const query = container.items.query(querySpec);
-  const { resources: items } = await query.fetchAll();
+export async function getItemByIdFromContainer(container, id) {
+  debugCosmos('selecting item by id', container.id, id);
+  const querySpec = toSqlQuerySpec({ where: [['id', '=', id]] });
+  const { resources: items } = await container.items
+    .query(querySpec)
+    .fetchAll();
   return items && items.length ? items[0] : null;
 }
 
@@ -160,7 +403,7 @@ async function getUserByEmail(container, email) {
  * @param {string} partitionKey
  * @returns {Promise<any>}
  */
-async function readItemFromContainer(container, id, partitionKey) {
+export async function readItemFromContainer(container, id, partitionKey) {
   debugCosmos('reading item', container.id, id, partitionKey);
   const result = await container.item(id, partitionKey).read();
   // debugCosmos('read', result);
@@ -173,127 +416,66 @@ async function readItemFromContainer(container, id, partitionKey) {
  * @param {any} newItem
  * @returns {Promise<any>}
  */
-async function addItemToContainer(container, newItem) {
+export async function addItemToContainer(container, newItem) {
   debugCosmos('creating item', container.id, newItem.id);
   const { resource } = await container.items.create(newItem);
   return resource;
 }
 
+/**
+ * Builds the request options for a write that only succeeds if the item
+ * has not been changed since it was read.
+ * @param {string|null} etag
+ * @returns {import('@azure/cosmos').RequestOptions}
+ */
+function toRequestOptions(etag) {
+  return etag
+    ? { accessCondition: { type: 'IfMatch', condition: etag } }
+    : undefined;
+}
+
 /**
  * Replace an existing item within a container.
+ * When an etag is provided, fails with a 412 error if the item has changed.
  * @param {Container} container
  * @param {string} id
  * @param {string} partitionKey
  * @param {any} body
+ * @param {string|null} etag
  * @returns {Promise<any>}
  */
-async function replaceItemInContainer(container, id, partitionKey, body) {
+export async function replaceItemInContainer(
+  container,
+  id,
+  partitionKey,
+  body,
+  etag = null
+) {
   debugCosmos('replacing item', container.id, id, partitionKey);
-  const { resource } = await container.item(id, partitionKey).replace(body);
+  const { resource } = await container
+    .item(id, partitionKey)
+    .replace(body, toRequestOptions(etag));
   return resource;
 }
 
 /**
  * Remove an existing item from a container.
+ * When an etag is provided, fails with a 412 error if the item has changed.
  * @param {Container} container
  * @param {string} id
  * @param {string} partitionKey
+ * @param {string|null} etag
  * @returns {Promise<any>}
  */
-async function removeItemFromContainer(container, id, partitionKey) {
+export async function removeItemFromContainer(
+  container,
+  id,
+  partitionKey,
+  etag = null
+) {
   debugCosmos('deleting item', container.id, id, partitionKey);
-  const { resource } = await container.item(id, partitionKey).delete();
+  const { resource } = await container
+    .item(id, partitionKey)
+    .delete(toRequestOptions(etag));
   return resource;
 }
-
-// open a connection
-const { client, database, issuesContainer, projectsContainer, usersContainer } =
-  await connect();
-
-// export
-export const Users = {
-  getAll: () => getAllItemsFromContainer(usersContainer, 'ORDER BY c.email'),
-  getById: (userId) => readItemFromContainer(usersContainer, userId, userId),
-  getByEmail: (email) => getUserByEmail(usersContainer, email),
-  add: (newItem) => addItemToContainer(usersContainer, newItem),
-  replace: (userId, userData) =>
-    replaceItemInContainer(usersContainer, userId, userId, userData),
-  remove: (userId) => removeItemFromContainer(usersContainer, userId, userId),
-};
-export const Projects = {
-  getAll: () => getAllItemsFromContainer(projectsContainer, 'ORDER BY c.title'),
-  getById: (projectId) =>
-    readItemFromContainer(projectsContainer, projectId, projectId),
-  add: (newItem) => addItemToContainer(projectsContainer, newItem),
-  replace: (projectId, projectData) =>
-    replaceItemInContainer(
-      projectsContainer,
-      projectId,
-      projectId,
-      projectData
-    ),
-  remove: (projectId) =>
-    removeItemFromContainer(projectsContainer, projectId, projectId),
-};
-export const Issues = {
-  getAll: () =>
-    queryItemsFromContainer(issuesContainer, {
-      query: 'SELECT * FROM c WHERE c.type = @type ORDER BY c.createdOn DESC',
-      parameters: [{ name: '@type', value: 'Issue' }],
-    }),
-  getAllIssuesForProject: (projectId) =>
-    queryItemsFromContainer(issuesContainer, {
-      query:
-        'SELECT * FROM c ' +
-        'WHERE c.projectId = @projectId AND c.type = @type ' +
-        'ORDER BY c.createdOn DESC',
-      parameters: [
-        { name: '@projectId', value: projectId },
-        { name: '@type', value: 'Issue' },
-      ],
-    }),
-  getById: (projectId, issueId) =>
-    readItemFromContainer(issuesContainer, issueId, projectId + ';' + issueId),
-  add: (newItem) => {
-    newItem._partitionKey = newItem.projectId + ';' + newItem.issueId;
-    newItem.type = 'Issue';
-    return addItemToContainer(issuesContainer, newItem);
-  },
-  replace: (projectId, issueId, issueData) =>
-    replaceItemInContainer(
-      issuesContainer,
-      issueId,
-      projectId + ';' + issueId,
-      issueData
-    ),
-  remove: (projectId, issueId) =>
-    removeItemFromContainer(
-      issuesContainer,
-      issueId,
-      projectId + ';' + issueId
-    ),
-};
-export const IssueComments = {
-  getAll: () =>
-    queryItemsFromContainer(issuesContainer, {
-      query: 'SELECT * FROM c WHERE c.type = @type ORDER BY c.createdOn ASC',
-      parameters: [{ name: '@type', value: 'Comment' }],
-    }),
-  getAllCommentsForIssue: (projectId, issueId) =>
-    queryItemsFromContainer(issuesContainer, {
-      query:
-        'SELECT * FROM c ' +
-        'WHERE c.projectId = @projectId AND c.issueId = @issueId AND c.type = @type ' +
-        'ORDER BY c.createdOn ASC',
-      parameters: [
-        { name: '@projectId', value: projectId },
-        { name: '@issueId', value: issueId },
-        { name: '@type', value: 'Comment' },
-      ],
-    }),
-  add: (newItem) => {
-    newItem._partitionKey = newItem.projectId + ';' + newItem.issueId;
-    newItem.type = 'Comment';
-    return addItemToContainer(issuesContainer, newItem);
-  },
-};
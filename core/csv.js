@@ -0,0 +1,73 @@
+/**
+ * Format rows of data as CSV, with a header row.
+ * @param {any[]} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((values) => values.map(escape).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Parse CSV, whose first row names the columns.
+ * Fields may be quoted, and quoted fields may hold commas, quotes ("")
+ * and line breaks. Empty lines are skipped.
+ * @param {string} text
+ * @returns {Object<string, string>[]} one object for each row after the header
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  // strip the byte order mark that spreadsheets like to add
+  text = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [columns = [], ...rows] = records.filter(
+    (values) => values.length > 1 || values[0] !== ''
+  );
+  return rows.map((values) =>
+    Object.fromEntries(
+      columns.map((column, i) => [column.trim(), values[i] ?? ''])
+    )
+  );
+}
@@ -0,0 +1,850 @@
+import config from 'config';
+import debug from 'debug';
+import * as cosmos from './cosmos.js';
+import * as memory from './memory.js';
+import { preconditionFailed, isPreconditionError } from './etag.js';
+
+// create debug channels
+const debugDb = debug('app:core:db');
+
+/**
+ * Select the storage driver and open a connection to it.
+ * The "cosmos" driver talks to a live Cosmos database,
+ * the "memory" driver keeps everything in memory,
+ * and the "file" driver keeps everything in memory and saves it to a JSON file.
+ * @returns {Promise<{
+ *  storage: typeof cosmos,
+ *  issuesContainer: any,
+ *  projectsContainer: any,
+ *  usersContainer: any
+ * }>}
+ */
+async function connect() {
+  const { driver, file } = config.get('storage');
+  debugDb('driver =', driver);
+
+  switch (driver) {
+    case 'cosmos':
+      return { storage: cosmos, ...(await cosmos.connect()) };
+    case 'memory':
+      return { storage: memory, ...(await memory.connect()) };
+    case 'file':
+      return { storage: memory, ...(await memory.connect(file)) };
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+// open a connection
+const { storage, issuesContainer, projectsContainer, usersContainer } =
+  await connect();
+const {
+  queryItemsFromContainer,
+  queryPageFromContainer,
+  aggregateItemsFromContainer,
+  getAllItemsFromContainer,
+  readItemFromContainer,
+  addItemToContainer,
+  replaceItemInContainer,
+  removeItemFromContainer,
+  readChangeFeedFromContainer,
+} = storage;
+
+/**
+ * Leaves out the issues and comments that are in the trash.
+ * @param {boolean} includeTrashed true to keep them in
+ * @returns {import('./cosmos.js').QueryCondition[]}
+ */
+function trashConditions(includeTrashed) {
+  return includeTrashed ? [] : [['deletedOn', 'exists', false]];
+}
+
+/**
+ * Narrows a query with some additional conditions.
+ * @param {import('./cosmos.js').Query} query
+ * @param {import('./cosmos.js').QueryCondition[]} conditions
+ * @returns {import('./cosmos.js').Query}
+ */
+function narrowQuery(query, conditions) {
+  return { ...query, where: [...conditions, ...(query.where || [])] };
+}
+
+/**
+ * Run a write that is conditional on an etag.
+ * If the item has been changed by someone else in the meantime,
+ * fails with a 412 error that carries the current version of the item.
+ * @param {() => Promise<any>} write
+ * @param {() => Promise<any>} read
+ * @returns {Promise<any>}
+ */
+async function conditionalWrite(write, read) {
+  try {
+    return await write();
+  } catch (err) {
+    if (isPreconditionError(err)) {
+      throw preconditionFailed(await read());
+    }
+    throw err;
+  }
+}
+
+// export
+export const Users = {
+  getAll: () =>
+    queryItemsFromContainer(usersContainer, {
+      where: [['type', '=', 'User']],
+      orderBy: [['email', 'ASC']],
+    }),
+  getPage: (query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      usersContainer,
+      narrowQuery(query, [['type', '=', 'User']]),
+      pageSize,
+      continuationToken
+    ),
+  getById: (userId) => readItemFromContainer(usersContainer, userId, userId),
+  getByEmail: async (email) => {
+    const items = await queryItemsFromContainer(usersContainer, {
+      where: [
+        ['email', '=', email],
+        ['type', '=', 'User'],
+      ],
+    });
+    return items && items.length ? items[0] : null;
+  },
+  add: (newItem) => addItemToContainer(usersContainer, newItem),
+  replace: (userId, userData, etag = null) =>
+    conditionalWrite(
+      () =>
+        replaceItemInContainer(usersContainer, userId, userId, userData, etag),
+      () => Users.getById(userId)
+    ),
+  remove: (userId, etag = null) =>
+    conditionalWrite(
+      () => removeItemFromContainer(usersContainer, userId, userId, etag),
+      () => Users.getById(userId)
+    ),
+};
+export const Sessions = {
+  getAllForUser: (userId) =>
+    queryItemsFromContainer(usersContainer, {
+      where: [
+        ['userId', '=', userId],
+        ['type', '=', 'Session'],
+      ],
+      orderBy: [['lastUsedOn', 'DESC']],
+    }),
+  getById: async (userId, sessionId) => {
+    const session = await readItemFromContainer(
+      usersContainer,
+      sessionId,
+      userId
+    );
+    return session && session.type === 'Session' ? session : null;
+  },
+  add: (newItem) => {
+    newItem.type = 'Session';
+    return addItemToContainer(usersContainer, newItem);
+  },
+  replace: (userId, sessionId, sessionData, etag = null) =>
+    conditionalWrite(
+      () =>
+        replaceItemInContainer(
+          usersContainer,
+          sessionId,
+          userId,
+          sessionData,
+          etag
+        ),
+      () => Sessions.getById(userId, sessionId)
+    ),
+  remove: (userId, sessionId) =>
+    removeItemFromContainer(usersContainer, sessionId, userId),
+};
+export const AuthTokens = {
+  getAllForUser: (userId, purpose) =>
+    queryItemsFromContainer(usersContainer, {
+      where: [
+        ['userId', '=', userId],
+        ['purpose', '=', purpose],
+        ['type', '=', 'AuthToken'],
+      ],
+    }),
+  getById: async (userId, tokenId) => {
+    const authToken = await readItemFromContainer(
+      usersContainer,
+      tokenId,
+      userId
+    );
+    return authToken && authToken.type === 'AuthToken' ? authToken : null;
+  },
+  add: (newItem) => {
+    newItem.type = 'AuthToken';
+    return addItemToContainer(usersContainer, newItem);
+  },
+  remove: (userId, tokenId) =>
+    removeItemFromContainer(usersContainer, tokenId, userId),
+};
+export const Notifications = {
+  getPageForUser: (userId, query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      usersContainer,
+      narrowQuery(query, [
+        ['userId', '=', userId],
+        ['type', '=', 'Notification'],
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  getAllForUser: (userId, unreadOnly = false) =>
+    queryItemsFromContainer(usersContainer, {
+      where: [
+        ['userId', '=', userId],
+        ['type', '=', 'Notification'],
+        ...(unreadOnly ? [['read', '=', false]] : []),
+      ],
+      orderBy: [['createdOn', 'ASC']],
+    }),
+  countUnreadForUser: async (userId) => {
+    const [row] = await aggregateItemsFromContainer(
+      usersContainer,
+      {
+        where: [
+          ['userId', '=', userId],
+          ['type', '=', 'Notification'],
+          ['read', '=', false],
+        ],
+      },
+      { aggregates: { count: ['count'] } }
+    );
+    return row ? row.count : 0;
+  },
+  getById: async (userId, notificationId) => {
+    const notification = await readItemFromContainer(
+      usersContainer,
+      notificationId,
+      userId
+    );
+    return notification && notification.type === 'Notification'
+      ? notification
+      : null;
+  },
+  add: (newItem) => {
+    newItem.type = 'Notification';
+    return addItemToContainer(usersContainer, newItem);
+  },
+  replace: (userId, notificationId, notificationData) =>
+    replaceItemInContainer(
+      usersContainer,
+      notificationId,
+      userId,
+      notificationData
+    ),
+  remove: (userId, notificationId) =>
+    removeItemFromContainer(usersContainer, notificationId, userId),
+};
+export const LoginThrottles = {
+  getAllLockedOut: (date) =>
+    queryItemsFromContainer(usersContainer, {
+      where: [
+        ['type', '=', 'LoginThrottle'],
+        ['lockedUntil', '>', date.toISOString()],
+      ],
+      orderBy: [['lockedUntil', 'DESC']],
+    }),
+  getAllExpiredBefore: (date) =>
+    queryItemsFromContainer(usersContainer, {
+      where: [
+        ['type', '=', 'LoginThrottle'],
+        ['expiresOn', '<=', date.toISOString()],
+      ],
+    }),
+  getById: async (key) => {
+    const throttle = await readItemFromContainer(usersContainer, key, key);
+    return throttle && throttle.type === 'LoginThrottle' ? throttle : null;
+  },
+  add: (newItem) => {
+    // each account or IP address has a partition of its own
+    newItem.userId = newItem.id;
+    newItem.type = 'LoginThrottle';
+    return addItemToContainer(usersContainer, newItem);
+  },
+  replace: (key, throttleData, etag = null) =>
+    conditionalWrite(
+      () =>
+        replaceItemInContainer(usersContainer, key, key, throttleData, etag),
+      () => LoginThrottles.getById(key)
+    ),
+  remove: (key, etag = null) =>
+    conditionalWrite(
+      () => removeItemFromContainer(usersContainer, key, key, etag),
+      () => LoginThrottles.getById(key)
+    ),
+};
+export const Projects = {
+  getAll: () => getAllItemsFromContainer(projectsContainer, [['title', 'ASC']]),
+  getPage: (query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      projectsContainer,
+      query,
+      pageSize,
+      continuationToken
+    ),
+  getAllForMember: (userId) =>
+    queryItemsFromContainer(projectsContainer, {
+      where: [['memberIds', 'contains', userId]],
+      orderBy: [['title', 'ASC']],
+    }),
+  getPageForMember: (userId, query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      projectsContainer,
+      narrowQuery(query, [['memberIds', 'contains', userId]]),
+      pageSize,
+      continuationToken
+    ),
+  getAllWithoutMembers: () =>
+    queryItemsFromContainer(projectsContainer, {
+      where: [['memberIds', 'exists', false]],
+    }),
+  getById: (projectId) =>
+    readItemFromContainer(projectsContainer, projectId, projectId),
+  add: (newItem) => addItemToContainer(projectsContainer, newItem),
+  replace: (projectId, projectData, etag = null) =>
+    conditionalWrite(
+      () =>
+        replaceItemInContainer(
+          projectsContainer,
+          projectId,
+          projectId,
+          projectData,
+          etag
+        ),
+      () => Projects.getById(projectId)
+    ),
+  remove: (projectId, etag = null) =>
+    conditionalWrite(
+      () =>
+        removeItemFromContainer(projectsContainer, projectId, projectId, etag),
+      () => Projects.getById(projectId)
+    ),
+};
+export const Issues = {
+  getAll: () =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [['type', '=', 'Issue'], ...trashConditions(false)],
+      orderBy: [['createdOn', 'DESC']],
+    }),
+  getAllIssuesForProject: (projectId, includeTrashed = false) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['type', '=', 'Issue'],
+        ...trashConditions(includeTrashed),
+      ],
+      orderBy: [['createdOn', 'DESC']],
+    }),
+  getAllForProjectWhere: (projectId, where, includeTrashed = false) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['type', '=', 'Issue'],
+        ...trashConditions(includeTrashed),
+        ...where,
+      ],
+    }),
+  getPage: (query, pageSize, continuationToken, includeTrashed = false) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['type', '=', 'Issue'],
+        ...trashConditions(includeTrashed),
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  getPageForProject: (projectId, query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['projectId', '=', projectId],
+        ['type', '=', 'Issue'],
+        ...trashConditions(false),
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  getByExternalId: async (projectId, externalId) => {
+    const items = await queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['type', '=', 'Issue'],
+        ['externalId', '=', externalId],
+      ],
+    });
+    return items && items.length ? items[0] : null;
+  },
+  aggregateForProject: (projectId, query, aggregation) =>
+    aggregateItemsFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['projectId', '=', projectId],
+        ['type', '=', 'Issue'],
+        ...trashConditions(false),
+      ]),
+      aggregation
+    ),
+  getById: async (projectId, issueId, includeTrashed = false) => {
+    const issue = await readItemFromContainer(
+      issuesContainer,
+      issueId,
+      projectId + ';' + issueId
+    );
+    return issue && (includeTrashed || !issue.deletedOn) ? issue : null;
+  },
+  add: (newItem) => {
+    newItem._partitionKey = newItem.projectId + ';' + newItem.issueId;
+    newItem.type = 'Issue';
+    return addItemToContainer(issuesContainer, newItem);
+  },
+  replace: (projectId, issueId, issueData, etag = null) =>
+    conditionalWrite(
+      () =>
+        replaceItemInContainer(
+          issuesContainer,
+          issueId,
+          projectId + ';' + issueId,
+          issueData,
+          etag
+        ),
+      () => Issues.getById(projectId, issueId, true)
+    ),
+  remove: (projectId, issueId, etag = null) =>
+    conditionalWrite(
+      () =>
+        removeItemFromContainer(
+          issuesContainer,
+          issueId,
+          projectId + ';' + issueId,
+          etag
+        ),
+      () => Issues.getById(projectId, issueId, true)
+    ),
+};
+export const IssueComments = {
+  getAll: () =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [['type', '=', 'Comment'], ...trashConditions(false)],
+      orderBy: [['createdOn', 'ASC']],
+    }),
+  getAllCommentsForProject: (projectId) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['type', '=', 'Comment'],
+        ...trashConditions(false),
+      ],
+      orderBy: [['createdOn', 'ASC']],
+    }),
+  getAllCommentsForIssue: (projectId, issueId, includeTrashed = false) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['issueId', '=', issueId],
+        ['type', '=', 'Comment'],
+        ...trashConditions(includeTrashed),
+      ],
+      orderBy: [['createdOn', 'ASC']],
+    }),
+  getPage: (query, pageSize, continuationToken, includeTrashed = false) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['type', '=', 'Comment'],
+        ...trashConditions(includeTrashed),
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  getPageForIssue: (projectId, issueId, query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['projectId', '=', projectId],
+        ['issueId', '=', issueId],
+        ['type', '=', 'Comment'],
+        ...trashConditions(false),
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  getByExternalId: async (projectId, issueId, externalId) => {
+    const items = await queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['issueId', '=', issueId],
+        ['type', '=', 'Comment'],
+        ['externalId', '=', externalId],
+      ],
+    });
+    return items && items.length ? items[0] : null;
+  },
+  getById: async (projectId, issueId, commentId, includeTrashed = false) => {
+    const comment = await readItemFromContainer(
+      issuesContainer,
+      commentId,
+      projectId + ';' + issueId
+    );
+    return comment &&
+      comment.type === 'Comment' &&
+      (includeTrashed || !comment.deletedOn)
+      ? comment
+      : null;
+  },
+  add: (newItem) => {
+    newItem._partitionKey = newItem.projectId + ';' + newItem.issueId;
+    newItem.type = 'Comment';
+    return addItemToContainer(issuesContainer, newItem);
+  },
+  replace: (projectId, issueId, commentId, commentData, etag = null) =>
+    conditionalWrite(
+      () =>
+        replaceItemInContainer(
+          issuesContainer,
+          commentId,
+          projectId + ';' + issueId,
+          commentData,
+          etag
+        ),
+      () => IssueComments.getById(projectId, issueId, commentId, true)
+    ),
+  remove: (projectId, issueId, commentId, etag = null) =>
+    conditionalWrite(
+      () =>
+        removeItemFromContainer(
+          issuesContainer,
+          commentId,
+          projectId + ';' + issueId,
+          etag
+        ),
+      () => IssueComments.getById(projectId, issueId, commentId, true)
+    ),
+};
+export const Attachments = {
+  getAllForIssue: (projectId, issueId, includeTrashed = false) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['issueId', '=', issueId],
+        ['type', '=', 'Attachment'],
+        ...trashConditions(includeTrashed),
+      ],
+      orderBy: [['createdOn', 'ASC']],
+    }),
+  getAllForComment: (projectId, issueId, commentId, includeTrashed = false) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['issueId', '=', issueId],
+        ['commentId', '=', commentId],
+        ['type', '=', 'Attachment'],
+        ...trashConditions(includeTrashed),
+      ],
+      orderBy: [['createdOn', 'ASC']],
+    }),
+  getPage: (query, pageSize, continuationToken, includeTrashed = false) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['type', '=', 'Attachment'],
+        ...trashConditions(includeTrashed),
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  getPageForIssue: (projectId, issueId, query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['projectId', '=', projectId],
+        ['issueId', '=', issueId],
+        ['type', '=', 'Attachment'],
+        ...trashConditions(false),
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  getById: async (projectId, issueId, attachmentId) => {
+    const attachment = await readItemFromContainer(
+      issuesContainer,
+      attachmentId,
+      projectId + ';' + issueId
+    );
+    return attachment &&
+      attachment.type === 'Attachment' &&
+      !attachment.deletedOn
+      ? attachment
+      : null;
+  },
+  add: (newItem) => {
+    newItem._partitionKey = newItem.projectId + ';' + newItem.issueId;
+    newItem.type = 'Attachment';
+    return addItemToContainer(issuesContainer, newItem);
+  },
+  replace: (projectId, issueId, attachmentId, attachmentData) =>
+    replaceItemInContainer(
+      issuesContainer,
+      attachmentId,
+      projectId + ';' + issueId,
+      attachmentData
+    ),
+  remove: (projectId, issueId, attachmentId) =>
+    removeItemFromContainer(
+      issuesContainer,
+      attachmentId,
+      projectId + ';' + issueId
+    ),
+};
+export const Trash = {
+  getPageForProject: (projectId, query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['projectId', '=', projectId],
+        ['type', 'in', ['Issue', 'Comment']],
+        ['deletedOn', 'exists', true],
+        // comments trashed along with their issue are restored with it
+        ['deletedWithIssue', 'exists', false],
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  getAllForProject: (projectId) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['type', 'in', ['Issue', 'Comment']],
+        ['deletedOn', 'exists', true],
+        ['deletedWithIssue', 'exists', false],
+      ],
+    }),
+  getAllDeletedBefore: (date) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['type', 'in', ['Issue', 'Comment']],
+        ['deletedOn', '<', date.toISOString()],
+        ['deletedWithIssue', 'exists', false],
+      ],
+    }),
+};
+export const Mentions = {
+  getPageForUser: (userId, query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['type', 'in', ['Issue', 'Comment']],
+        ['mentionIds', 'contains', userId],
+        ...trashConditions(false),
+      ]),
+      pageSize,
+      continuationToken
+    ),
+};
+export const History = {
+  getPageForProject: (projectId, query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['projectId', '=', projectId],
+        ['type', '=', 'History'],
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  getPageForIssue: (projectId, issueId, query, pageSize, continuationToken) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['projectId', '=', projectId],
+        ['issueId', '=', issueId],
+        ['type', '=', 'History'],
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  add: (newItem) => {
+    newItem._partitionKey = newItem.issueId
+      ? newItem.projectId + ';' + newItem.issueId
+      : newItem.projectId;
+    newItem.type = 'History';
+    return addItemToContainer(issuesContainer, newItem);
+  },
+};
+export const Webhooks = {
+  getAllForProject: (projectId) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['type', '=', 'Webhook'],
+      ],
+      orderBy: [['createdOn', 'ASC']],
+    }),
+  getById: async (projectId, webhookId) => {
+    const webhook = await readItemFromContainer(
+      issuesContainer,
+      webhookId,
+      projectId
+    );
+    return webhook && webhook.type === 'Webhook' ? webhook : null;
+  },
+  add: (newItem) => {
+    newItem._partitionKey = newItem.projectId;
+    newItem.type = 'Webhook';
+    return addItemToContainer(issuesContainer, newItem);
+  },
+  replace: (projectId, webhookId, webhookData, etag = null) =>
+    conditionalWrite(
+      () =>
+        replaceItemInContainer(
+          issuesContainer,
+          webhookId,
+          projectId,
+          webhookData,
+          etag
+        ),
+      () => Webhooks.getById(projectId, webhookId)
+    ),
+  remove: (projectId, webhookId) =>
+    removeItemFromContainer(issuesContainer, webhookId, projectId),
+};
+export const Watches = {
+  getAllForProject: (projectId) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['type', '=', 'Watch'],
+      ],
+    }),
+  getAllForUser: (userId) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['userId', '=', userId],
+        ['type', '=', 'Watch'],
+      ],
+    }),
+  getById: async (projectId, watchId) => {
+    const watch = await readItemFromContainer(
+      issuesContainer,
+      watchId,
+      projectId
+    );
+    return watch && watch.type === 'Watch' ? watch : null;
+  },
+  add: (newItem) => {
+    newItem._partitionKey = newItem.projectId;
+    newItem.type = 'Watch';
+    return addItemToContainer(issuesContainer, newItem);
+  },
+  replace: (projectId, watchId, watchData) =>
+    replaceItemInContainer(issuesContainer, watchId, projectId, watchData),
+  remove: (projectId, watchId) =>
+    removeItemFromContainer(issuesContainer, watchId, projectId),
+};
+export const WebhookDeliveries = {
+  getPageForWebhook: (
+    projectId,
+    webhookId,
+    query,
+    pageSize,
+    continuationToken
+  ) =>
+    queryPageFromContainer(
+      issuesContainer,
+      narrowQuery(query, [
+        ['projectId', '=', projectId],
+        ['webhookId', '=', webhookId],
+        ['type', '=', 'WebhookDelivery'],
+      ]),
+      pageSize,
+      continuationToken
+    ),
+  getAllPending: () =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['type', '=', 'WebhookDelivery'],
+        ['status', '=', 'pending'],
+      ],
+      orderBy: [['createdOn', 'ASC']],
+    }),
+  getAllForWebhook: (projectId, webhookId) =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['projectId', '=', projectId],
+        ['webhookId', '=', webhookId],
+        ['type', '=', 'WebhookDelivery'],
+      ],
+    }),
+  getById: async (projectId, deliveryId) => {
+    const delivery = await readItemFromContainer(
+      issuesContainer,
+      deliveryId,
+      projectId
+    );
+    return delivery && delivery.type === 'WebhookDelivery' ? delivery : null;
+  },
+  add: (newItem) => {
+    newItem._partitionKey = newItem.projectId;
+    newItem.type = 'WebhookDelivery';
+    return addItemToContainer(issuesContainer, newItem);
+  },
+  replace: (projectId, deliveryId, deliveryData, etag = null) =>
+    conditionalWrite(
+      () =>
+        replaceItemInContainer(
+          issuesContainer,
+          deliveryId,
+          projectId,
+          deliveryData,
+          etag
+        ),
+      () => WebhookDeliveries.getById(projectId, deliveryId)
+    ),
+  remove: (projectId, deliveryId) =>
+    removeItemFromContainer(issuesContainer, deliveryId, projectId),
+};
+export const Jobs = {
+  getById: async (projectId, jobId) => {
+    const job = await readItemFromContainer(issuesContainer, jobId, projectId);
+    return job && job.type === 'Job' ? job : null;
+  },
+  getAllUnfinished: () =>
+    queryItemsFromContainer(issuesContainer, {
+      where: [
+        ['type', '=', 'Job'],
+        ['status', 'in', ['pending', 'running']],
+      ],
+      orderBy: [['createdOn', 'ASC']],
+    }),
+  add: (newItem) => {
+    newItem._partitionKey = newItem.projectId;
+    newItem.type = 'Job';
+    return addItemToContainer(issuesContainer, newItem);
+  },
+  replace: (projectId, jobId, jobData, etag = null) =>
+    conditionalWrite(
+      () =>
+        replaceItemInContainer(
+          issuesContainer,
+          jobId,
+          projectId,
+          jobData,
+          etag
+        ),
+      () => Jobs.getById(projectId, jobId)
+    ),
+};
+export const ChangeFeeds = {
+  readIssues: (position) =>
+    readChangeFeedFromContainer(issuesContainer, position),
+  readProjects: (position) =>
+    readChangeFeedFromContainer(projectsContainer, position),
+};
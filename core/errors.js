@@ -0,0 +1,170 @@
+import http from 'http';
+import _ from 'lodash';
+
+/**
+ * The code of the errors that do not have a more specific one, by status.
+ */
+export const defaultErrorCodes = {
+  400: 'bad_request',
+  401: 'not_logged_in',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  503: 'service_unavailable',
+};
+
+/**
+ * An error that is sent to the client, with a status,
+ * a stable code that clients can check for (e.g. "issue_not_found"),
+ * and a message for people to read.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status the HTTP status
+   * @param {string} code e.g. "issue_not_found"
+   * @param {string} message e.g. "Issue not found."
+   * @param {Object<string, any>} fields more about the error, sent with it
+   */
+  constructor(status, code, message, fields = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+/**
+ * The error for a request that is not valid.
+ * @param {string} code
+ * @param {string} message
+ * @param {Object<string, any>} fields
+ * @returns {ApiError}
+ */
+export function badRequest(code, message, fields) {
+  return new ApiError(400, code, message, fields);
+}
+
+/**
+ * The error for a request that the user is not allowed to make.
+ * @param {string} code
+ * @param {string} message
+ * @param {Object<string, any>} fields
+ * @returns {ApiError}
+ */
+export function forbidden(code, message, fields) {
+  return new ApiError(403, code, message, fields);
+}
+
+/**
+ * The error for something that could not be found, e.g. "issue_not_found".
+ * @param {string} entityType e.g. "Issue"
+ * @param {string} id the id that was looked for
+ * @param {string} message (optional) defaults to e.g. "Issue not found."
+ * @returns {ApiError}
+ */
+export function notFound(entityType, id, message = null) {
+  return new ApiError(
+    404,
+    _.snakeCase(entityType) + '_not_found',
+    message || `${entityType} not found.`,
+    { id }
+  );
+}
+
+/**
+ * The error for a request that conflicts with the current state of something.
+ * @param {string} code
+ * @param {string} message
+ * @param {Object<string, any>} fields
+ * @returns {ApiError}
+ */
+export function conflict(code, message, fields) {
+  return new ApiError(409, code, message, fields);
+}
+
+/**
+ * The error for a continuation token that the storage driver cannot read.
+ * @returns {ApiError}
+ */
+export function invalidContinuationToken() {
+  return badRequest(
+    'invalid_continuation_token',
+    'Invalid continuation token.'
+  );
+}
+
+/**
+ * The statuses of the Cosmos errors that are the client's doing, or are
+ * worth retrying, and how they are sent to the client.
+ * Other Cosmos errors are sent as 500 Internal Server Error.
+ */
+const storageErrors = {
+  404: ['not_found', 'The item was not found.'],
+  409: ['conflict', 'The item already exists.'],
+  412: ['precondition_failed', 'The item has been changed.'],
+  429: ['too_many_requests', 'The database is busy, please try again later.'],
+};
+
+/**
+ * Convert any error to a problem details response (RFC 9457).
+ * The message of an unexpected error is not sent, as it may give away
+ * details of the server, e.g. the database.
+ * @param {any} err
+ * @param {import('express').Request} req
+ * @returns {{ status: number, headers: Object<string, string>, body: any }}
+ */
+export function toProblem(err, req) {
+  let status = 500;
+  let code = null;
+  let message = null;
+  let fields = {};
+  const headers = {};
+
+  if (err instanceof ApiError) {
+    ({ status, code, message, fields } = err);
+  } else if (err.isJoi) {
+    status = 400;
+    code = 'validation_failed';
+    message = err.message;
+    fields = {
+      errors: err.details.map((detail) => ({
+        path: detail.path.join('.'),
+        type: detail.type,
+        message: detail.message,
+      })),
+    };
+  } else if (err.status >= 400 && err.status < 500) {
+    // errors from middleware, e.g. invalid JSON, or a file that is too large
+    status = err.status;
+    code = err.type === 'entity.parse.failed' ? 'invalid_json' : null;
+    message = err.message;
+  } else if (typeof err.code === 'number' && storageErrors[err.code]) {
+    status = err.code;
+    [code, message] = storageErrors[err.code];
+    if (err.retryAfterInMs) {
+      headers['Retry-After'] = String(Math.ceil(err.retryAfterInMs / 1000));
+    }
+  }
+
+  return {
+    status,
+    headers,
+    body: {
+      type: 'about:blank',
+      title: http.STATUS_CODES[status],
+      status,
+      code: code || defaultErrorCodes[status] || defaultErrorCodes[500],
+      detail: message || 'Something went wrong.',
+      message: message || 'Something went wrong.',
+      instance: req.originalUrl,
+      requestId: req.id,
+      ...fields,
+    },
+  };
+}
@@ -0,0 +1,55 @@
+import { ApiError } from './errors.js';
+
+/**
+ * Construct the error for a write that lost a race with another write.
+ * The current version of the item is attached, so that it can be sent to the client.
+ * @param {any} resource the current version of the item
+ * @returns {ApiError}
+ */
+export function preconditionFailed(resource) {
+  return new ApiError(
+    412,
+    'precondition_failed',
+    'Precondition failed, the item has been changed.',
+    { resource }
+  );
+}
+
+/**
+ * Check if a storage error was caused by a stale etag.
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isPreconditionError(err) {
+  return !!err && (err.code === 412 || err.status === 412);
+}
+
+/**
+ * Check the If-Match header of a request against the current version of an item.
+ * Throws a 412 error if the client's copy of the item is out of date.
+ * @param {import('express').Request} req
+ * @param {any} resource the current version of the item
+ */
+export function checkIfMatch(req, resource) {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    return;
+  }
+  const etags = ifMatch.split(',').map((etag) => etag.trim());
+  if (!etags.includes('*') && !etags.includes(resource._etag)) {
+    throw preconditionFailed(resource);
+  }
+}
+
+/**
+ * Set the ETag header of a response, from the current version of an item.
+ * When the request has a matching If-None-Match header,
+ * Express will then respond with 304 Not Modified.
+ * @param {import('express').Response} res
+ * @param {any} resource
+ */
+export function setETag(res, resource) {
+  if (resource && resource._etag) {
+    res.set('ETag', resource._etag);
+  }
+}
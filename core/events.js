@@ -0,0 +1,38 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Emits a "change" event whenever a project, issue, comment or attachment
+ * is created, updated or deleted.
+ *
+ * The event is an object of the form:
+ * {
+ *   event: 'issue.updated',
+ *   projectId, issueId, commentId,
+ *   resource, changes, changedOn, changedBy
+ * }
+ */
+export const changeEvents = new EventEmitter();
+
+/**
+ * Name the event for a change, e.g. "issue.created".
+ * @param {'Project'|'Issue'|'Comment'|'Attachment'} entityType
+ * @param {'create'|'update'|'delete'} action
+ * @returns {string}
+ */
+export function toEventName(entityType, action) {
+  return entityType.toLowerCase() + '.' + action + 'd';
+}
+
+/**
+ * All of the event names.
+ */
+export const eventNames = [
+  ...['Project', 'Issue', 'Comment'].flatMap((entityType) =>
+    ['create', 'update', 'delete'].map((action) =>
+      toEventName(entityType, action)
+    )
+  ),
+  // attachments are never updated
+  toEventName('Attachment', 'create'),
+  toEventName('Attachment', 'delete'),
+];
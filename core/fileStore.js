@@ -0,0 +1,64 @@
+import config from 'config';
+import debug from 'debug';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+const debugFiles = debug('app:core:fileStore');
+
+/**
+ * A store for the contents of uploaded files, addressed by key.
+ * @typedef {{
+ *  write: (key: string, data: Buffer) => Promise<void>,
+ *  read: (key: string) => Promise<import('stream').Readable>,
+ *  remove: (key: string) => Promise<void>
+ * }} FileStore
+ */
+
+/**
+ * Create a store that keeps each file on the local disk, under a directory.
+ * @param {string} dir
+ * @returns {FileStore}
+ */
+function createDiskStore(dir) {
+  const toPath = (key) => path.join(dir, ...key.split('/'));
+  return {
+    write: async (key, data) => {
+      const file = toPath(key);
+      await fsPromises.mkdir(path.dirname(file), { recursive: true });
+      await fsPromises.writeFile(file, data);
+    },
+    read: async (key) => {
+      const file = toPath(key);
+      // fail before any of the response has been sent
+      await fsPromises.access(file);
+      return fs.createReadStream(file);
+    },
+    remove: async (key) => {
+      // already removed, if an earlier removal was interrupted
+      await fsPromises.rm(toPath(key), { force: true });
+    },
+  };
+}
+
+/**
+ * Select the file store.
+ * The "disk" driver keeps each file on the local disk.
+ * @returns {FileStore}
+ */
+function createFileStore() {
+  const { driver, dir } = config.get('attachments.storage');
+  debugFiles('driver =', driver);
+
+  switch (driver) {
+    case 'disk':
+      return createDiskStore(dir);
+    default:
+      throw new Error(`Unknown file storage driver: ${driver}`);
+  }
+}
+
+/**
+ * The store for the contents of attachments.
+ */
+export const fileStore = createFileStore();
@@ -0,0 +1,73 @@
+/**
+ * The signatures of the binary file types that can be recognised,
+ * as the bytes (in hex) that are found at each offset of the file.
+ */
+const signatures = [
+  { type: 'image/png', parts: [[0, '89504e470d0a1a0a']] },
+  { type: 'image/jpeg', parts: [[0, 'ffd8ff']] },
+  { type: 'image/gif', parts: [[0, '474946383761']] },
+  { type: 'image/gif', parts: [[0, '474946383961']] },
+  {
+    type: 'image/webp',
+    parts: [
+      [0, '52494646'],
+      [8, '57454250'],
+    ],
+  },
+  { type: 'application/pdf', parts: [[0, '255044462d']] },
+  { type: 'application/zip', parts: [[0, '504b0304']] },
+  { type: 'application/zip', parts: [[0, '504b0506']] },
+  { type: 'application/gzip', parts: [[0, '1f8b']] },
+];
+
+/**
+ * The text types that a client may claim for a file that is plain text.
+ * Any other claim is replaced with "text/plain".
+ */
+const textTypes = [
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+];
+
+/**
+ * Check if a file is UTF-8 text.
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+function isText(data) {
+  if (data.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(data);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Work out the type of a file from its contents,
+ * rather than trusting the type claimed by the client.
+ * @param {Buffer} data the contents of the file
+ * @param {string} claimedType the type claimed by the client
+ * @returns {string} the content type,
+ *  or "application/octet-stream" if it is not recognised
+ */
+export function sniffContentType(data, claimedType) {
+  for (const { type, parts } of signatures) {
+    const matches = parts.every(([offset, hex]) => {
+      const bytes = Buffer.from(hex, 'hex');
+      return bytes.equals(data.subarray(offset, offset + bytes.length));
+    });
+    if (matches) {
+      return type;
+    }
+  }
+  if (isText(data)) {
+    return textTypes.includes(claimedType) ? claimedType : 'text/plain';
+  }
+  return 'application/octet-stream';
+}
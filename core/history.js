@@ -0,0 +1,101 @@
+import debug from 'debug';
+import { nanoid } from 'nanoid';
+import _ from 'lodash';
+import { History } from './db.js';
+import { changeEvents, toEventName } from './events.js';
+
+const debugHistory = debug('app:core:history');
+
+/**
+ * Fields that change on every write, are derived from other fields,
+ * or are managed by the storage driver, and so are left out of the changes.
+ */
+const ignoredFields = [
+  'id',
+  'type',
+  'lastUpdatedOn',
+  'lastUpdatedBy',
+  'memberIds',
+  'mentionIds',
+  'descriptionHtml',
+  'html',
+  'edits',
+  'edited',
+  'links',
+  'transitions',
+  '_partitionKey',
+  '_rid',
+  '_self',
+  '_etag',
+  '_attachments',
+  '_ts',
+];
+
+/**
+ * Compare two versions of a document, field by field.
+ * @param {any} before the old version (or null, if the document was created)
+ * @param {any} after the new version (or null, if the document was deleted)
+ * @returns {{ field: string, before: any, after: any }[]}
+ */
+export function diffFields(before, after) {
+  const fields = _.union(_.keys(before), _.keys(after));
+  const changes = [];
+  for (const field of _.difference(fields, ignoredFields)) {
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (!_.isEqual(oldValue, newValue)) {
+      changes.push({
+        field,
+        before: oldValue === undefined ? null : oldValue,
+        after: newValue === undefined ? null : newValue,
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Append an entry to the change log of a project, issue, comment or attachment.
+ * Also emits the change to any listeners of changeEvents.
+ * @param {'Project'|'Issue'|'Comment'|'Attachment'} entityType
+ * @param {'create'|'update'|'delete'} action
+ * @param {any} before the old version (or null, if the document was created)
+ * @param {any} after the new version (or null, if the document was deleted)
+ * @param {any} auth the user who made the change
+ * @returns {Promise<any>} the history entry
+ */
+export async function recordHistory(entityType, action, before, after, auth) {
+  const doc = after || before;
+  const changes = diffFields(before, after);
+  if (action === 'update' && !changes.length) {
+    return null;
+  }
+
+  const entry = {
+    id: nanoid(),
+    projectId: doc.projectId,
+    issueId: doc.issueId,
+    commentId: entityType === 'Comment' ? doc.id : doc.commentId || undefined,
+    entityType,
+    action,
+    changes,
+    changedFields: _.map(changes, 'field'),
+    changedOn: new Date(),
+    changedBy: _.pick(auth, 'userId', 'email'),
+  };
+
+  const resource = await History.add(entry);
+  debugHistory(`${entityType} ${doc.id} ${action} recorded.`);
+
+  changeEvents.emit('change', {
+    event: toEventName(entityType, action),
+    projectId: entry.projectId,
+    issueId: entry.issueId,
+    commentId: entry.commentId,
+    resource: doc,
+    changes: entry.changes,
+    changedOn: entry.changedOn,
+    changedBy: entry.changedBy,
+  });
+  return resource;
+}
@@ -0,0 +1,518 @@
+import debug from 'debug';
+import { nanoid } from 'nanoid';
+import _ from 'lodash';
+import Joi from 'joi';
+import { Users, Issues, IssueComments } from './db.js';
+import { issueSchema, commentSchema } from './schemas.js';
+import { issueStatuses, initialStatus } from './workflow.js';
+import { doneStatuses } from './issueLinks.js';
+import {
+  getCategories,
+  getCategory,
+  findUnknownCategories,
+} from './categories.js';
+import { getMember } from './membership.js';
+import { applyMentions } from './mentions.js';
+import { recordHistory } from './history.js';
+
+const debugImport = debug('app:core:importExport');
+
+/**
+ * Fields that are managed by the storage driver,
+ * and so are left out of exports.
+ */
+const storageFields = [
+  '_partitionKey',
+  '_rid',
+  '_self',
+  '_etag',
+  '_attachments',
+  '_ts',
+];
+
+/**
+ * The columns of issues exported as, or imported from, CSV.
+ * Users are given by email, and labels by name, separated by semicolons.
+ */
+export const issueCsvColumns = [
+  'externalId',
+  'issueId',
+  'title',
+  'description',
+  'priority',
+  'status',
+  'assignedTo',
+  'labels',
+  'component',
+  'milestone',
+  'createdOn',
+  'createdBy',
+  'resolvedOn',
+];
+
+/**
+ * A user, given either by email or as a { userId, email } reference.
+ */
+const userRefSchema = Joi.alternatives(
+  Joi.string().trim().lowercase().email(),
+  Joi.object({
+    email: Joi.string().trim().lowercase().email().allow(null),
+  }).unknown()
+).allow(null);
+
+const importIssueSchema = issueSchema
+  .keys({
+    externalId: Joi.string().trim(),
+    issueId: Joi.string().trim(),
+    status: Joi.string()
+      .valid(...issueStatuses)
+      .default(initialStatus),
+    assignedTo: userRefSchema,
+    createdBy: userRefSchema,
+    createdOn: Joi.date().iso(),
+    resolvedOn: Joi.date().iso().allow(null),
+    labels: Joi.alternatives(
+      Joi.array().items(Joi.string().trim()),
+      Joi.string().trim()
+    ),
+    component: Joi.string().trim().allow(null),
+    milestone: Joi.string().trim().allow(null),
+  })
+  .or('externalId', 'issueId');
+
+const importCommentSchema = commentSchema
+  .keys({
+    externalId: Joi.string().trim(),
+    id: Joi.string().trim(),
+    issueExternalId: Joi.string().trim(),
+    issueId: Joi.string().trim(),
+    parentExternalId: Joi.string().trim(),
+    createdBy: userRefSchema,
+    createdOn: Joi.date().iso(),
+  })
+  .or('externalId', 'id')
+  .or('issueExternalId', 'issueId');
+
+/**
+ * The data of an import.
+ * @typedef {{ issues?: any[], comments?: any[] }} ImportData
+ */
+
+/**
+ * The outcome of importing a single row.
+ * @typedef {{
+ *  row: number,
+ *  externalId: string|null,
+ *  action: 'created'|'updated'|'unchanged'|'failed',
+ *  id?: string|null,
+ *  errors?: string[]
+ * }} ImportResult
+ */
+
+/**
+ * Look up the names of the categories that an issue references.
+ * @param {any} project
+ * @param {any} issue
+ * @returns {{ labels: string[], component: string|null, milestone: string|null }}
+ */
+function toCategoryNames(project, issue) {
+  const nameOf = (kind, id) => _.get(getCategory(project, kind, id), 'name');
+  return {
+    labels: _.compact((issue.labelIds || []).map((id) => nameOf('label', id))),
+    component: nameOf('component', issue.componentId) || null,
+    milestone: nameOf('milestone', issue.milestoneId) || null,
+  };
+}
+
+/**
+ * Export a project, with its issues and comments.
+ * Items in the trash are left out.
+ * @param {any} project
+ * @param {any} auth the user exporting the project
+ * @returns {Promise<any>}
+ */
+export async function exportProject(project, auth) {
+  const { projectId } = project;
+  const issues = await Issues.getAllIssuesForProject(projectId);
+  const comments = await IssueComments.getAllCommentsForProject(projectId);
+  debugImport(
+    `Project ${projectId} exported, with ${issues.length} issues and ${comments.length} comments.`
+  );
+  return {
+    version: 1,
+    exportedOn: new Date(),
+    exportedBy: _.pick(auth, 'userId', 'email'),
+    project: _.omit(project, storageFields),
+    issues: _.sortBy(issues, 'createdOn').map((issue) => ({
+      ..._.omit(issue, storageFields),
+      ...toCategoryNames(project, issue),
+    })),
+    comments: comments.map((comment) => _.omit(comment, storageFields)),
+  };
+}
+
+/**
+ * Export the issues of a project as rows for a CSV file.
+ * @param {any} project
+ * @returns {Promise<any[]>} rows with the issueCsvColumns
+ */
+export async function exportIssueRows(project) {
+  const issues = await Issues.getAllIssuesForProject(project.projectId);
+  return _.sortBy(issues, 'createdOn').map((issue) => {
+    const { labels, component, milestone } = toCategoryNames(project, issue);
+    return {
+      ..._.pick(issue, issueCsvColumns),
+      assignedTo: _.get(issue, 'assignedTo.email'),
+      createdBy: _.get(issue, 'createdBy.email'),
+      labels: labels.join(';'),
+      component,
+      milestone,
+    };
+  });
+}
+
+/**
+ * Validate a row against a schema.
+ * Empty values, such as the blank cells of a CSV file, are left out,
+ * and fields that the schema does not know about are ignored.
+ * @param {Joi.ObjectSchema} schema
+ * @param {any} raw
+ * @returns {{ value: any, errors: string[] }}
+ */
+function validateRow(schema, raw) {
+  const row = _.omitBy(
+    raw,
+    (value, key) => (value === '' && key !== 'priority') || value === undefined
+  );
+  const { value, error } = schema.validate(row, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+  return { value, errors: error ? _.map(error.details, 'message') : [] };
+}
+
+/**
+ * Creates a function that finds users by email,
+ * remembering the users it has already found.
+ * @returns {(ref: any) => Promise<{ email: string|null, user: any }>}
+ */
+function createUserLookup() {
+  const users = new Map();
+  return async (ref) => {
+    const email = (typeof ref === 'string' ? ref : _.get(ref, 'email')) || null;
+    if (email && !users.has(email)) {
+      users.set(email, await Users.getByEmail(email));
+    }
+    return { email, user: email ? users.get(email) : null };
+  };
+}
+
+/**
+ * Work out the category fields of an imported issue.
+ * Categories may be given by name (labels, component and milestone),
+ * which are looked up in the project, or else by id.
+ * @param {any} project
+ * @param {any} value the validated row
+ * @param {string[]} errors any unknown categories are added to these
+ * @returns {any}
+ */
+function toCategoryFields(project, value, errors) {
+  const idOf = (kind, name) => {
+    const category = _.find(
+      getCategories(project, kind),
+      (category) => category.name.toLowerCase() === name.toLowerCase()
+    );
+    if (!category) {
+      errors.push(`Unknown ${kind} "${name}".`);
+    }
+    return category ? category.id : null;
+  };
+
+  const fields = _.pick(value, 'labelIds', 'componentId', 'milestoneId');
+  if (value.labels !== undefined) {
+    const names = _.isArray(value.labels)
+      ? value.labels
+      : value.labels.split(';');
+    fields.labelIds = _.uniq(
+      _.compact(names.map((name) => name.trim()))
+        .map((name) => idOf('label', name))
+        .filter((id) => id)
+    );
+  }
+  if (value.component !== undefined) {
+    fields.componentId = value.component && idOf('component', value.component);
+  }
+  if (value.milestone !== undefined) {
+    fields.milestoneId = value.milestone && idOf('milestone', value.milestone);
+  }
+  for (const { kind, id } of findUnknownCategories(project, fields)) {
+    errors.push(`Unknown ${kind} id "${id}".`);
+  }
+  return fields;
+}
+
+/**
+ * Check if an imported value is the same as the current value,
+ * counting missing values, nulls and empty lists as the same.
+ * @param {any} value
+ * @param {any} current
+ * @returns {boolean}
+ */
+function isSameValue(value, current) {
+  const isBlank = (x) => _.isNil(x) || (_.isArray(x) && !x.length);
+  return _.isEqual(value, current) || (isBlank(value) && isBlank(current));
+}
+
+/**
+ * Keep the resolution of an issue up to date when its status changes,
+ * as the status route does.
+ * @param {any} issue
+ * @param {string|null} fromStatus the status before the change
+ * @param {Date} resolvedOn
+ */
+function setResolution(issue, fromStatus, resolvedOn) {
+  if (!doneStatuses.includes(issue.status)) {
+    delete issue.resolvedOn;
+    delete issue.resolutionInSeconds;
+  } else if (!doneStatuses.includes(fromStatus)) {
+    issue.resolvedOn = resolvedOn;
+    issue.resolutionInSeconds = Math.round(
+      (resolvedOn - new Date(issue.createdOn)) / 1000
+    );
+  }
+}
+
+/**
+ * Import issues and comments into a project.
+ * Each row is validated, and the rows that fail are reported and skipped.
+ * Rows are matched to existing issues and comments by their external id,
+ * (or by their id, when re-importing an export of the same project),
+ * so that importing the same data again updates rather than duplicates.
+ * @param {any} project
+ * @param {ImportData} data
+ * @param {{ dryRun: boolean }} options
+ *  a dry run reports what would happen, without changing anything
+ * @param {any} auth the user importing the data
+ * @returns {Promise<{ dryRun: boolean, issues: ImportResult[], comments: ImportResult[] }>}
+ */
+export async function importProject(project, data, { dryRun }, auth) {
+  const { projectId } = project;
+  const findUser = createUserLookup();
+  const importedBy = _.pick(auth, 'userId', 'email');
+  const now = new Date();
+
+  // the issues and comments imported so far, keyed by both external id and id
+  // (in a dry run, the ones that would be created have no id)
+  const issueKeys = new Map();
+  const commentKeys = new Map();
+
+  const findIssue = async (key) =>
+    issueKeys.get(key) ||
+    (await Issues.getByExternalId(projectId, key)) ||
+    (await Issues.getById(projectId, key, true));
+
+  const issueResults = [];
+  for (const [i, raw] of (data.issues || []).entries()) {
+    const { value, errors } = validateRow(importIssueSchema, raw);
+    const result = {
+      row: i + 1,
+      externalId: value.externalId || value.issueId || null,
+    };
+    issueResults.push(result);
+    if (errors.length) {
+      Object.assign(result, { action: 'failed', errors });
+      continue;
+    }
+
+    const fields = {
+      ..._.pick(value, 'title', 'description', 'priority', 'status'),
+      ...toCategoryFields(project, value, errors),
+    };
+    const assignee = await findUser(value.assignedTo);
+    if (assignee.email) {
+      if (!assignee.user || !getMember(project, assignee.user.userId)) {
+        errors.push(`Assignee ${assignee.email} is not a member.`);
+      } else {
+        fields.assignedTo = _.pick(assignee.user, 'userId', 'email');
+      }
+    } else if (value.assignedTo === null) {
+      fields.assignedTo = null;
+    }
+
+    const existing = await findIssue(result.externalId);
+    if (existing && existing.deletedOn) {
+      errors.push('The issue is in the trash.');
+    }
+    if (errors.length) {
+      Object.assign(result, { action: 'failed', errors });
+      continue;
+    }
+
+    let imported = existing;
+    if (existing) {
+      const changed = _.pickBy(
+        fields,
+        (fieldValue, key) => !isSameValue(fieldValue, existing[key])
+      );
+      result.id = existing.issueId;
+      result.action = _.isEmpty(changed) ? 'unchanged' : 'updated';
+      if (!dryRun && result.action === 'updated') {
+        const before = _.cloneDeep(existing);
+        Object.assign(existing, changed, {
+          lastUpdatedOn: now,
+          lastUpdatedBy: importedBy,
+        });
+        setResolution(existing, before.status, value.resolvedOn || now);
+        await applyMentions(
+          project,
+          existing,
+          'description',
+          'descriptionHtml'
+        );
+        imported = await Issues.replace(projectId, existing.issueId, existing);
+        await recordHistory('Issue', 'update', before, imported, auth);
+      }
+    } else {
+      const issueId = nanoid();
+      const creator = await findUser(value.createdBy);
+      const createdOn = value.createdOn || now;
+      const newIssue = {
+        id: issueId,
+        issueId,
+        projectId,
+        type: 'Issue',
+        externalId: result.externalId,
+        ...fields,
+        createdOn,
+        createdBy: creator.user
+          ? _.pick(creator.user, 'userId', 'email')
+          : creator.email
+          ? { userId: null, email: creator.email }
+          : importedBy,
+        importedOn: now,
+        importedBy,
+      };
+      setResolution(newIssue, null, value.resolvedOn || now);
+      await applyMentions(project, newIssue, 'description', 'descriptionHtml');
+      result.action = 'created';
+      if (dryRun) {
+        newIssue.issueId = result.id = null;
+        imported = newIssue;
+      } else {
+        imported = await Issues.add(newIssue);
+        await recordHistory('Issue', 'create', null, imported, auth);
+        result.id = issueId;
+      }
+    }
+
+    // so that later rows and comments can find the issue, even in a dry run
+    issueKeys.set(result.externalId, imported);
+    if (value.issueId) {
+      issueKeys.set(value.issueId, imported);
+    }
+  }
+
+  const commentResults = [];
+  for (const [i, raw] of (data.comments || []).entries()) {
+    const { value, errors } = validateRow(importCommentSchema, raw);
+    const result = {
+      row: i + 1,
+      externalId: value.externalId || value.id || null,
+    };
+    commentResults.push(result);
+    if (errors.length) {
+      Object.assign(result, { action: 'failed', errors });
+      continue;
+    }
+
+    const issueKey = value.issueExternalId || value.issueId;
+    const issue = await findIssue(issueKey);
+    if (!issue || issue.deletedOn) {
+      errors.push(`Issue ${issueKey} not found.`);
+    }
+    const issueId = issue && issue.issueId;
+
+    const findComment = async (key) =>
+      commentKeys.get(key) ||
+      (issueId &&
+        ((await IssueComments.getByExternalId(projectId, issueId, key)) ||
+          (await IssueComments.getById(projectId, issueId, key)))) ||
+      null;
+    const existing = await findComment(result.externalId);
+
+    const parentKey = value.parentExternalId || value.parentCommentId;
+    const parent = parentKey ? await findComment(parentKey) : null;
+    if (parentKey && !parent) {
+      errors.push(`Parent comment ${parentKey} not found.`);
+    }
+    if (errors.length) {
+      Object.assign(result, { action: 'failed', errors });
+      continue;
+    }
+
+    let imported = existing;
+    if (existing) {
+      result.id = existing.id;
+      result.action = existing.text === value.text ? 'unchanged' : 'updated';
+      if (!dryRun && result.action === 'updated') {
+        const before = _.cloneDeep(existing);
+        existing.text = value.text;
+        await applyMentions(project, existing, 'text', 'html');
+        existing.lastUpdatedOn = now;
+        existing.lastUpdatedBy = importedBy;
+        imported = await IssueComments.replace(
+          projectId,
+          issueId,
+          existing.id,
+          existing
+        );
+        await recordHistory('Comment', 'update', before, imported, auth);
+      }
+    } else {
+      const commentId = nanoid();
+      const creator = await findUser(value.createdBy);
+      const newComment = {
+        id: commentId,
+        issueId,
+        projectId,
+        type: 'Comment',
+        externalId: result.externalId,
+        text: value.text,
+        createdOn: value.createdOn || now,
+        createdBy: creator.user
+          ? _.pick(creator.user, 'userId', 'email')
+          : creator.email
+          ? { userId: null, email: creator.email }
+          : importedBy,
+        importedOn: now,
+        importedBy,
+      };
+      if (parent) {
+        newComment.parentCommentId = parent.id;
+      }
+      await applyMentions(project, newComment, 'text', 'html');
+      result.action = 'created';
+      if (dryRun) {
+        newComment.id = result.id = null;
+        imported = newComment;
+      } else {
+        imported = await IssueComments.add(newComment);
+        await recordHistory('Comment', 'create', null, imported, auth);
+        result.id = commentId;
+      }
+    }
+
+    // so that later rows and replies can find the comment, even in a dry run
+    commentKeys.set(result.externalId, imported);
+    if (value.id) {
+      commentKeys.set(value.id, imported);
+    }
+  }
+
+  debugImport(
+    `${dryRun ? 'Dry run of import' : 'Import'} into project ${projectId}, ${
+      issueResults.length
+    } issues and ${commentResults.length} comments.`
+  );
+  return { dryRun, issues: issueResults, comments: commentResults };
+}
@@ -0,0 +1,234 @@
+import debug from 'debug';
+import { nanoid } from 'nanoid';
+import _ from 'lodash';
+import { Issues } from './db.js';
+import { isPreconditionError } from './etag.js';
+
+const debugLinks = debug('app:core:issueLinks');
+
+/**
+ * How many times to try changing the links of an issue
+ * that keeps being changed by someone else.
+ */
+const maxAttempts = 3;
+
+/**
+ * The types of link between two issues, and the inverse of each,
+ * which is added to the other issue.
+ */
+export const linkTypes = {
+  blocks: 'blocked-by',
+  'blocked-by': 'blocks',
+  duplicates: 'duplicated-by',
+  'duplicated-by': 'duplicates',
+  'relates-to': 'relates-to',
+};
+
+/**
+ * The statuses of issues that no longer block other issues.
+ */
+export const doneStatuses = ['resolved', 'closed'];
+
+/**
+ * Find a link from an issue to another issue.
+ * @param {any} issue
+ * @param {string} type
+ * @param {{ projectId: string, issueId: string }} target
+ * @returns {any} the link, or undefined if there is none
+ */
+export function findLink(issue, type, { projectId, issueId }) {
+  return _.find(issue.links, { type, projectId, issueId });
+}
+
+/**
+ * Check if a link would make a chain of blocking issues go round in a circle.
+ * The chain is followed through any issues that it reaches,
+ * across projects and including those in the trash.
+ * @param {any} source the issue the link is from
+ * @param {string} type the type of link
+ * @param {any} target the issue the link is to
+ * @returns {Promise<boolean>}
+ */
+export async function wouldCreateCycle(source, type, target) {
+  if (type !== 'blocks' && type !== 'blocked-by') {
+    return false;
+  }
+  // "a blocked-by b" is the same as "b blocks a"
+  const [blocker, blocked] =
+    type === 'blocks' ? [source, target] : [target, source];
+
+  // a cycle is made if the blocked issue already blocks the blocker
+  const key = (issue) => issue.projectId + ';' + issue.issueId;
+  const visited = new Set([key(blocked)]);
+  const queue = [blocked];
+  while (queue.length) {
+    const issue = queue.shift();
+    for (const link of _.filter(issue.links, { type: 'blocks' })) {
+      if (key(link) === key(blocker)) {
+        return true;
+      }
+      if (!visited.has(key(link))) {
+        visited.add(key(link));
+        const next = await Issues.getById(link.projectId, link.issueId, true);
+        if (next) {
+          queue.push(next);
+        }
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Change the links of an issue, writing it with its etag.
+ * If the issue has been changed by someone else in the meantime,
+ * the change is made again to the current version.
+ * @param {any} issue
+ * @param {(links: any[]) => any[]} change
+ * @param {any} fields other fields to set, e.g. lastUpdatedOn
+ * @returns {Promise<any>} the new version of the issue
+ */
+async function changeLinks(issue, change, fields = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const newIssue = { ...issue, ...fields, links: change(issue.links || []) };
+    try {
+      return await Issues.replace(
+        issue.projectId,
+        issue.issueId,
+        newIssue,
+        issue._etag
+      );
+    } catch (err) {
+      if (
+        !isPreconditionError(err) ||
+        !err.fields.resource ||
+        attempt >= maxAttempts
+      ) {
+        throw err;
+      }
+      issue = err.fields.resource;
+    }
+  }
+}
+
+/**
+ * Link two issues, adding the inverse link to the target issue.
+ * Both links share the same id. If the target cannot be written,
+ * the link is taken off the source again, so that neither is left
+ * with only one half of the link.
+ * @param {any} source
+ * @param {string} type
+ * @param {any} target
+ * @param {any} auth the user adding the link
+ * @returns {Promise<{ link: any, source: any, target: any }>}
+ *  the link, and the new versions of both issues
+ */
+export async function addLink(source, type, target, auth) {
+  const now = new Date();
+  const createdBy = _.pick(auth, 'userId', 'email');
+  const id = nanoid();
+  const newLink = (issue, type) => ({
+    id,
+    type,
+    projectId: issue.projectId,
+    issueId: issue.issueId,
+    createdOn: now,
+    createdBy,
+  });
+
+  const link = newLink(target, type);
+  source.links = [...(source.links || []), link];
+  source.lastUpdatedOn = now;
+  source.lastUpdatedBy = createdBy;
+  source = await Issues.replace(
+    source.projectId,
+    source.issueId,
+    source,
+    source._etag
+  );
+
+  const inverse = newLink(source, linkTypes[type]);
+  try {
+    target = await changeLinks(target, (links) => [...links, inverse], {
+      lastUpdatedOn: now,
+      lastUpdatedBy: createdBy,
+    });
+  } catch (err) {
+    await changeLinks(source, (links) => _.reject(links, { id }));
+    throw err;
+  }
+  debugLinks(`Issue ${source.issueId} ${type} ${target.issueId}.`);
+  return { link, source, target };
+}
+
+/**
+ * Remove a link from an issue, along with its inverse from the other issue.
+ * The other issue is left alone if it no longer exists.
+ * If it cannot be written, the link is put back on the source.
+ * @param {any} source
+ * @param {any} link
+ * @param {any} auth the user removing the link
+ * @returns {Promise<{ source: any, target: any }>}
+ *  the new versions of both issues (target is null if it no longer exists)
+ */
+export async function removeLink(source, link, auth) {
+  const now = new Date();
+  const updatedBy = _.pick(auth, 'userId', 'email');
+
+  source.links = _.reject(source.links, { id: link.id });
+  source.lastUpdatedOn = now;
+  source.lastUpdatedBy = updatedBy;
+  source = await Issues.replace(
+    source.projectId,
+    source.issueId,
+    source,
+    source._etag
+  );
+
+  let target = await Issues.getById(link.projectId, link.issueId, true);
+  if (target) {
+    try {
+      target = await changeLinks(
+        target,
+        (links) => _.reject(links, { id: link.id }),
+        { lastUpdatedOn: now, lastUpdatedBy: updatedBy }
+      );
+    } catch (err) {
+      await changeLinks(source, (links) => [...links, link]);
+      throw err;
+    }
+  }
+  debugLinks(`Link ${link.id} removed from issue ${source.issueId}.`);
+  return { source, target };
+}
+
+/**
+ * Remove the inverse of each of an issue's links from the other issues,
+ * when the issue is being permanently removed.
+ * @param {any} issue
+ */
+export async function unlinkIssue(issue) {
+  for (const link of issue.links || []) {
+    const target = await Issues.getById(link.projectId, link.issueId, true);
+    if (target) {
+      await changeLinks(target, (links) => _.reject(links, { id: link.id }));
+    }
+  }
+}
+
+/**
+ * Find the issues that block an issue, and are not yet resolved or closed.
+ * Blockers in the trash are not counted.
+ * @param {any} issue
+ * @returns {Promise<any[]>}
+ */
+export async function getOpenBlockers(issue) {
+  const blockers = [];
+  for (const link of _.filter(issue.links, { type: 'blocked-by' })) {
+    const blocker = await Issues.getById(link.projectId, link.issueId);
+    if (blocker && !doneStatuses.includes(blocker.status)) {
+      blockers.push(blocker);
+    }
+  }
+  return blockers;
+}
@@ -0,0 +1,115 @@
+import config from 'config';
+import debug from 'debug';
+import { nanoid } from 'nanoid';
+import _ from 'lodash';
+import { Jobs } from './db.js';
+import { removeProject } from './cascade.js';
+import { isPreconditionError } from './etag.js';
+import { claimLease, getLeaseExpiry, withLease } from './leases.js';
+
+const debugJobs = debug('app:core:jobs');
+const { leaseInSeconds } = config.get('jobs');
+
+/**
+ * The work done by each kind of job.
+ * Each handler must be safe to run again, as a job that was interrupted
+ * by the server stopping is started over when the server starts.
+ */
+const jobHandlers = {
+  'delete-project': (job, onProgress) =>
+    removeProject(job.projectId, onProgress),
+};
+
+/**
+ * Run a job, recording its status and progress as it goes.
+ * Every server resumes the unfinished jobs, so the job is first claimed,
+ * and only the server whose claim succeeds runs it. The claim is renewed
+ * with each report of progress, and if another server has taken the job
+ * over in the meantime (e.g. after the lease ran out), this one stops.
+ * @param {any} job the job, as last read
+ */
+async function runJob(job) {
+  const { projectId, id } = job;
+  const replace = (doc, etag) => Jobs.replace(projectId, id, doc, etag);
+  job = await claimLease(
+    { ...job, status: 'running', startedOn: new Date() },
+    replace,
+    leaseInSeconds
+  );
+  if (!job) {
+    // another server has it, so check again once it should be done
+    const current = await Jobs.getById(projectId, id);
+    if (current && ['pending', 'running'].includes(current.status)) {
+      scheduleJob(current);
+    }
+    return;
+  }
+  debugJobs(`Job ${id} ${job.kind} started.`);
+
+  try {
+    await jobHandlers[job.kind](job, async (done, total) => {
+      job.progress = { done, total };
+      job = await replace(withLease(job, leaseInSeconds), job._etag);
+    });
+    job.status = 'succeeded';
+  } catch (err) {
+    if (isPreconditionError(err)) {
+      debugJobs(`Job ${id} ${job.kind} taken over by another server.`);
+      return;
+    }
+    job.status = 'failed';
+    job.error = err.message;
+    debugJobs(`Job ${id} ${job.kind} failed: ${err.message}`);
+  }
+  job.finishedOn = new Date();
+  job.lease = null;
+  await replace(job, job._etag);
+  debugJobs(`Job ${id} ${job.kind} ${job.status}.`);
+}
+
+/**
+ * Run a job in the background,
+ * or check on it later, if another server has claimed it.
+ * @param {any} job
+ */
+function scheduleJob(job) {
+  const expiresOn = getLeaseExpiry(job);
+  const delay = expiresOn ? Math.max(0, expiresOn.getTime() - Date.now()) : 0;
+  setTimeout(() => {
+    runJob(job).catch((err) =>
+      debugJobs(`Job ${job.id} error: ${err.message}`)
+    );
+  }, delay).unref();
+}
+
+/**
+ * Queue a job to run in the background.
+ * @param {'delete-project'} kind
+ * @param {string} projectId
+ * @param {any} auth the user who started the job
+ * @returns {Promise<any>} the job
+ */
+export async function startJob(kind, projectId, auth) {
+  const job = {
+    id: nanoid(),
+    projectId,
+    kind,
+    status: 'pending',
+    progress: { done: 0, total: null },
+    createdOn: new Date(),
+    createdBy: _.pick(auth, 'userId', 'email'),
+  };
+  const resource = await Jobs.add(job);
+  scheduleJob(resource);
+  return resource;
+}
+
+/**
+ * Start over any jobs that were unfinished when the server stopped,
+ * or that other servers are running, in case they stop.
+ */
+export async function resumeJobs() {
+  const jobs = await Jobs.getAllUnfinished();
+  jobs.forEach(scheduleJob);
+  debugJobs(`Jobs started, ${jobs.length} resumed.`);
+}
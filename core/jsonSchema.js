@@ -0,0 +1,165 @@
+import _ from 'lodash';
+
+/**
+ * A JSON Schema, as used by OpenAPI 3.1.
+ * @typedef {Object<string, any>} JsonSchema
+ */
+
+/**
+ * Convert a Joi schema to a JSON Schema.
+ * Joi schemas tagged with .meta({ component: 'Name' }) are referred to
+ * as "#/components/schemas/Name", and are added to the components.
+ * @param {import('joi').Schema} schema
+ * @param {Object<string, JsonSchema>} components the named schemas found so far
+ * @returns {JsonSchema}
+ */
+export function toJsonSchema(schema, components = {}) {
+  return fromDescription(schema.describe(), components, true);
+}
+
+/**
+ * Convert the description of a Joi schema to a JSON Schema.
+ * @param {any} desc the output of Joi's describe()
+ * @param {Object<string, JsonSchema>} components
+ * @param {boolean} isRoot true to inline a named schema, rather than refer to it
+ * @returns {JsonSchema}
+ */
+function fromDescription(desc, components, isRoot = false) {
+  const flags = desc.flags || {};
+  const component = _.get(_.find(desc.metas, 'component'), 'component');
+  if (component && !isRoot) {
+    if (!components[component]) {
+      components[component] = {}; // in case it refers to itself
+      components[component] = fromDescription(
+        _.omit(desc, 'allow'),
+        components,
+        true
+      );
+    }
+    const ref = { $ref: `#/components/schemas/${component}` };
+    return (desc.allow || []).includes(null)
+      ? { anyOf: [ref, { type: 'null' }] }
+      : ref;
+  }
+
+  const rules = _.keyBy(desc.rules, 'name');
+  const limit = (name) => _.get(rules, [name, 'args', 'limit']);
+  const schema = {};
+  switch (desc.type) {
+    case 'object': {
+      schema.type = 'object';
+      const keys = _.omitBy(desc.keys, (key) =>
+        ['forbidden', 'strip'].includes(_.get(key, 'flags.presence'))
+      );
+      if (!_.isEmpty(keys)) {
+        schema.properties = _.mapValues(keys, (key) =>
+          fromDescription(key, components)
+        );
+        const required = _.keys(
+          _.pickBy(keys, (key) => _.get(key, 'flags.presence') === 'required')
+        );
+        if (required.length) {
+          schema.required = required;
+        }
+      }
+      if (desc.patterns) {
+        schema.additionalProperties = fromDescription(
+          desc.patterns[0].rule,
+          components
+        );
+      } else if (desc.keys && !flags.unknown) {
+        schema.additionalProperties = false;
+      }
+      break;
+    }
+    case 'array':
+      schema.type = 'array';
+      if (desc.items && desc.items.length === 1) {
+        schema.items = fromDescription(desc.items[0], components);
+      } else if (desc.items && desc.items.length) {
+        schema.items = {
+          anyOf: desc.items.map((x) => fromDescription(x, components)),
+        };
+      }
+      setIfDefined(schema, 'minItems', limit('min'));
+      setIfDefined(schema, 'maxItems', limit('max'));
+      break;
+    case 'string':
+      schema.type = 'string';
+      setIfDefined(schema, 'minLength', limit('min'));
+      setIfDefined(schema, 'maxLength', limit('max'));
+      if (rules.pattern) {
+        const regex = String(rules.pattern.args.regex);
+        schema.pattern = regex.slice(1, regex.lastIndexOf('/'));
+      }
+      if (rules.email) {
+        schema.format = 'email';
+      } else if (rules.uri) {
+        schema.format = 'uri';
+      } else if (rules.isoDate) {
+        schema.format = 'date-time';
+      } else if (rules.guid) {
+        schema.format = 'uuid';
+      }
+      break;
+    case 'number':
+      schema.type = rules.integer ? 'integer' : 'number';
+      setIfDefined(schema, 'minimum', limit('min'));
+      setIfDefined(schema, 'maximum', limit('max'));
+      setIfDefined(schema, 'exclusiveMinimum', limit('greater'));
+      setIfDefined(schema, 'exclusiveMaximum', limit('less'));
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'binary':
+      schema.type = 'string';
+      schema.format = 'binary';
+      break;
+    case 'alternatives':
+      schema.anyOf = _.flatMap(desc.matches, (match) =>
+        match.schema
+          ? [fromDescription(match.schema, components)]
+          : _.compact([match.then, match.otherwise]).map((x) =>
+              fromDescription(x, components)
+            )
+      );
+      break;
+    default:
+      // any, and the types that JSON Schema has no equivalent for
+      break;
+  }
+
+  const allow = desc.allow || [];
+  if (flags.only) {
+    schema.enum = allow;
+    delete schema.type;
+  } else if (allow.includes(null)) {
+    if (schema.type) {
+      schema.type = [schema.type, 'null'];
+    } else if (schema.anyOf) {
+      schema.anyOf.push({ type: 'null' });
+    }
+  }
+  if (flags.default !== undefined && !_.isFunction(flags.default)) {
+    schema.default = flags.default;
+  }
+  setIfDefined(schema, 'description', flags.description);
+  return schema;
+}
+
+/**
+ * Set a keyword of a JSON Schema, unless the value is undefined.
+ * @param {JsonSchema} schema
+ * @param {string} keyword
+ * @param {any} value
+ */
+function setIfDefined(schema, keyword, value) {
+  if (value !== undefined) {
+    schema[keyword] = value;
+  }
+}
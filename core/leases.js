@@ -0,0 +1,63 @@
+import { nanoid } from 'nanoid';
+import { isPreconditionError } from './etag.js';
+
+/**
+ * The id of this server instance, as the owner of the leases that it takes.
+ */
+export const instanceId = nanoid();
+
+/**
+ * Find when another instance's lease on a document runs out.
+ * @param {any} doc
+ * @returns {Date|null} null if the document is free, or leased by this instance
+ */
+export function getLeaseExpiry(doc) {
+  const lease = doc && doc.lease;
+  if (!lease || lease.owner === instanceId) {
+    return null;
+  }
+  const expiresOn = new Date(lease.expiresOn);
+  return expiresOn > new Date() ? expiresOn : null;
+}
+
+/**
+ * Add a lease for this instance to a document.
+ * @param {any} doc
+ * @param {number} leaseInSeconds
+ * @returns {any} a copy of the document
+ */
+export function withLease(doc, leaseInSeconds) {
+  return {
+    ...doc,
+    lease: {
+      owner: instanceId,
+      expiresOn: new Date(Date.now() + leaseInSeconds * 1000),
+    },
+  };
+}
+
+/**
+ * Claim a document for this instance, so that background work on it
+ * (e.g. a webhook delivery or a job) is only done by one server at a time.
+ * The claim is written with the etag of the document as it was read,
+ * so when several servers try at once, only one of them succeeds.
+ * @param {any} doc the document, as last read
+ * @param {(doc: any, etag: string) => Promise<any>} replace
+ *  writes the document, failing with a 412 if the etag no longer matches
+ * @param {number} leaseInSeconds how long the claim lasts, unless renewed
+ * @returns {Promise<any|null>} the claimed document, or null if another
+ *  instance has it
+ */
+export async function claimLease(doc, replace, leaseInSeconds) {
+  if (getLeaseExpiry(doc)) {
+    return null;
+  }
+  try {
+    return await replace(withLease(doc, leaseInSeconds), doc._etag);
+  } catch (err) {
+    if (isPreconditionError(err)) {
+      return null;
+    }
+    throw err;
+  }
+}
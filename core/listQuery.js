@@ -0,0 +1,103 @@
+import config from 'config';
+import Joi from 'joi';
+
+/**
+ * @typedef {import('./cosmos.js').Query} Query
+ */
+
+/**
+ * Describes the query string accepted by a list route.
+ * @typedef {{
+ *  filters: Object<string, string>,
+ *  contains?: Object<string, string>,
+ *  ranges: Object<string, string>,
+ *  sortFields: string[],
+ *  defaultSortBy: string,
+ *  defaultSortDir: 'asc'|'desc'
+ * }} ListQueryOptions
+ */
+
+const { defaultPageSize, maxPageSize } = config.get('paging');
+
+/**
+ * Defines the filtering, sorting and paging parameters for a list route.
+ *
+ * - Each key of `filters` is a query parameter that matches a field exactly.
+ *   Several values may be separated by commas, to match any of them.
+ * - Each key of `contains` is a query parameter that matches an item of an
+ *   array field. Several values may be separated by commas, to match all of them.
+ * - Each key of `ranges` adds "After" and "Before" date parameters,
+ *   e.g. the key "created" adds "createdAfter" and "createdBefore".
+ * - Each of the `sortFields` is an allowed value for the "sortBy" parameter.
+ * - "pageSize" and "continuationToken" select the page of results.
+ *
+ * @param {ListQueryOptions} options
+ * @returns {{
+ *  schema: Joi.ObjectSchema,
+ *  toQuery: (query: any) => Query
+ * }}
+ */
+export function defineListQuery({
+  filters,
+  contains = {},
+  ranges,
+  sortFields,
+  defaultSortBy,
+  defaultSortDir,
+}) {
+  const keys = {
+    sortBy: Joi.string()
+      .valid(...sortFields)
+      .default(defaultSortBy),
+    sortDir: Joi.string()
+      .lowercase()
+      .valid('asc', 'desc')
+      .default(defaultSortDir),
+    pageSize: Joi.number()
+      .integer()
+      .min(1)
+      .max(maxPageSize)
+      .default(defaultPageSize),
+    continuationToken: Joi.string().trim(),
+  };
+  for (const param in { ...filters, ...contains }) {
+    keys[param] = Joi.string().trim();
+  }
+  for (const param in ranges) {
+    keys[param + 'After'] = Joi.date().iso();
+    keys[param + 'Before'] = Joi.date().iso();
+  }
+
+  function toQuery(query) {
+    const where = [];
+    for (const param in filters) {
+      if (query[param]) {
+        const values = query[param].split(',').map((x) => x.trim());
+        if (values.length > 1) {
+          where.push([filters[param], 'in', values]);
+        } else {
+          where.push([filters[param], '=', values[0]]);
+        }
+      }
+    }
+    for (const param in contains) {
+      if (query[param]) {
+        for (const value of query[param].split(',')) {
+          where.push([contains[param], 'contains', value.trim()]);
+        }
+      }
+    }
+    for (const param in ranges) {
+      if (query[param + 'After']) {
+        where.push([ranges[param], '>=', query[param + 'After'].toISOString()]);
+      }
+      if (query[param + 'Before']) {
+        where.push([ranges[param], '<', query[param + 'Before'].toISOString()]);
+      }
+    }
+    const orderBy = [[query.sortBy, query.sortDir === 'desc' ? 'DESC' : 'ASC']];
+    return { where, orderBy };
+  }
+
+  return { schema: Joi.object(keys), toQuery };
+}
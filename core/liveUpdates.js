@@ -0,0 +1,169 @@
+import config from 'config';
+import debug from 'debug';
+import { EventEmitter } from 'events';
+import _ from 'lodash';
+import { ChangeFeeds } from './db.js';
+import { toEventName } from './events.js';
+
+const debugLive = debug('app:core:liveUpdates');
+const { pollIntervalInMs, replayInSeconds, maxReplayEvents } =
+  config.get('liveUpdates');
+
+/**
+ * The entity types that are sent to live clients.
+ */
+const liveEntityTypes = ['Project', 'Issue', 'Comment'];
+
+/**
+ * Emits an "event" for every change read from the change feeds
+ * of the Projects and Issues containers.
+ *
+ * Because the events come from the database, rather than from the routes,
+ * every server sees the changes made through every other server.
+ *
+ * The event is an object of the form:
+ * {
+ *   id: '1717171717.<etag>',
+ *   ts: 1717171717,
+ *   event: 'issue.updated',
+ *   projectId, issueId, commentId,
+ *   resource
+ * }
+ */
+export const liveEvents = new EventEmitter();
+
+// each connected client adds a listener
+liveEvents.setMaxListeners(0);
+
+/**
+ * The most recent events, oldest first,
+ * so that clients that reconnect can catch up on what they missed.
+ */
+const recentEvents = [];
+
+/**
+ * All of the events from this time on (in seconds) are in recentEvents.
+ */
+let replaySince = Math.floor(Date.now() / 1000) - replayInSeconds;
+
+/**
+ * Check if an item was created by its latest change.
+ * The change feed only holds the latest version of each item,
+ * so an item counts as new if it has never been updated,
+ * and was written within a few seconds of being created.
+ * @param {any} item
+ * @returns {boolean}
+ */
+function isNew(item) {
+  const createdOn = Math.floor(new Date(item.createdOn).getTime() / 1000);
+  return !item.lastUpdatedOn && item._ts - createdOn <= 5;
+}
+
+/**
+ * Turn an item from the change feed into a live event.
+ * Issues and comments that are moved to the trash, and projects that are
+ * being deleted, count as deleted. (Deletes are not in the change feed.)
+ * @param {any} item
+ * @returns {any} the event, or null if the item is not sent to clients
+ */
+function toLiveEvent(item) {
+  const entityType = item.type;
+  if (!liveEntityTypes.includes(entityType)) {
+    return null;
+  }
+  const action =
+    item.deleting || item.deletedOn
+      ? 'delete'
+      : isNew(item)
+      ? 'create'
+      : 'update';
+  return {
+    id: `${item._ts}.${item._etag.replace(/"/g, '')}`,
+    ts: item._ts,
+    event: toEventName(entityType, action),
+    projectId: item.projectId,
+    issueId: entityType === 'Project' ? null : item.issueId,
+    commentId: entityType === 'Comment' ? item.id : null,
+    resource: _.omitBy(item, (value, key) => key.startsWith('_')),
+  };
+}
+
+/**
+ * Keep an event for clients that reconnect, and send it to connected clients.
+ * Events are kept for replayInSeconds, up to maxReplayEvents.
+ * @param {any} event
+ */
+function publish(event) {
+  recentEvents.push(event);
+  const expired = Math.floor(Date.now() / 1000) - replayInSeconds;
+  while (
+    recentEvents.length > maxReplayEvents ||
+    (recentEvents.length && recentEvents[0].ts < expired)
+  ) {
+    replaySince = Math.max(replaySince, recentEvents.shift().ts + 1);
+  }
+  liveEvents.emit('event', event);
+}
+
+/**
+ * Find the events that a client missed while it was disconnected.
+ * If the event was read by another server, then the events are matched
+ * by time instead, so the client may be sent a few events that it has
+ * already seen.
+ * @param {string} lastEventId the id of the last event the client received
+ * @returns {any[]|null} the events since then,
+ *  or null if they are too old to replay
+ */
+export function getEventsSince(lastEventId) {
+  const index = _.findIndex(recentEvents, { id: lastEventId });
+  if (index >= 0) {
+    return recentEvents.slice(index + 1);
+  }
+  const ts = parseInt(lastEventId, 10);
+  if (!(ts >= replaySince)) {
+    return null;
+  }
+  return recentEvents.filter((event) => event.ts >= ts);
+}
+
+/**
+ * Read the changes from a change feed, at regular intervals.
+ * @param {string} name
+ * @param {(position: any) => Promise<{ items: any[], continuation: string }>} read
+ * @param {Date} startTime
+ */
+function followFeed(name, read, startTime) {
+  let position = { startTime };
+  const poll = async () => {
+    try {
+      let items;
+      do {
+        const batch = await read(position);
+        position = { continuation: batch.continuation };
+        items = batch.items;
+        for (const item of items) {
+          const event = toLiveEvent(item);
+          if (event) {
+            publish(event);
+          }
+        }
+      } while (items.length);
+    } catch (err) {
+      debugLive(`${name} change feed error: ${err.message}`);
+    }
+    setTimeout(poll, pollIntervalInMs).unref();
+  };
+  poll();
+}
+
+/**
+ * Start following the change feeds of the Projects and Issues containers.
+ * The feeds are read from replayInSeconds ago, so that clients that were
+ * connected to another server can resume from this one.
+ */
+export function startLiveUpdates() {
+  const startTime = new Date(replaySince * 1000);
+  followFeed('Projects', ChangeFeeds.readProjects, startTime);
+  followFeed('Issues', ChangeFeeds.readIssues, startTime);
+  debugLive(`Live updates started, from ${startTime.toISOString()}.`);
+}
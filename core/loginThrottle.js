@@ -0,0 +1,226 @@
+import config from 'config';
+import debug from 'debug';
+import _ from 'lodash';
+import { LoginThrottles } from './db.js';
+import { isPreconditionError } from './etag.js';
+
+const debugThrottle = debug('app:core:loginThrottle');
+const {
+  maxFailuresPerAccount,
+  maxFailuresPerIp,
+  failureWindowInMinutes,
+  lockoutInSeconds,
+  maxLockoutInSeconds,
+} = config.get('loginThrottle');
+
+/**
+ * The number of times to retry counting a failure that lost a race
+ * with another server counting one at the same time.
+ */
+const maxRetries = 5;
+
+/**
+ * Check if a stored counter has run out: it is no longer locked,
+ * and its last failure is older than the window.
+ * @param {any} counter
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isExpired(counter, now) {
+  return new Date(counter.expiresOn) <= now;
+}
+
+/**
+ * Find the counter for an account or IP address.
+ * Counters are kept in the store, keyed by "account:<email>" or
+ * "ip:<address>", so that every server sees the same failures.
+ * Counters that have run out are treated as if there were none.
+ * @param {string} key
+ * @param {Date} now
+ * @returns {Promise<any>}
+ */
+async function getCounter(key, now) {
+  const counter = await LoginThrottles.getById(key);
+  return counter && !isExpired(counter, now) ? counter : null;
+}
+
+/**
+ * Count a failed login against an account or IP address.
+ * After too many failures, the key is locked out for a while,
+ * and each further lockout is twice as long as the last.
+ * The counter is written with its etag, and counted again if another
+ * server changed it in the meantime, so that no failure is lost.
+ * @param {string} key
+ * @param {number} maxFailures
+ * @param {Date} now
+ */
+async function addFailure(key, maxFailures, now) {
+  for (let attempt = 0; ; attempt++) {
+    const stored = await LoginThrottles.getById(key);
+    const counter =
+      stored && !isExpired(stored, now)
+        ? { ...stored }
+        : {
+            ...stored,
+            id: key,
+            key,
+            failures: 0,
+            lockouts: 0,
+            firstFailureOn: now,
+            lockedUntil: null,
+          };
+    counter.failures++;
+    counter.lastFailureOn = now;
+    if (counter.failures >= maxFailures) {
+      const lockout = Math.min(
+        lockoutInSeconds * 2 ** counter.lockouts,
+        maxLockoutInSeconds
+      );
+      counter.lockouts++;
+      counter.failures = 0;
+      counter.lockedUntil = new Date(now.getTime() + lockout * 1000);
+      debugThrottle(`${key} locked out for ${lockout}s.`);
+    }
+    counter.expiresOn = new Date(
+      Math.max(
+        now.getTime() + failureWindowInMinutes * 60 * 1000,
+        counter.lockedUntil ? new Date(counter.lockedUntil).getTime() : 0
+      )
+    );
+
+    try {
+      if (stored) {
+        await LoginThrottles.replace(key, counter, stored._etag);
+      } else {
+        await LoginThrottles.add(counter);
+      }
+      return;
+    } catch (err) {
+      if (attempt >= maxRetries || !isWriteConflict(err)) {
+        throw err;
+      }
+    }
+  }
+}
+
+/**
+ * Check if a write failed because another server wrote the same counter.
+ * @param {any} err
+ * @returns {boolean}
+ */
+function isWriteConflict(err) {
+  return isPreconditionError(err) || err.code === 409 || err.status === 409;
+}
+
+/**
+ * Check if logins for an account, or from an IP address, are locked out.
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<number>} the number of seconds until a login may be
+ *  tried again, or 0 if it may be tried now
+ */
+export async function getLoginRetryAfter(email, ip) {
+  const now = new Date();
+  const counters = await Promise.all([
+    getCounter('account:' + email, now),
+    getCounter('ip:' + ip, now),
+  ]);
+  const lockedUntil = _.max(
+    counters.map((counter) =>
+      counter && counter.lockedUntil
+        ? new Date(counter.lockedUntil).getTime()
+        : 0
+    )
+  );
+  return lockedUntil > now.getTime()
+    ? Math.ceil((lockedUntil - now.getTime()) / 1000)
+    : 0;
+}
+
+/**
+ * Record a failed login.
+ * @param {string} email
+ * @param {string} ip
+ */
+export async function recordLoginFailure(email, ip) {
+  const now = new Date();
+  await addFailure('account:' + email, maxFailuresPerAccount, now);
+  await addFailure('ip:' + ip, maxFailuresPerIp, now);
+}
+
+/**
+ * Record a successful login, which clears the failures of the account.
+ * The failures of the IP address are kept, so that an attacker
+ * cannot clear them by logging in to an account of their own.
+ * @param {string} email
+ */
+export async function recordLoginSuccess(email) {
+  await clearLockout('account:' + email);
+}
+
+/**
+ * List the accounts and IP addresses that are currently locked out.
+ * @returns {Promise<any[]>}
+ */
+export async function getLockouts() {
+  const counters = await LoginThrottles.getAllLockedOut(new Date());
+  return counters.map((counter) => ({
+    key: counter.key,
+    lockouts: counter.lockouts,
+    firstFailureOn: new Date(counter.firstFailureOn),
+    lastFailureOn: new Date(counter.lastFailureOn),
+    lockedUntil: new Date(counter.lockedUntil),
+  }));
+}
+
+/**
+ * Clear the failures and lockout of an account or IP address.
+ * @param {string} key e.g. "account:<email>" or "ip:<address>"
+ * @returns {Promise<boolean>} false if there was nothing to clear
+ */
+export async function clearLockout(key) {
+  const counter = await LoginThrottles.getById(key);
+  if (!counter) {
+    return false;
+  }
+  try {
+    await LoginThrottles.remove(key);
+  } catch (err) {
+    // removed by another server in the meantime
+    if (err.code !== 404 && err.status !== 404) {
+      throw err;
+    }
+  }
+  return !isExpired(counter, new Date());
+}
+
+/**
+ * Remove the counters that have run out, so that they do not pile up.
+ * @returns {Promise<number>} the number of counters removed
+ */
+export async function removeExpiredCounters() {
+  const counters = await LoginThrottles.getAllExpiredBefore(new Date());
+  for (const counter of counters) {
+    try {
+      await LoginThrottles.remove(counter.key, counter._etag);
+    } catch (err) {
+      // counted again, or removed, by another server in the meantime
+      if (!isPreconditionError(err) && err.code !== 404 && err.status !== 404) {
+        throw err;
+      }
+    }
+  }
+  return counters.length;
+}
+
+/**
+ * Remove expired counters now, and then at the end of each window.
+ */
+export function startLoginThrottleCleanup() {
+  const run = () =>
+    removeExpiredCounters()
+      .then((count) => debugThrottle(`${count} expired counters removed.`))
+      .catch((err) => debugThrottle(`Cleanup error: ${err.message}`));
+  setInterval(run, failureWindowInMinutes * 60 * 1000).unref();
+  run();
+}
@@ -0,0 +1,116 @@
+import config from 'config';
+import debug from 'debug';
+import fs from 'fs/promises';
+import path from 'path';
+import { nanoid } from 'nanoid';
+import nodemailer from 'nodemailer';
+
+const debugMail = debug('app:core:mailer');
+
+/**
+ * An email message.
+ * @typedef {{ to: string, subject: string, text: string }} MailMessage
+ */
+
+/**
+ * A mail transport.
+ * @typedef {{ send: (message: MailMessage) => Promise<void> }} MailTransport
+ */
+
+/**
+ * Create a transport that only logs each message to the console.
+ * @returns {MailTransport}
+ */
+function createConsoleTransport() {
+  return {
+    send: async (message) => {
+      debugMail(
+        `To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`
+      );
+    },
+  };
+}
+
+/**
+ * Create a transport that writes each message to a JSON file in a directory.
+ * @param {string} dir
+ * @returns {MailTransport}
+ */
+function createFileTransport(dir) {
+  return {
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${nanoid()}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      debugMail(`Wrote mail to ${file}`);
+    },
+  };
+}
+
+/**
+ * Create a transport that sends each message through an SMTP server.
+ * @param {any} smtp the host, port, secure, user and password of the server
+ * @returns {MailTransport}
+ */
+function createSmtpTransport({ host, port, secure, user, password }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: secure === true || secure === 'true',
+    auth: user ? { user, pass: password } : undefined,
+  });
+  return {
+    send: async (message) => {
+      await transporter.sendMail(message);
+    },
+  };
+}
+
+/**
+ * Select the mail transport.
+ * The "console" transport logs each message,
+ * the "file" transport saves each message as a JSON file,
+ * and the "smtp" transport sends each message through an SMTP server.
+ * @returns {MailTransport}
+ */
+function createTransport() {
+  const { transport, dir, smtp } = config.get('mail');
+  debugMail('transport =', transport);
+
+  switch (transport) {
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport(dir);
+    case 'smtp':
+      return createSmtpTransport(smtp);
+    default:
+      throw new Error(`Unknown mail transport: ${transport}`);
+  }
+}
+
+const mailTransport = createTransport();
+const { from, appUrl } = config.get('mail');
+
+/**
+ * Build a link to a page of the client app.
+ * @param {string} page e.g. "reset-password"
+ * @param {Object<string, string>} params query string parameters
+ * @returns {string}
+ */
+export function appLink(page, params) {
+  const url = new URL(page, appUrl.endsWith('/') ? appUrl : appUrl + '/');
+  for (const key in params) {
+    url.searchParams.set(key, params[key]);
+  }
+  return url.toString();
+}
+
+/**
+ * Send an email.
+ * @param {MailMessage} message
+ */
+export async function sendMail(message) {
+  await mailTransport.send({ from, ...message });
+  debugMail(`Sent "${message.subject}" to ${message.to}.`);
+}
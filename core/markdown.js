@@ -0,0 +1,104 @@
+import { marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+const allowedTags = [
+  ...sanitizeHtml.defaults.allowedTags,
+  'img',
+  'del',
+  'input',
+];
+const allowedAttributes = {
+  ...sanitizeHtml.defaults.allowedAttributes,
+  a: [...sanitizeHtml.defaults.allowedAttributes.a, 'data-user-id'],
+  code: ['class'],
+  input: ['type', 'checked', 'disabled'],
+};
+const allowedClasses = {
+  a: ['mention'],
+  code: false, // any class, for syntax highlighting
+};
+
+/**
+ * A mention of a user, which has been resolved to that user.
+ * @typedef {{ text: string, userId: string, email: string }} Mention
+ */
+
+/**
+ * Parses mentions of users, either by email (e.g. "@jane@example.com")
+ * or by handle (e.g. "@jane"). Mentions within code are left alone,
+ * as are email addresses that are not mentions.
+ * Resolved mentions are rendered as links, and the others as plain text.
+ */
+const mentionExtension = {
+  name: 'mention',
+  level: 'inline',
+  start(src) {
+    const match = /(?:^|[^\w@.+-])@\w/.exec(src);
+    return match ? match.index + match[0].length - 2 : undefined;
+  },
+  tokenizer(src) {
+    const match = /^@([\w.+-]+@[\w-]+(?:\.[\w-]+)+|\w(?:[\w.-]*\w)?)/.exec(src);
+    if (match) {
+      const text = match[1];
+      const mention = (this.lexer.options.mentions || []).find(
+        (x) => x.text.toLowerCase() === text.toLowerCase()
+      );
+      return { type: 'mention', raw: match[0], text, mention };
+    }
+  },
+  renderer(token) {
+    const { text, mention } = token;
+    return mention
+      ? `<a class="mention" href="mailto:${mention.email}" data-user-id="${mention.userId}">@${text}</a>`
+      : `@${text}`;
+  },
+};
+
+marked.use({ extensions: [mentionExtension] });
+
+/**
+ * Render user provided Markdown as HTML.
+ * The HTML is sanitized, so that it is safe to insert into a page.
+ * @param {string} text markdown
+ * @param {Mention[]} mentions the mentions to render as links (optional)
+ * @returns {string} html
+ */
+export function renderMarkdown(text, mentions = []) {
+  const html = marked.parse(text || '', { gfm: true, breaks: true, mentions });
+
+  // only keep the links to the users that are really mentioned,
+  // so that raw HTML in the markdown cannot pass for a mention
+  const userIds = new Set(mentions.map((x) => x.userId));
+  const transformTags = {
+    a: (tagName, attribs) => {
+      if (!userIds.has(attribs['data-user-id'])) {
+        const { class: _class, 'data-user-id': _userId, ...rest } = attribs;
+        attribs = rest;
+      }
+      return { tagName, attribs };
+    },
+  };
+  return sanitizeHtml(html, {
+    allowedTags,
+    allowedAttributes,
+    allowedClasses,
+    transformTags,
+  });
+}
+
+/**
+ * Find the users that are mentioned in some Markdown.
+ * @param {string} text markdown
+ * @returns {string[]} the email address or handle of each user,
+ *  once each, ignoring case
+ */
+export function findMentions(text) {
+  const mentions = new Map();
+  const tokens = marked.lexer(text || '', { ...marked.defaults, gfm: true });
+  marked.walkTokens(tokens, (token) => {
+    if (token.type === 'mention') {
+      mentions.set(token.text.toLowerCase(), token.text);
+    }
+  });
+  return Array.from(mentions.values());
+}
@@ -0,0 +1,99 @@
+import _ from 'lodash';
+
+/**
+ * The roles that a member can have within a project,
+ * from the most to the least privileged.
+ */
+export const projectRoles = ['owner', 'maintainer', 'reporter', 'viewer'];
+
+const viewerPermissions = ['project:read', 'issue:read', 'comment:read'];
+const reporterPermissions = [
+  ...viewerPermissions,
+  'issue:create',
+  'comment:create',
+  'attachment:create',
+];
+const maintainerPermissions = [
+  ...reporterPermissions,
+  'project:update',
+  'issue:update',
+  'issue:delete',
+  'comment:moderate',
+  'attachment:moderate',
+  'member:manage',
+  'webhook:manage',
+  'project:archive',
+  'trash:manage',
+  'project:import',
+];
+const ownerPermissions = [...maintainerPermissions, 'project:delete'];
+
+/**
+ * The permissions that can still be used while a project is archived,
+ * which makes it read-only.
+ */
+export const archivedPermissions = [
+  ...viewerPermissions,
+  'project:archive',
+  'project:delete',
+];
+
+/**
+ * The permissions granted by each project role.
+ */
+export const rolePermissions = {
+  owner: ownerPermissions,
+  maintainer: maintainerPermissions,
+  reporter: reporterPermissions,
+  viewer: viewerPermissions,
+};
+
+/**
+ * Find a user's membership within a project.
+ * @param {any} project
+ * @param {string} userId
+ * @returns {any} the member, or undefined if the user is not a member
+ */
+export function getMember(project, userId) {
+  return _.find(project && project.members, { userId });
+}
+
+/**
+ * Check if a user has a permission within a project.
+ * @param {any} project
+ * @param {string} userId
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function hasPermission(project, userId, permission) {
+  const member = getMember(project, userId);
+  return !!member && rolePermissions[member.role].includes(permission);
+}
+
+/**
+ * Construct a new project member.
+ * @param {any} user the user being added
+ * @param {string} role the member's role
+ * @param {any} auth the user adding the member
+ * @returns {any}
+ */
+export function newMember(user, role, auth) {
+  return {
+    userId: user.userId,
+    email: user.email,
+    role,
+    addedOn: new Date(),
+    addedBy: _.pick(auth, 'userId', 'email'),
+  };
+}
+
+/**
+ * Replace the members of a project.
+ * Also keeps the list of member ids, which is used to query by member, in sync.
+ * @param {any} project
+ * @param {any[]} members
+ */
+export function setMembers(project, members) {
+  project.members = members;
+  project.memberIds = members.map((member) => member.userId);
+}
@@ -0,0 +1,637 @@
+import debug from 'debug';
+import path from 'path';
+import fs from 'fs/promises';
+import { nanoid } from 'nanoid';
+import { invalidContinuationToken } from './errors.js';
+
+// create debug channels
+const debugMemory = debug('app:core:memory');
+const debugError = debug('app:error');
+
+/**
+ * @typedef {import('./cosmos.js').Query} Query
+ * @typedef {import('./cosmos.js').QueryOrder} QueryOrder
+ * @typedef {import('./cosmos.js').Aggregation} Aggregation
+ * @typedef {import('./cosmos.js').ChangeFeedPosition} ChangeFeedPosition
+ */
+
+/**
+ * The number of changes that each container keeps for its change feed.
+ */
+const maxChanges = 1000;
+
+/**
+ * An in-memory stand-in for a Cosmos container.
+ * Items are keyed by partition key and id, and kept in insertion order.
+ * The most recent changes are kept in order, numbered by sequence (lsn),
+ * to stand in for the change feed.
+ * @typedef {{
+ *  id: string,
+ *  partitionKey: string,
+ *  items: Map<string, any>,
+ *  changes: { lsn: number, item: any }[],
+ *  lsn: number,
+ *  save: () => Promise<void>
+ * }} MemoryContainer
+ */
+
+/**
+ * Open an in-memory database, that mimics our Cosmos database.
+ * When a file is provided, the data is loaded from and saved to that file.
+ * @param {string|null} file path to a JSON file (optional)
+ * @returns {Promise<{
+ *  issuesContainer: MemoryContainer,
+ *  projectsContainer: MemoryContainer,
+ *  usersContainer: MemoryContainer
+ * }>}
+ */
+export async function connect(file = null) {
+  try {
+    debugMemory('file =', file);
+
+    // load the data file, if it exists
+    let data = {};
+    if (file) {
+      try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+        debugMemory(`Loaded data file: ${file}`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    }
+
+    // Create the necessary containers
+    const containers = [];
+    const save = file ? createSaveFunction(file, containers) : async () => {};
+    const usersContainer = createContainer('Users', '/userId', data, save);
+    const projectsContainer = createContainer(
+      'Projects',
+      '/projectId',
+      data,
+      save
+    );
+    const issuesContainer = createContainer(
+      'Issues',
+      '/_partitionKey',
+      data,
+      save
+    );
+    containers.push(usersContainer, projectsContainer, issuesContainer);
+
+    return {
+      issuesContainer,
+      projectsContainer,
+      usersContainer,
+    };
+  } catch (err) {
+    debugError(err.message);
+    throw new Error('Failed to open memory database: ' + err.message);
+  }
+}
+
+/**
+ * Creates a new in-memory container.
+ * @param {string} containerId
+ * @param {string} partitionKey
+ * @param {any} data previously saved items, keyed by container id
+ * @param {() => Promise<void>} save
+ * @returns {MemoryContainer}
+ */
+function createContainer(containerId, partitionKey, data, save) {
+  const container = {
+    id: containerId,
+    partitionKey,
+    items: new Map(),
+    changes: [],
+    lsn: 0,
+    save,
+  };
+  for (const item of data[containerId] || []) {
+    const key = toItemKey(item.id, getPartitionKeyValue(container, item));
+    container.items.set(key, item);
+  }
+  debugMemory(`Created container: ${container.id}`);
+  return container;
+}
+
+/**
+ * Creates a function that writes every container to the data file.
+ * Writes are queued, so that they are applied in order.
+ * @param {string} file
+ * @param {MemoryContainer[]} containers
+ * @returns {() => Promise<void>}
+ */
+function createSaveFunction(file, containers) {
+  let pending = Promise.resolve();
+  return () => {
+    pending = pending.then(async () => {
+      const data = {};
+      for (const container of containers) {
+        data[container.id] = Array.from(container.items.values());
+      }
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(data, null, 2));
+      debugMemory(`Saved data file: ${file}`);
+    });
+    return pending;
+  };
+}
+
+/**
+ * Builds the map key for an item.
+ * @param {string} id
+ * @param {string} partitionKey
+ * @returns {string}
+ */
+function toItemKey(id, partitionKey) {
+  return JSON.stringify([partitionKey, id]);
+}
+
+/**
+ * Reads a (possibly dotted) field from an item.
+ * @param {any} item
+ * @param {string} field
+ * @returns {any}
+ */
+function getField(item, field) {
+  let value = item;
+  for (const name of field.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[name];
+  }
+  return value;
+}
+
+/**
+ * Reads the partition key value of an item.
+ * @param {MemoryContainer} container
+ * @param {any} item
+ * @returns {any}
+ */
+function getPartitionKeyValue(container, item) {
+  const field = container.partitionKey.substring(1).split('/').join('.');
+  return getField(item, field);
+}
+
+/**
+ * Ranks the type of a value, in the same order that Cosmos sorts mixed types.
+ * @param {any} value
+ * @returns {number}
+ */
+function typeRank(value) {
+  if (value === undefined) return 0;
+  if (value === null) return 1;
+  switch (typeof value) {
+    case 'boolean':
+      return 2;
+    case 'number':
+      return 3;
+    case 'string':
+      return 4;
+    default:
+      return 5;
+  }
+}
+
+/**
+ * Compares two values, in the same order that Cosmos sorts them.
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  } else if (rankA < 2 || rankA > 4 || a === b) {
+    return 0;
+  } else {
+    return a < b ? -1 : 1;
+  }
+}
+
+/**
+ * Checks if an item matches a single query condition.
+ * Like Cosmos, comparisons against a missing field or a value of a different
+ * type never match.
+ * @param {any} item
+ * @param {import('./cosmos.js').QueryCondition} condition
+ * @returns {boolean}
+ */
+function matchesCondition(item, condition) {
+  if (condition.any) {
+    return condition.any.some((x) => matchesCondition(item, x));
+  }
+
+  const [field, op, value] = condition;
+  const actual = getField(item, field);
+  if (op === 'in') {
+    return actual !== undefined && value.includes(actual);
+  }
+  if (op === 'contains') {
+    return Array.isArray(actual) && actual.includes(value);
+  }
+  if (op === 'includes') {
+    return (
+      typeof actual === 'string' &&
+      actual.toLowerCase().includes(String(value).toLowerCase())
+    );
+  }
+  if (op === 'exists') {
+    return (actual !== undefined) === value;
+  }
+  if (actual === undefined || typeRank(actual) !== typeRank(value)) {
+    return false;
+  }
+  const order = compareValues(actual, value);
+  switch (op) {
+    case '=':
+      return actual === value;
+    case '!=':
+      return actual !== value;
+    case '<':
+      return order < 0;
+    case '<=':
+      return order <= 0;
+    case '>':
+      return order > 0;
+    case '>=':
+      return order >= 0;
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+/**
+ * Runs a storage agnostic query against a container.
+ * @param {MemoryContainer} container
+ * @param {Query} query
+ * @returns {any[]}
+ */
+function runQuery(container, query) {
+  const { where, orderBy } = query || {};
+  let items = Array.from(container.items.values());
+  if (where && where.length) {
+    items = items.filter((item) =>
+      where.every((condition) => matchesCondition(item, condition))
+    );
+  }
+  if (orderBy && orderBy.length) {
+    items.sort((a, b) => {
+      for (const [field, direction] of orderBy) {
+        const order = compareValues(getField(a, field), getField(b, field));
+        if (order !== 0) {
+          return direction === 'DESC' ? -order : order;
+        }
+      }
+      return 0;
+    });
+  }
+  return items.map(clone);
+}
+
+/**
+ * Computes a single aggregate over a group of items.
+ * Like Cosmos, sums and averages are only computed over numbers,
+ * and missing values are left out.
+ * @param {any[]} items
+ * @param {string} fn "count", "sum", "min", "max" or "avg"
+ * @param {string} field
+ * @returns {any}
+ */
+function computeAggregate(items, fn, field) {
+  if (fn === 'count') {
+    return items.length;
+  }
+  const values = items
+    .map((item) => getField(item, field))
+    .filter((value) => value !== undefined);
+  const numbers = values.filter((value) => typeof value === 'number');
+  const sum = numbers.reduce((total, value) => total + value, 0);
+  switch (fn) {
+    case 'sum':
+      return sum;
+    case 'avg':
+      return numbers.length ? sum / numbers.length : undefined;
+    case 'min':
+      return values.sort(compareValues)[0];
+    case 'max':
+      return values.sort(compareValues)[values.length - 1];
+    default:
+      throw new Error(`Unsupported aggregate function: ${fn}`);
+  }
+}
+
+/**
+ * Deep copies an item, the same way that it would be serialized to Cosmos.
+ * @param {any} item
+ * @returns {any}
+ */
+function clone(item) {
+  return item === undefined ? undefined : JSON.parse(JSON.stringify(item));
+}
+
+/**
+ * Constructs an error that looks like an error from the Cosmos SDK.
+ * @param {number} code status code
+ * @param {string} message error message
+ * @returns {Error}
+ */
+function newCosmosError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Stamps an item with the system properties that Cosmos would add.
+ * @param {any} item
+ * @returns {any}
+ */
+function stampItem(item) {
+  const stamped = clone(item);
+  stamped._etag = `"${nanoid()}"`;
+  stamped._ts = Math.floor(Date.now() / 1000);
+  return stamped;
+}
+
+/**
+ * Queries a container items and return matching items as an array.
+ * @param {MemoryContainer} container
+ * @param {Query} query
+ * @returns {Promise<any[]>}
+ */
+export async function queryItemsFromContainer(container, query) {
+  debugMemory('querying container ', container.id);
+  return runQuery(container, query);
+}
+
+/**
+ * Queries a container for a single page of matching items.
+ * Pass the continuation token from the previous page to fetch the next page.
+ * @param {MemoryContainer} container
+ * @param {Query} query
+ * @param {number} pageSize
+ * @param {string|null} continuationToken
+ * @returns {Promise<{ items: any[], continuationToken: string|null }>}
+ */
+export async function queryPageFromContainer(
+  container,
+  query,
+  pageSize,
+  continuationToken = null
+) {
+  debugMemory('querying page from container', container.id, pageSize);
+  let offset = 0;
+  if (continuationToken) {
+    try {
+      offset = JSON.parse(
+        Buffer.from(continuationToken, 'base64url').toString()
+      ).offset;
+    } catch (err) {
+      offset = NaN;
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw invalidContinuationToken();
+    }
+  }
+
+  const items = runQuery(container, query);
+  const end = offset + pageSize;
+  return {
+    items: items.slice(offset, end),
+    continuationToken:
+      end < items.length
+        ? Buffer.from(JSON.stringify({ offset: end })).toString('base64url')
+        : null,
+  };
+}
+
+/**
+ * Groups the items of a container that match a query,
+ * and computes aggregates over each group.
+ * @param {MemoryContainer} container
+ * @param {Query} query only the conditions are used
+ * @param {Aggregation} aggregation
+ * @returns {Promise<any[]>} one result for each group
+ */
+export async function aggregateItemsFromContainer(
+  container,
+  query,
+  aggregation
+) {
+  debugMemory('aggregating items from container', container.id);
+  const { groupBy = {}, aggregates } = aggregation;
+  const items = runQuery(container, { where: query && query.where });
+
+  const groups = new Map();
+  for (const item of items) {
+    const row = {};
+    for (const [alias, spec] of Object.entries(groupBy)) {
+      const [field, fn] = Array.isArray(spec) ? spec : [spec];
+      const value = getField(item, field);
+      row[alias] =
+        fn === 'day' && typeof value === 'string' ? value.slice(0, 10) : value;
+    }
+    const key = JSON.stringify(row);
+    if (!groups.has(key)) {
+      groups.set(key, { row, items: [] });
+    }
+    groups.get(key).items.push(item);
+  }
+  if (!Object.keys(groupBy).length && !groups.size) {
+    // like Cosmos, aggregates without groups always give a single result
+    groups.set('{}', { row: {}, items: [] });
+  }
+
+  const results = [];
+  for (const { row, items } of groups.values()) {
+    for (const [alias, [fn, field]] of Object.entries(aggregates)) {
+      row[alias] = computeAggregate(items, fn, field);
+    }
+    results.push(clone(row));
+  }
+  return results;
+}
+
+/**
+ * Fetches all items from a container and returns them as an array.
+ * @param {MemoryContainer} container
+ * @param {QueryOrder[]} orderBy
+ * @returns {Promise<any[]>}
+ */
+export async function getAllItemsFromContainer(container, orderBy = null) {
+  debugMemory('selecting all items', container.id);
+  return runQuery(container, { orderBy });
+}
+
+/**
+ * Fetches a specific item from a container.
+ * @param {MemoryContainer} container
+ * @param {string} id
+ * @returns {Promise<any>}
+ */
+export async function getItemByIdFromContainer(container, id) {
+  debugMemory('selecting item by id', container.id, id);
+  const items = runQuery(container, { where: [['id', '=', id]] });
+  return items && items.length ? items[0] : null;
+}
+
+/**
+ * Fetches a specific item from a container.
+ * @param {MemoryContainer} container
+ * @param {string} id
+ * @param {string} partitionKey
+ * @returns {Promise<any>}
+ */
+export async function readItemFromContainer(container, id, partitionKey) {
+  debugMemory('reading item', container.id, id, partitionKey);
+  return clone(container.items.get(toItemKey(id, partitionKey)));
+}
+
+/**
+ * Add a new item to a container.
+ * @param {MemoryContainer} container
+ * @param {any} newItem
+ * @returns {Promise<any>}
+ */
+export async function addItemToContainer(container, newItem) {
+  debugMemory('creating item', container.id, newItem.id);
+  const partitionKey = getPartitionKeyValue(container, newItem);
+  const key = toItemKey(newItem.id, partitionKey);
+  if (container.items.has(key)) {
+    throw newCosmosError(409, 'Entity with the specified id already exists.');
+  }
+  const resource = stampItem(newItem);
+  container.items.set(key, resource);
+  recordChange(container, resource);
+  await container.save();
+  return clone(resource);
+}
+
+/**
+ * Add a new version of an item to the change feed of a container,
+ * dropping the oldest change once the feed is full.
+ * @param {MemoryContainer} container
+ * @param {any} item
+ */
+function recordChange(container, item) {
+  container.changes.push({ lsn: ++container.lsn, item });
+  if (container.changes.length > maxChanges) {
+    container.changes.shift();
+  }
+}
+
+/**
+ * Reads the next batch of changes to the items of a container.
+ * Like Cosmos, each item is given in its latest version,
+ * and deletes are not included.
+ * @param {MemoryContainer} container
+ * @param {ChangeFeedPosition} position
+ * @returns {Promise<{ items: any[], continuation: string }>}
+ *  the changed items, and where to read the next batch from
+ */
+export async function readChangeFeedFromContainer(
+  container,
+  { continuation = null, startTime = null } = {}
+) {
+  let after = container.lsn;
+  if (continuation) {
+    after = Number(continuation);
+  } else if (startTime) {
+    const since = Math.floor(new Date(startTime).getTime() / 1000);
+    const first = container.changes.find(({ item }) => item._ts >= since);
+    after = first ? first.lsn - 1 : container.lsn;
+  }
+
+  const changes = container.changes
+    .filter(({ lsn }) => lsn > after)
+    .slice(0, 100);
+  const latest = new Map();
+  for (const { item } of changes) {
+    const key = toItemKey(item.id, getPartitionKeyValue(container, item));
+    latest.delete(key);
+    latest.set(key, item);
+  }
+  return {
+    items: Array.from(latest.values(), clone),
+    continuation: String(
+      changes.length ? changes[changes.length - 1].lsn : after
+    ),
+  };
+}
+
+/**
+ * Checks that an item has not been changed since it was read.
+ * @param {any} item the stored item
+ * @param {string|null} etag the etag from when the item was read
+ */
+function checkEtag(item, etag) {
+  if (etag && item._etag !== etag) {
+    throw newCosmosError(
+      412,
+      'Operation cannot be performed because one of the specified precondition is not met.'
+    );
+  }
+}
+
+/**
+ * Replace an existing item within a container.
+ * When an etag is provided, fails with a 412 error if the item has changed.
+ * @param {MemoryContainer} container
+ * @param {string} id
+ * @param {string} partitionKey
+ * @param {any} body
+ * @param {string|null} etag
+ * @returns {Promise<any>}
+ */
+export async function replaceItemInContainer(
+  container,
+  id,
+  partitionKey,
+  body,
+  etag = null
+) {
+  debugMemory('replacing item', container.id, id, partitionKey);
+  const key = toItemKey(id, partitionKey);
+  if (!container.items.has(key)) {
+    throw newCosmosError(404, 'Entity with the specified id does not exist.');
+  }
+  checkEtag(container.items.get(key), etag);
+  const resource = stampItem(body);
+  container.items.set(key, resource);
+  recordChange(container, resource);
+  await container.save();
+  return clone(resource);
+}
+
+/**
+ * Remove an existing item from a container.
+ * When an etag is provided, fails with a 412 error if the item has changed.
+ * @param {MemoryContainer} container
+ * @param {string} id
+ * @param {string} partitionKey
+ * @param {string|null} etag
+ * @returns {Promise<any>}
+ */
+export async function removeItemFromContainer(
+  container,
+  id,
+  partitionKey,
+  etag = null
+) {
+  debugMemory('deleting item', container.id, id, partitionKey);
+  const key = toItemKey(id, partitionKey);
+  if (!container.items.has(key)) {
+    throw newCosmosError(404, 'Entity with the specified id does not exist.');
+  }
+  checkEtag(container.items.get(key), etag);
+  container.items.delete(key);
+  await container.save();
+  return undefined;
+}
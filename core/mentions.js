@@ -0,0 +1,90 @@
+import _ from 'lodash';
+import { Users } from './db.js';
+import { getMember } from './membership.js';
+import { findMentions, renderMarkdown } from './markdown.js';
+
+/**
+ * Resolve the users that are mentioned in some Markdown.
+ * A mention is either a user's email address (e.g. "@jane@example.com"),
+ * or a handle (e.g. "@jane"), which is the part of a member's email address
+ * before the "@". Only the members of the project can be mentioned.
+ * @param {any} project
+ * @param {string} text markdown
+ * @returns {Promise<{
+ *  mentions: import('./markdown.js').Mention[],
+ *  unresolved: { text: string, reason: string }[]
+ * }>} the mentions that were resolved, and why the others were not
+ *  (notMember, or for handles, unknown or ambiguous)
+ */
+export async function resolveMentions(project, text) {
+  const mentions = [];
+  const unresolved = [];
+
+  for (const mention of findMentions(text)) {
+    if (mention.includes('@')) {
+      // the same reason is given whether or not the email is registered,
+      // so that mentions cannot be used to find out who has an account
+      const user = await Users.getByEmail(mention.toLowerCase());
+      if (!user || !getMember(project, user.userId)) {
+        unresolved.push({ text: mention, reason: 'notMember' });
+      } else {
+        mentions.push({
+          text: mention,
+          userId: user.userId,
+          email: user.email,
+        });
+      }
+    } else {
+      const handle = mention.toLowerCase();
+      const members = _.filter(
+        project.members,
+        (member) =>
+          member.email && member.email.toLowerCase().split('@')[0] === handle
+      );
+      if (members.length === 1) {
+        const { userId, email } = members[0];
+        mentions.push({ text: mention, userId, email });
+      } else {
+        unresolved.push({
+          text: mention,
+          reason: members.length ? 'ambiguous' : 'unknown',
+        });
+      }
+    }
+  }
+  return { mentions, unresolved };
+}
+
+/**
+ * Store the mentions in an issue's description, or in a comment's text,
+ * on the document and render the Markdown with links to the mentioned users.
+ * @param {any} project
+ * @param {any} doc the issue or comment
+ * @param {string} field the field that holds the markdown
+ * @param {string} htmlField the field to render the html into
+ * @returns {Promise<{ text: string, reason: string }[]>}
+ *  the mentions that could not be resolved
+ */
+export async function applyMentions(project, doc, field, htmlField) {
+  const { mentions, unresolved } = await resolveMentions(project, doc[field]);
+  doc.mentions = mentions;
+  doc.mentionIds = _.uniq(_.map(mentions, 'userId'));
+  doc[htmlField] = renderMarkdown(doc[field], mentions);
+  return unresolved;
+}
+
+/**
+ * Add a warning about the mentions that could not be resolved to a response.
+ * Those mentions are left as plain text, rather than the write being rejected.
+ * @param {any} response
+ * @param {{ text: string, reason: string }[]} unresolved
+ * @returns {any} the response
+ */
+export function withMentionWarning(response, unresolved) {
+  if (unresolved.length) {
+    response.warning =
+      'Some mentions could not be resolved to members of the project.';
+    response.unresolvedMentions = unresolved;
+  }
+  return response;
+}
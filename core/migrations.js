@@ -0,0 +1,46 @@
+import debug from 'debug';
+import _ from 'lodash';
+import { Projects } from './db.js';
+import { setMembers } from './membership.js';
+import { isPreconditionError } from './etag.js';
+
+const debugMigrations = debug('app:core:migrations');
+
+/**
+ * Give the projects created before project membership existed
+ * their creator as owner, as they would otherwise be visible to nobody.
+ * Safe to run on every start, and on several servers at once,
+ * as only the projects without members are changed,
+ * and each one is written with its etag.
+ * @returns {Promise<number>} the number of projects changed
+ */
+export async function migrateProjectMembers() {
+  const projects = await Projects.getAllWithoutMembers();
+  let count = 0;
+  for (const project of projects) {
+    const owner = project.createdBy && project.createdBy.userId;
+    if (!owner) {
+      debugMigrations(`Project ${project.id} has no creator to make owner.`);
+      continue;
+    }
+    setMembers(project, [
+      {
+        ..._.pick(project.createdBy, 'userId', 'email'),
+        role: 'owner',
+        addedOn: project.createdOn || new Date(),
+        addedBy: _.pick(project.createdBy, 'userId', 'email'),
+      },
+    ]);
+    try {
+      await Projects.replace(project.id, project, project._etag);
+      count++;
+    } catch (err) {
+      if (!isPreconditionError(err)) {
+        throw err;
+      }
+      // another server has migrated it in the meantime
+    }
+  }
+  debugMigrations(`${count} projects given their creator as owner.`);
+  return count;
+}
@@ -0,0 +1,246 @@
+import debug from 'debug';
+import { nanoid } from 'nanoid';
+import _ from 'lodash';
+import { Users, Projects, Issues, Notifications, Watches } from './db.js';
+import { changeEvents } from './events.js';
+import { hasPermission } from './membership.js';
+
+const debugNotifications = debug('app:core:notifications');
+
+/**
+ * The events that users can be notified of,
+ * and whether they notify unless the user turns them off.
+ * Users who are mentioned are notified whatever the event,
+ * unless they turn off "mentioned".
+ */
+export const defaultPreferences = {
+  'issue.created': true,
+  'issue.updated': true,
+  'issue.deleted': true,
+  'comment.created': true,
+  'comment.updated': false,
+  'comment.deleted': false,
+  mentioned: true,
+};
+
+/**
+ * Why a user was notified, in order of precedence.
+ * - mentioned: they were mentioned in the issue's description or a comment
+ * - assignee: the issue is (or was) assigned to them
+ * - creator: they created the issue
+ * - watching: they are watching the issue
+ * - watchingProject: they are watching the project
+ */
+export const notificationReasons = [
+  'mentioned',
+  'assignee',
+  'creator',
+  'watching',
+  'watchingProject',
+];
+
+/**
+ * Work out which events a user is notified of,
+ * filling in the defaults for any they have not chosen.
+ * @param {any} user
+ * @returns {Object<string, boolean>}
+ */
+export function getPreferences(user) {
+  return {
+    ...defaultPreferences,
+    ..._.pick(user.notificationPreferences, _.keys(defaultPreferences)),
+  };
+}
+
+/**
+ * The id of a user's watch on an issue, or on the whole project.
+ * Each user has at most one watch on each issue and project.
+ * @param {string} userId
+ * @param {string|null} issueId null for the project
+ * @returns {string}
+ */
+export function toWatchId(userId, issueId = null) {
+  return issueId ? `watch.${userId}.${issueId}` : `watch.${userId}`;
+}
+
+/**
+ * Work out the reasons that users have to be notified about an issue.
+ * A user who has unwatched an issue is not notified about it,
+ * even if they created it or it is assigned to them,
+ * but they are still notified when they are mentioned.
+ * @param {any} issue
+ * @param {any[]} watches the watches on the project
+ * @param {string[]} assigneeIds the users that the issue is, or was, assigned to
+ * @param {string[]} mentionedIds the users that were just mentioned (optional)
+ * @returns {Map<string, string>} the reason for each user, keyed by userId
+ */
+export function getRecipients(issue, watches, assigneeIds, mentionedIds = []) {
+  const reasons = new Map();
+  const addReason = (userId, reason) => {
+    const current = reasons.get(userId);
+    if (
+      userId &&
+      (!current ||
+        notificationReasons.indexOf(reason) <
+          notificationReasons.indexOf(current))
+    ) {
+      reasons.set(userId, reason);
+    }
+  };
+
+  for (const userId of assigneeIds) {
+    addReason(userId, 'assignee');
+  }
+  addReason(_.get(issue, 'createdBy.userId'), 'creator');
+  for (const watch of watches) {
+    if (!watch.issueId) {
+      addReason(watch.userId, 'watchingProject');
+    } else if (watch.issueId === issue.issueId && watch.watching) {
+      addReason(watch.userId, 'watching');
+    }
+  }
+  for (const watch of watches) {
+    if (watch.issueId === issue.issueId && !watch.watching) {
+      reasons.delete(watch.userId);
+    }
+  }
+  for (const userId of mentionedIds) {
+    addReason(userId, 'mentioned');
+  }
+  return reasons;
+}
+
+/**
+ * Find the users that were mentioned by a change to an issue or comment,
+ * and who were not already mentioned before the change.
+ * @param {any} change the change, as emitted by changeEvents
+ * @returns {string[]}
+ */
+function getMentionedIds(change) {
+  if (change.event.endsWith('.created')) {
+    return _.get(change.resource, 'mentionIds', []);
+  }
+  const mentions = _.find(change.changes, { field: 'mentions' });
+  return mentions && change.event.endsWith('.updated')
+    ? _.difference(
+        _.map(mentions.after, 'userId'),
+        _.map(mentions.before, 'userId')
+      )
+    : [];
+}
+
+/**
+ * Notify the users who are interested in a change to an issue or comment.
+ * The user who made the change is not notified, nor are users who
+ * can no longer read the issue, or who have turned off the event.
+ * @param {any} change the change, as emitted by changeEvents
+ * @returns {Promise<number>} the number of users notified
+ */
+async function onChange(change) {
+  const { event, projectId, issueId, changedBy } = change;
+  if (!defaultPreferences.hasOwnProperty(event)) {
+    return 0;
+  }
+
+  const project = await Projects.getById(projectId);
+  const issue = event.startsWith('issue.')
+    ? change.resource
+    : await Issues.getById(projectId, issueId, true);
+  if (!project || project.deleting || !issue) {
+    return 0;
+  }
+
+  const assigneeIds = [_.get(issue, 'assignedTo.userId')];
+  const assignment = _.find(change.changes, { field: 'assignedTo' });
+  if (assignment) {
+    assigneeIds.push(_.get(assignment, 'before.userId'));
+  }
+  const watches = await Watches.getAllForProject(projectId);
+  const recipients = getRecipients(
+    issue,
+    watches,
+    assigneeIds,
+    getMentionedIds(change)
+  );
+  recipients.delete(changedBy.userId);
+
+  let count = 0;
+  for (const [userId, reason] of recipients) {
+    if (!hasPermission(project, userId, 'issue:read')) {
+      continue;
+    }
+    const user = await Users.getById(userId);
+    const preferences = user && getPreferences(user);
+    if (!user || !preferences[reason === 'mentioned' ? reason : event]) {
+      continue;
+    }
+    await Notifications.add({
+      id: nanoid(),
+      userId,
+      event,
+      reason,
+      projectId,
+      issueId,
+      commentId: change.commentId || null,
+      issueTitle: issue.title,
+      changedFields: event.endsWith('.updated')
+        ? _.map(change.changes, 'field')
+        : [],
+      createdOn: change.changedOn,
+      createdBy: changedBy,
+      read: false,
+    });
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Mark a user's notification as read, if it is not already.
+ * @param {any} notification
+ * @returns {Promise<any>} the updated notification
+ */
+export async function markAsRead(notification) {
+  if (notification.read) {
+    return notification;
+  }
+  notification.read = true;
+  notification.readOn = new Date();
+  return await Notifications.replace(
+    notification.userId,
+    notification.id,
+    notification
+  );
+}
+
+/**
+ * Remove a user's watches and notifications, when the user is deleted.
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+export async function removeUserNotifications(userId) {
+  for (const watch of await Watches.getAllForUser(userId)) {
+    await Watches.remove(watch.projectId, watch.id);
+  }
+  for (const notification of await Notifications.getAllForUser(userId)) {
+    await Notifications.remove(userId, notification.id);
+  }
+}
+
+/**
+ * Start notifying users of the changes to issues and comments.
+ */
+export function startNotifications() {
+  changeEvents.on('change', (change) => {
+    onChange(change)
+      .then(
+        (count) =>
+          count &&
+          debugNotifications(`${count} users notified of ${change.event}.`)
+      )
+      .catch((err) =>
+        debugNotifications(`Change ${change.event} error: ${err.message}`)
+      );
+  });
+  debugNotifications('Notifications started.');
+}
@@ -0,0 +1,446 @@
+import debug from 'debug';
+import Joi from 'joi';
+import _ from 'lodash';
+import { readFileSync } from 'fs';
+import { toJsonSchema } from './jsonSchema.js';
+import { archivedPermissions } from './membership.js';
+import { issueSchema, commentSchema } from './schemas.js';
+
+const debugOpenApi = debug('app:core:openapi');
+const pkg = JSON.parse(
+  readFileSync(new URL('../package.json', import.meta.url), 'utf8')
+);
+
+/**
+ * Describes an OpenAPI document, and the Joi schemas that it was built from.
+ * @typedef {{
+ *  document: any,
+ *  getResponseSchema: (method: string, path: string, status: number) => Joi.Schema|null
+ * }} OpenApi
+ */
+
+// the shapes of the responses, shared by all routes
+
+// a problem details object (RFC 9457), with more fields for some codes
+const errorSchema = Joi.object({
+  type: Joi.string().required(),
+  title: Joi.string().required(),
+  status: Joi.number().integer().required(),
+  code: Joi.string()
+    .required()
+    .description('A stable code for the error, e.g. issue_not_found.'),
+  detail: Joi.string().required(),
+  message: Joi.string()
+    .required()
+    .description('The same as detail, for older clients.'),
+  instance: Joi.string().required(),
+  requestId: Joi.string()
+    .required()
+    .description('The same as the X-Request-Id header.'),
+})
+  .unknown(true)
+  .meta({ component: 'Error' });
+
+const actorSchema = Joi.object({
+  userId: Joi.string().allow(null).required(),
+  email: Joi.string().allow(null),
+}).meta({ component: 'Actor' });
+
+const documentKeys = {
+  id: Joi.string(),
+  createdOn: Joi.date(),
+  createdBy: actorSchema,
+  lastUpdatedOn: Joi.date(),
+  lastUpdatedBy: actorSchema,
+  _etag: Joi.string(),
+};
+
+const memberSchema = Joi.object({
+  userId: Joi.string().required(),
+  email: Joi.string().required(),
+  role: Joi.string().required(),
+  addedOn: Joi.date(),
+  addedBy: actorSchema,
+})
+  .unknown(true)
+  .meta({ component: 'Member' });
+
+const mentionSchema = Joi.object({
+  text: Joi.string().required(),
+  userId: Joi.string().required(),
+  email: Joi.string().required(),
+}).meta({ component: 'Mention' });
+
+/**
+ * The resources that each group of routes returns, by default.
+ * The member routes change the project, and so return it.
+ */
+const resourceSchemas = {
+  project: Joi.object({
+    ...documentKeys,
+    projectId: Joi.string(),
+    title: Joi.string(),
+    description: Joi.string().allow(''),
+    priority: Joi.string().allow(''),
+    members: Joi.array().items(memberSchema),
+    archived: Joi.boolean(),
+  })
+    .unknown(true)
+    .meta({ component: 'Project' }),
+  issue: issueSchema
+    .keys({
+      ...documentKeys,
+      issueId: Joi.string(),
+      projectId: Joi.string(),
+      status: Joi.string(),
+      assignedTo: actorSchema.allow(null),
+      mentions: Joi.array().items(mentionSchema),
+      descriptionHtml: Joi.string().allow(''),
+    })
+    .unknown(true)
+    .meta({ component: 'Issue' }),
+  comment: commentSchema
+    .keys({
+      ...documentKeys,
+      issueId: Joi.string(),
+      projectId: Joi.string(),
+      html: Joi.string().allow(''),
+      mentions: Joi.array().items(mentionSchema),
+      edited: Joi.boolean(),
+    })
+    .unknown(true)
+    .meta({ component: 'Comment' }),
+  notification: Joi.object({
+    id: Joi.string(),
+    userId: Joi.string(),
+    event: Joi.string(),
+    reason: Joi.string(),
+    projectId: Joi.string(),
+    issueId: Joi.string(),
+    commentId: Joi.string().allow(null),
+    read: Joi.boolean(),
+    createdOn: Joi.date(),
+    createdBy: actorSchema,
+  })
+    .unknown(true)
+    .meta({ component: 'Notification' }),
+  webhook: Joi.object({
+    ...documentKeys,
+    projectId: Joi.string(),
+    url: Joi.string(),
+    events: Joi.array().items(Joi.string()),
+  })
+    .unknown(true)
+    .meta({ component: 'Webhook' }),
+};
+resourceSchemas.member = resourceSchemas.project;
+
+/**
+ * The response to a list, which is read a page at a time.
+ * @param {Joi.Schema} itemSchema (optional)
+ * @returns {Joi.ObjectSchema}
+ */
+export function pageOf(itemSchema = Joi.object()) {
+  return Joi.object({
+    items: Joi.array().items(itemSchema).required(),
+    continuationToken: Joi.string().allow(null),
+  });
+}
+
+/**
+ * The response to a change, e.g. { message, id, resource }.
+ * Some changes also return other fields, such as a warning.
+ * @param {Joi.Schema} resourceSchema
+ * @returns {Joi.ObjectSchema}
+ */
+export function resultOf(resourceSchema) {
+  return Joi.object({
+    message: Joi.string().required(),
+    id: Joi.string(),
+    resource: resourceSchema.allow(null),
+  }).unknown(true);
+}
+
+/**
+ * The errors that routes respond with, by status.
+ */
+const errorResponses = {
+  400: ['BadRequest', 'The request is not valid.'],
+  401: ['Unauthorized', 'You are not logged in.'],
+  403: ['Forbidden', 'You do not have permission.'],
+  404: ['NotFound', 'Not found.'],
+  409: ['Conflict', 'The request conflicts with the current state.'],
+  429: ['TooManyRequests', 'Too many requests.'],
+  default: ['Error', 'Something went wrong.'],
+};
+
+/**
+ * The headers that every response has.
+ */
+const requestIdHeaders = {
+  'X-Request-Id': { $ref: '#/components/headers/RequestId' },
+};
+
+/**
+ * The schema for each type of response that is not JSON.
+ */
+const contentSchemas = {
+  'text/csv': { type: 'string' },
+  'text/html': { type: 'string' },
+  'text/event-stream': { type: 'string' },
+  'application/octet-stream': { type: 'string', format: 'binary' },
+};
+
+/**
+ * Build an OpenAPI document from the routes of some express routers,
+ * with the Joi schemas that validate the requests,
+ * and the metadata that middleware leave in the "openApi" field.
+ * @param {Object<string, import('express').Router>} routers keyed by tag
+ * @param {string} basePath the path that the routers are mounted on
+ * @returns {OpenApi}
+ */
+export function createOpenApi(routers, basePath = '/api') {
+  const components = {};
+  const paths = {};
+  const responseSchemas = new Map();
+  const operationIds = new Set();
+
+  for (const [tag, router] of Object.entries(routers)) {
+    for (const { route } of router.stack) {
+      if (!route || typeof route.path !== 'string') {
+        continue;
+      }
+      const meta = Object.assign(
+        {},
+        ...route.stack.map((layer) => layer.handle.openApi)
+      );
+      for (const method of _.keys(route.methods)) {
+        const { operation, response } = toOperation(
+          tag,
+          method,
+          route.path,
+          meta,
+          components
+        );
+        operation.operationId = toOperationId(method, route.path, operationIds);
+        const path = (basePath + route.path).replace(/:(\w+)/g, '{$1}');
+        _.set(paths, [path, method], operation);
+        responseSchemas.set(`${method} ${route.path}`, response);
+      }
+    }
+  }
+
+  const document = {
+    openapi: '3.1.0',
+    info: {
+      title: 'Issue Tracker API',
+      description: pkg.description,
+      version: pkg.version,
+      license: { name: pkg.license, identifier: pkg.license },
+    },
+    servers: [{ url: '/' }],
+    tags: _.keys(routers).map((name) => ({ name })),
+    paths,
+    components: {
+      schemas: {
+        Error: toJsonSchema(errorSchema, components),
+        ..._.omit(components, 'Error'),
+      },
+      responses: _.fromPairs(
+        _.values(errorResponses).map(([name, description]) => [
+          name,
+          {
+            description,
+            headers: requestIdHeaders,
+            content: {
+              'application/problem+json': {
+                schema: { $ref: '#/components/schemas/Error' },
+              },
+            },
+          },
+        ])
+      ),
+      headers: {
+        RequestId: {
+          description:
+            'The id of the request, to find it in the logs. ' +
+            'Taken from the request, if it sent one.',
+          schema: { type: 'string' },
+        },
+      },
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description:
+            'The access token from POST /api/auth/login, /register or /refresh.',
+        },
+      },
+    },
+  };
+  debugOpenApi(`${responseSchemas.size} operations documented.`);
+
+  return {
+    document,
+    getResponseSchema: (method, path, status) => {
+      method = method.toLowerCase() === 'head' ? 'get' : method.toLowerCase();
+      if (!responseSchemas.has(`${method} ${path}`)) {
+        return null;
+      }
+      return status >= 400
+        ? errorSchema
+        : responseSchemas.get(`${method} ${path}`);
+    },
+  };
+}
+
+/**
+ * Describe one method of a route as an OpenAPI operation.
+ * Unless the route says otherwise, lists return a page of resources,
+ * reading a resource by id returns it, and changes return a result.
+ * @param {string} tag
+ * @param {string} method
+ * @param {string} path the express path of the route
+ * @param {any} meta the metadata left by the route's middleware
+ * @param {Object<string, any>} components the named schemas found so far
+ * @returns {{ operation: any, response: Joi.Schema|null }}
+ */
+function toOperation(tag, method, path, meta, components) {
+  const segments = path.split('/').filter(Boolean);
+  const pathParams = segments
+    .filter((segment) => segment.startsWith(':'))
+    .map((segment) => segment.substring(1));
+  const [parent, last] = segments.slice(-2);
+  const resourceSchema = resourceSchemas[tag] || Joi.object();
+
+  let response = meta.response;
+  if (response === undefined) {
+    if (method !== 'get') {
+      response = resultOf(resourceSchema);
+    } else if (last === 'list') {
+      response = pageOf(parent === tag ? resourceSchema : Joi.object());
+    } else if (last === `:${tag}Id`) {
+      response = resourceSchema;
+    } else {
+      response = Joi.object();
+    }
+  }
+
+  const operation = { tags: [tag], parameters: [] };
+  if (meta.permission) {
+    operation.description = `Requires the \`${meta.permission}\` permission in the project.`;
+  } else if (meta.admin) {
+    operation.description = 'Requires an admin.';
+  }
+  for (const name of pathParams) {
+    operation.parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string' },
+    });
+  }
+  if (meta.query) {
+    for (const name of _.keys(meta.query.describe().keys)) {
+      const param = meta.query.extract(name);
+      operation.parameters.push({
+        name,
+        in: 'query',
+        required: _.get(param.describe(), 'flags.presence') === 'required',
+        schema: toJsonSchema(param, components),
+      });
+    }
+  }
+
+  const content = {};
+  if (meta.body) {
+    content['application/json'] = {
+      schema: toJsonSchema(meta.body, components),
+    };
+  }
+  if (meta.upload) {
+    const schema = meta.formFields
+      ? toJsonSchema(meta.formFields, components)
+      : { type: 'object' };
+    _.set(schema, ['properties', meta.upload], {
+      type: 'string',
+      format: 'binary',
+    });
+    schema.required = _.union(schema.required, [meta.upload]);
+    content['multipart/form-data'] = { schema };
+  }
+  if (!_.isEmpty(content)) {
+    operation.requestBody = { required: true, content };
+  }
+
+  const contentTypes = _.castArray(meta.contentType || 'application/json');
+  operation.responses = {
+    [meta.status || 200]: {
+      description: 'Success',
+      headers: requestIdHeaders,
+      content: _.fromPairs(
+        contentTypes.map((type) => [
+          type,
+          {
+            schema:
+              type === 'application/json'
+                ? toJsonSchema(response, components)
+                : contentSchemas[type] || {},
+          },
+        ])
+      ),
+    },
+  };
+  const addError = (status) => {
+    operation.responses[status] = {
+      $ref: `#/components/responses/${errorResponses[status][0]}`,
+    };
+  };
+  if (meta.body || meta.query || meta.upload) {
+    addError(400);
+  }
+  if (meta.security) {
+    addError(401);
+    operation.security = [{ bearerAuth: [] }];
+  } else {
+    operation.security = [];
+  }
+  if (meta.permission || meta.admin) {
+    addError(403);
+  }
+  if (pathParams.length) {
+    addError(404);
+  }
+  if (meta.permission && !archivedPermissions.includes(meta.permission)) {
+    addError(409);
+  }
+  addError(429);
+  addError('default');
+
+  return {
+    operation,
+    response: contentTypes.includes('application/json') ? response : null,
+  };
+}
+
+/**
+ * Name an operation after its method and the fixed parts of its path,
+ * e.g. "getProjectIssueList".
+ * @param {string} method
+ * @param {string} path
+ * @param {Set<string>} operationIds the names already taken
+ * @returns {string}
+ */
+function toOperationId(method, path, operationIds) {
+  const words = [
+    method,
+    ...path.split('/').filter((segment) => !segment.startsWith(':')),
+  ];
+  let operationId = _.camelCase(words.join(' '));
+  for (let i = 2; operationIds.has(operationId); i++) {
+    operationId = _.camelCase(words.join(' ')) + i;
+  }
+  operationIds.add(operationId);
+  return operationId;
+}
@@ -0,0 +1,133 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+/**
+ * The addresses that are not on the public internet: loopback, private,
+ * link-local (e.g. cloud metadata at 169.254.169.254), shared, multicast
+ * and reserved ranges. IPv4 addresses mapped into IPv6 are also matched.
+ */
+const privateRanges = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  privateRanges.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b:1::', 48],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  privateRanges.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * The well-known NAT64 prefix, whose addresses are IPv4 addresses
+ * reached through a gateway, which may be on the private network.
+ */
+const nat64Ranges = new net.BlockList();
+nat64Ranges.addSubnet('64:ff9b::', 96, 'ipv6');
+
+/**
+ * Check if an IP address is not on the public internet.
+ * NAT64 addresses are checked by the IPv4 address in their last 32 bits.
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  if (family === 6 && nat64Ranges.check(address, 'ipv6')) {
+    return privateRanges.check(toEmbeddedIPv4(address), 'ipv4');
+  }
+  return privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Read the IPv4 address from the last 32 bits of an IPv6 address.
+ * @param {string} address
+ * @returns {string}
+ */
+function toEmbeddedIPv4(address) {
+  // the URL parser writes the address in hex groups, e.g. "64:ff9b::7f00:1"
+  const groups = new URL(`http://[${address}]`).hostname
+    .replace(/^\[|\]$/g, '')
+    .split(':')
+    .slice(-2)
+    .map((group) => parseInt(group || '0', 16));
+  return [
+    groups[0] >> 8,
+    groups[0] & 255,
+    groups[1] >> 8,
+    groups[1] & 255,
+  ].join('.');
+}
+
+/**
+ * Find the addresses of a URL's host, and check that none are private.
+ * The host is looked up, rather than only checking its name,
+ * as any name can be pointed at a private address.
+ * @param {string} url
+ * @returns {Promise<string|null>} why the URL is not allowed, or null if it is
+ */
+export async function findPrivateHost(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.lookup(hostname, { all: true })).map(
+        (x) => x.address
+      );
+    } catch (err) {
+      return `The host ${hostname} could not be found.`;
+    }
+  }
+  const address = addresses.find(isPrivateAddress);
+  return address
+    ? `The host ${hostname} is a private address (${address}).`
+    : null;
+}
+
+/**
+ * A DNS lookup for http.request() that refuses private addresses,
+ * so that the address that is connected to is the one that was checked,
+ * even if the name is changed to point somewhere else in the meantime.
+ * @param {string} hostname
+ * @param {any} options
+ * @param {Function} callback
+ */
+export function publicLookup(hostname, options, callback) {
+  dns
+    .lookup(hostname, { ...options, all: true })
+    .then((addresses) => {
+      const found = addresses.find((x) => isPrivateAddress(x.address));
+      if (found) {
+        const err = new Error(
+          `The host ${hostname} is a private address (${found.address}).`
+        );
+        err.code = 'EPRIVATEHOST';
+        return callback(err);
+      }
+      if (options && options.all) {
+        return callback(null, addresses);
+      }
+      return callback(null, addresses[0].address, addresses[0].family);
+    })
+    .catch((err) => callback(err));
+}
@@ -0,0 +1,38 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import debug from 'debug';
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run a function, and everything it starts, within the context of a request.
+ * @param {string} requestId
+ * @param {() => any} fn
+ * @returns {any}
+ */
+export function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * Find the id of the request that is being handled.
+ * @returns {string|null} null outside of a request, e.g. in a background job
+ */
+export function getRequestId() {
+  const store = requestContext.getStore();
+  return store ? store.requestId : null;
+}
+
+/**
+ * Add the id of the request that is being handled to every debug line,
+ * so that all the lines logged for one request can be found.
+ */
+export function addRequestIdToDebug() {
+  const formatArgs = debug.formatArgs;
+  debug.formatArgs = function (args) {
+    const requestId = getRequestId();
+    if (requestId) {
+      args[0] = `[${requestId}] ${args[0]}`;
+    }
+    formatArgs.call(this, args);
+  };
+}
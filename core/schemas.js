@@ -0,0 +1,20 @@
+import Joi from 'joi';
+import { issueCategoryKeys } from './categories.js';
+
+/**
+ * The fields of an issue that are set when it is created or updated.
+ */
+export const issueSchema = Joi.object({
+  title: Joi.string().trim().required(),
+  description: Joi.string().trim().required(),
+  priority: Joi.string().trim().allow('').required(), // optional
+  ...issueCategoryKeys,
+});
+
+/**
+ * The fields of a comment that are set when it is created.
+ */
+export const commentSchema = Joi.object({
+  text: Joi.string().trim().required(),
+  parentCommentId: Joi.string().trim(), // optional
+});
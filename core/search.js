@@ -0,0 +1,342 @@
+import _ from 'lodash';
+import { Projects, Issues, IssueComments } from './db.js';
+import { invalidContinuationToken } from './errors.js';
+
+/**
+ * The qualifiers that may be used in a search, e.g. "priority:high".
+ */
+export const searchQualifiers = [
+  'type',
+  'project',
+  'priority',
+  'status',
+  'author',
+  'assignee',
+];
+
+/**
+ * The fields that are searched for each type of result,
+ * and how much a match in that field adds to the score.
+ */
+const searchFields = {
+  Project: { title: 3, description: 1 },
+  Issue: { title: 3, description: 1 },
+  Comment: { text: 1 },
+};
+
+/**
+ * The qualifiers that each type of result supports.
+ * Types that do not support a qualifier are left out of the results.
+ */
+const typeQualifiers = {
+  Project: ['type', 'project', 'priority', 'author'],
+  Issue: searchQualifiers,
+  Comment: ['type', 'project', 'author'],
+};
+
+/**
+ * Split a search string into free text terms and qualifiers.
+ * Terms may be quoted, to search for a phrase.
+ * @param {string} q search string, e.g. 'priority:high "login page" crash'
+ * @returns {{ terms: string[], qualifiers: Object<string, string> }}
+ */
+export function parseSearch(q) {
+  const terms = [];
+  const qualifiers = {};
+  const tokenPattern = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+  for (const match of q.matchAll(tokenPattern)) {
+    const [, key, quotedValue, value, phrase, word] = match;
+    if (key && searchQualifiers.includes(key.toLowerCase())) {
+      qualifiers[key.toLowerCase()] = (quotedValue ?? value).trim();
+    } else {
+      const term = (phrase ?? word ?? match[0]).trim();
+      if (term) {
+        terms.push(term);
+      }
+    }
+  }
+  return { terms, qualifiers };
+}
+
+/**
+ * Build the condition for a qualifier that identifies a user.
+ * The value may be "me", an email address or a user id.
+ * @param {string} field the field that holds the user
+ * @param {string} value
+ * @param {any} auth the user making the request
+ * @returns {import('./cosmos.js').QueryCondition}
+ */
+function toUserCondition(field, value, auth) {
+  if (value === 'me') {
+    return [field + '.userId', '=', auth.userId];
+  } else if (value.includes('@')) {
+    return [field + '.email', '=', value.toLowerCase()];
+  } else {
+    return [field + '.userId', '=', value];
+  }
+}
+
+/**
+ * Build the storage query for one type of result.
+ * @param {string} type
+ * @param {string[]} terms
+ * @param {Object<string, string>} qualifiers
+ * @param {string[]} projectIds the projects that may be searched
+ * @param {any} auth the user making the request
+ * @returns {import('./cosmos.js').Query}
+ */
+function toSearchQuery(type, terms, qualifiers, projectIds, auth) {
+  const fields = Object.keys(searchFields[type]);
+  const where = [['projectId', 'in', projectIds]];
+  for (const term of terms) {
+    where.push({ any: fields.map((field) => [field, 'includes', term]) });
+  }
+  if (qualifiers.priority) {
+    where.push(['priority', '=', qualifiers.priority]);
+  }
+  if (qualifiers.status) {
+    where.push(['status', '=', qualifiers.status]);
+  }
+  if (qualifiers.author) {
+    where.push(toUserCondition('createdBy', qualifiers.author, auth));
+  }
+  if (qualifiers.assignee) {
+    where.push(toUserCondition('assignedTo', qualifiers.assignee, auth));
+  }
+  return { where, orderBy: [['createdOn', 'DESC']] };
+}
+
+/**
+ * Read the position that a search continues from.
+ * Searches are paged by when the results were created, rather than
+ * with the storage's own continuation tokens, as they merge several queries.
+ * @param {string|null} continuationToken
+ * @returns {{ before: string, seenIds: string[] }|null}
+ */
+function parseSearchToken(continuationToken) {
+  if (!continuationToken) {
+    return null;
+  }
+  try {
+    const { before, seenIds } = JSON.parse(
+      Buffer.from(continuationToken, 'base64url').toString()
+    );
+    if (typeof before === 'string' && Array.isArray(seenIds)) {
+      return { before, seenIds };
+    }
+  } catch (err) {
+    // fall through
+  }
+  throw invalidContinuationToken();
+}
+
+/**
+ * Build the token to continue a search after the last result of a page.
+ * The results created at the same time as the last one are remembered,
+ * so that they are not returned again.
+ * @param {any[]} page
+ * @param {{ before: string, seenIds: string[] }|null} position
+ *  where the page started
+ * @returns {string}
+ */
+function toSearchToken(page, position) {
+  const before = _.last(page).createdOn;
+  const seenIds = page
+    .filter((result) => result.createdOn === before)
+    .map((result) => result.id);
+  if (position && position.before === before) {
+    seenIds.push(...position.seenIds);
+  }
+  return Buffer.from(JSON.stringify({ before, seenIds })).toString('base64url');
+}
+
+/**
+ * Score how well an item matches the search terms.
+ * @param {string} type
+ * @param {any} item
+ * @param {string[]} terms
+ * @returns {number}
+ */
+function scoreItem(type, item, terms) {
+  let score = 0;
+  for (const [field, weight] of Object.entries(searchFields[type])) {
+    const text = (item[field] || '').toLowerCase();
+    for (const term of terms) {
+      const needle = term.toLowerCase();
+      if (text === needle) {
+        score += weight * 3;
+      } else if (new RegExp(`\\b${_.escapeRegExp(needle)}\\b`).test(text)) {
+        score += weight * 2;
+      } else if (text.includes(needle)) {
+        score += weight;
+      }
+    }
+  }
+  return score;
+}
+
+/**
+ * Build a short excerpt of some text, around the first match of the terms.
+ * The text is HTML escaped, and the matches are wrapped in <mark> tags.
+ * @param {string} text
+ * @param {string[]} terms
+ * @param {number} maxLength
+ * @returns {string}
+ */
+export function highlight(text, terms, maxLength = 160) {
+  text = text || '';
+  let start = 0;
+  if (terms.length) {
+    const lower = text.toLowerCase();
+    const first = _.min(
+      terms
+        .map((term) => lower.indexOf(term.toLowerCase()))
+        .filter((index) => index >= 0)
+    );
+    if (first > maxLength / 2) {
+      start = first - maxLength / 4;
+    }
+  }
+
+  const excerpt = text.substring(start, start + maxLength);
+  let html = '';
+  let end = 0;
+  if (terms.length) {
+    const pattern = new RegExp(terms.map(_.escapeRegExp).join('|'), 'gi');
+    for (const match of excerpt.matchAll(pattern)) {
+      html += _.escape(excerpt.substring(end, match.index));
+      html += '<mark>' + _.escape(match[0]) + '</mark>';
+      end = match.index + match[0].length;
+    }
+  }
+  html += _.escape(excerpt.substring(end));
+  return (
+    (start > 0 ? '…' : '') + html + (start + maxLength < text.length ? '…' : '')
+  );
+}
+
+/**
+ * The orders that search results may be sorted in.
+ */
+export const searchSorts = ['relevance', 'recent'];
+
+/**
+ * Search the projects, issues and comments that a user can see,
+ * a page at a time.
+ * The pages are read newest first, so that every match can be reached by
+ * paging, and each result is scored by how well it matches the terms.
+ * Sorting by relevance orders the results of each page by their score.
+ * @param {string} q search string
+ * @param {any} auth the user making the request
+ * @param {number} limit the maximum number of results
+ * @param {string|null} continuationToken from the previous page (optional)
+ * @param {string} sort "relevance" or "recent"
+ * @returns {Promise<{ results: any[], continuationToken: string|null }>}
+ */
+export async function search(
+  q,
+  auth,
+  limit,
+  continuationToken = null,
+  sort = 'relevance'
+) {
+  const { terms, qualifiers } = parseSearch(q);
+  const position = parseSearchToken(continuationToken);
+
+  // only search within the active projects that the user is a member of
+  const projects = _.reject(
+    await Projects.getAllForMember(auth.userId),
+    (project) => project.archived || project.deleting
+  );
+  let projectIds = _.map(projects, 'projectId');
+  if (qualifiers.project) {
+    projectIds = _.intersection(projectIds, [qualifiers.project]);
+  }
+  const projectTitles = _.fromPairs(
+    projects.map((project) => [project.projectId, project.title])
+  );
+
+  const repositories = {
+    Project: Projects,
+    Issue: Issues,
+    Comment: IssueComments,
+  };
+  const types = Object.keys(repositories).filter(
+    (type) =>
+      (!qualifiers.type ||
+        qualifiers.type.toLowerCase() === type.toLowerCase()) &&
+      Object.keys(qualifiers).every((key) => typeQualifiers[type].includes(key))
+  );
+
+  // read one page of each type, from where the last page stopped,
+  // with enough extra to skip the results that were already returned
+  const pages = await Promise.all(
+    types.map((type) => {
+      const query = toSearchQuery(type, terms, qualifiers, projectIds, auth);
+      if (position) {
+        query.where.push(['createdOn', '<=', position.before]);
+      }
+      const pageSize = limit + (position ? position.seenIds.length : 0);
+      return repositories[type].getPage(query, pageSize);
+    })
+  );
+
+  const results = [];
+  types.forEach((type, i) => {
+    for (const item of pages[i].items) {
+      if (position && position.seenIds.includes(item.id)) {
+        continue;
+      }
+      const highlights = {};
+      for (const field in searchFields[type]) {
+        highlights[field] = highlight(item[field], terms);
+      }
+      results.push({
+        type,
+        id: item.id,
+        projectId: item.projectId,
+        issueId: item.issueId,
+        projectTitle: projectTitles[item.projectId],
+        title: item.title,
+        highlights,
+        score: scoreItem(type, item, terms),
+        createdOn: item.createdOn,
+        createdBy: item.createdBy,
+      });
+    }
+  });
+
+  const sorted = _.orderBy(results, ['createdOn', 'id'], ['desc', 'desc']);
+  const page = sorted.slice(0, limit);
+  const hasMore =
+    sorted.length > limit || pages.some((x) => x.continuationToken);
+  await addIssueTitles(page);
+  return {
+    results:
+      sort === 'relevance'
+        ? _.orderBy(page, ['score', 'createdOn'], ['desc', 'desc'])
+        : page,
+    continuationToken:
+      hasMore && page.length ? toSearchToken(page, position) : null,
+  };
+}
+
+/**
+ * Give each comment in the results the title of its issue,
+ * as comments do not have titles of their own.
+ * @param {any[]} results
+ */
+async function addIssueTitles(results) {
+  const comments = results.filter((result) => result.type === 'Comment');
+  const issues = await Promise.all(
+    _.uniqBy(comments, (x) => x.projectId + ';' + x.issueId).map((x) =>
+      Issues.getById(x.projectId, x.issueId)
+    )
+  );
+  const issueTitles = _.fromPairs(
+    _.compact(issues).map((issue) => [issue.issueId, issue.title])
+  );
+  for (const comment of comments) {
+    comment.title = issueTitles[comment.issueId];
+  }
+}
@@ -0,0 +1,221 @@
+import config from 'config';
+import debug from 'debug';
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import jwt from 'jsonwebtoken';
+import _ from 'lodash';
+import { Sessions } from './db.js';
+import { isPreconditionError } from './etag.js';
+
+const debugSessions = debug('app:core:sessions');
+const { tokenSecretKey, tokenExpiresIn, refreshTokenExpiresInDays } =
+  config.get('auth');
+
+/**
+ * Hash the secret part of a refresh token, so that it is never stored as is.
+ * @param {string} secret
+ * @returns {string}
+ */
+export function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Split a refresh token into the ids of its user and session, and its secret.
+ * @param {string} refreshToken e.g. "<userId>.<sessionId>.<secret>"
+ * @returns {{ userId: string, sessionId: string, secret: string }|null}
+ */
+function parseRefreshToken(refreshToken) {
+  const [userId, sessionId, secret] = (refreshToken || '').split('.');
+  return userId && sessionId && secret ? { userId, sessionId, secret } : null;
+}
+
+/**
+ * Generate a new refresh token for a session,
+ * and store the hash of its secret in the session.
+ * @param {any} session
+ * @returns {string} refresh token
+ */
+function newRefreshToken(session) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  session.tokenHash = hashSecret(secret);
+  return `${session.userId}.${session.id}.${secret}`;
+}
+
+/**
+ * Record the device and address that a session was used from.
+ * @param {any} session
+ * @param {import('express').Request} req
+ */
+function touchSession(session, req) {
+  session.lastUsedOn = new Date();
+  session.userAgent = req.get('User-Agent') || null;
+  session.ip = req.ip;
+}
+
+/**
+ * Generate a new short-lived JWT access token for a session.
+ * @param {any} user user data
+ * @param {string} sessionId
+ * @returns {string} access token
+ */
+export function generateToken(
+  { userId, email, givenName, familyName },
+  sessionId
+) {
+  return jwt.sign(
+    { userId, email, givenName, familyName, sessionId },
+    tokenSecretKey,
+    { expiresIn: tokenExpiresIn }
+  );
+}
+
+/**
+ * Check if a session can no longer be used.
+ * @param {any} session
+ * @returns {boolean}
+ */
+export function isExpired(session) {
+  return new Date(session.expiresOn).getTime() <= Date.now();
+}
+
+/**
+ * Start a new session for a user, when they register or log in.
+ * Also clears away any of their sessions that have expired.
+ * @param {any} user
+ * @param {import('express').Request} req
+ * @returns {Promise<{ session: any, token: string, refreshToken: string }>}
+ */
+export async function startSession(user, req) {
+  const now = new Date();
+  const session = {
+    id: nanoid(),
+    userId: user.userId,
+    createdOn: now,
+    expiresOn: new Date(
+      now.getTime() + refreshTokenExpiresInDays * 24 * 60 * 60 * 1000
+    ),
+  };
+  touchSession(session, req);
+  const refreshToken = newRefreshToken(session);
+
+  const resource = await Sessions.add(session);
+  debugSessions(`Session ${session.id} started for user ${user.userId}.`);
+
+  const sessions = await Sessions.getAllForUser(user.userId);
+  for (const expired of sessions.filter(isExpired)) {
+    await Sessions.remove(user.userId, expired.id);
+  }
+  return {
+    session: resource,
+    token: generateToken(user, resource.id),
+    refreshToken,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Each refresh token may only be used once. If an old refresh token is
+ * presented again, it may have been stolen, so the session is ended.
+ * @param {string} refreshToken
+ * @param {(userId: string) => Promise<any>} getUser
+ * @param {import('express').Request} req
+ * @returns {Promise<{ session: any, token: string, refreshToken: string }|null>}
+ *  null if the refresh token is not valid
+ */
+export async function refreshSession(refreshToken, getUser, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const { userId, sessionId, secret } = parsed;
+  const session = await Sessions.getById(userId, sessionId);
+  if (!session || isExpired(session)) {
+    return null;
+  }
+  if (session.tokenHash !== hashSecret(secret)) {
+    await Sessions.remove(userId, sessionId);
+    debugSessions(`Session ${sessionId} ended, refresh token reused.`);
+    return null;
+  }
+  const user = await getUser(userId);
+  if (!user || user.disabled) {
+    return null;
+  }
+
+  touchSession(session, req);
+  const newToken = newRefreshToken(session);
+  // a concurrent refresh with the same token loses the race
+  const resource = await Sessions.replace(
+    userId,
+    sessionId,
+    session,
+    session._etag
+  ).catch((err) => {
+    if (isPreconditionError(err)) {
+      return null;
+    }
+    throw err;
+  });
+  if (!resource) {
+    return null;
+  }
+  debugSessions(`Session ${sessionId} refreshed.`);
+  return {
+    session: resource,
+    token: generateToken(user, resource.id),
+    refreshToken: newToken,
+  };
+}
+
+/**
+ * End one session of a user.
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} false if the session was not found
+ */
+export async function endSession(userId, sessionId) {
+  const session = await Sessions.getById(userId, sessionId);
+  if (!session) {
+    return false;
+  }
+  await Sessions.remove(userId, sessionId);
+  debugSessions(`Session ${sessionId} ended.`);
+  return true;
+}
+
+/**
+ * End all sessions of a user, e.g. when they change their password.
+ * @param {string} userId
+ * @returns {Promise<number>} the number of sessions ended
+ */
+export async function endAllSessions(userId) {
+  const sessions = await Sessions.getAllForUser(userId);
+  for (const session of sessions) {
+    await Sessions.remove(userId, session.id);
+  }
+  debugSessions(`All ${sessions.length} sessions of user ${userId} ended.`);
+  return sessions.length;
+}
+
+/**
+ * Select the fields of a session that are safe to send to the client.
+ * @param {any} session
+ * @param {string} currentSessionId the session of the request
+ * @returns {any}
+ */
+export function toPublicSession(session, currentSessionId) {
+  return {
+    sessionId: session.id,
+    ..._.pick(
+      session,
+      'createdOn',
+      'lastUsedOn',
+      'expiresOn',
+      'userAgent',
+      'ip'
+    ),
+    current: session.id === currentSessionId,
+  };
+}
@@ -0,0 +1,258 @@
+import _ from 'lodash';
+import { Issues } from './db.js';
+import { issueStatuses } from './workflow.js';
+import { doneStatuses } from './issueLinks.js';
+
+const dayInMs = 24 * 60 * 60 * 1000;
+
+/**
+ * The statuses of issues that are still open.
+ */
+const openStatuses = _.difference(issueStatuses, doneStatuses);
+
+/**
+ * Format a date as an ISO day, e.g. "2024-05-31".
+ * @param {Date|number|string} date
+ * @returns {string}
+ */
+export function toDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Add a number of days to an ISO day.
+ * @param {string} day
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(day, days) {
+  return toDay(new Date(day + 'T00:00:00Z').getTime() + days * dayInMs);
+}
+
+/**
+ * Find the Monday that starts the week of an ISO day.
+ * @param {string} day
+ * @returns {string}
+ */
+function toWeekStart(day) {
+  const weekday = (new Date(day + 'T00:00:00Z').getUTCDay() + 6) % 7;
+  return addDays(day, -weekday);
+}
+
+/**
+ * Count the issues of a project, with their status open or closed.
+ * @param {string} projectId
+ * @param {string} field the field to count by
+ * The value of the field is returned as groupValue, as VALUE is a keyword
+ * in Cosmos DB SQL, and cannot be used as an alias.
+ * @returns {Promise<{ groupValue: any, open: number, closed: number }[]>}
+ */
+async function countOpenAndClosedBy(projectId, field) {
+  const rows = await Issues.aggregateForProject(
+    projectId,
+    {},
+    {
+      groupBy: { status: 'status', groupValue: field },
+      aggregates: { count: ['count'] },
+    }
+  );
+  const counts = new Map();
+  for (const { status, groupValue = null, count } of rows) {
+    if (!counts.has(groupValue)) {
+      counts.set(groupValue, { groupValue, open: 0, closed: 0 });
+    }
+    counts.get(groupValue)[doneStatuses.includes(status) ? 'closed' : 'open'] +=
+      count;
+  }
+  return _.sortBy([...counts.values()], (x) => -x.open);
+}
+
+/**
+ * Count the issues of a project created or resolved on each day.
+ * @param {string} projectId
+ * @param {'createdOn'|'resolvedOn'} field
+ * @param {any[]} where further conditions on the issues
+ * @returns {Promise<Object<string, number>>} the counts, keyed by ISO day
+ */
+async function countByDay(projectId, field, where) {
+  const rows = await Issues.aggregateForProject(
+    projectId,
+    { where },
+    { groupBy: { day: [field, 'day'] }, aggregates: { count: ['count'] } }
+  );
+  return _.fromPairs(rows.map(({ day, count }) => [day, count]));
+}
+
+/**
+ * Count the issues of a project that match some conditions.
+ * @param {string} projectId
+ * @param {any[]} where
+ * @returns {Promise<number>}
+ */
+async function countWhere(projectId, where) {
+  const [row] = await Issues.aggregateForProject(
+    projectId,
+    { where },
+    { aggregates: { count: ['count'] } }
+  );
+  return row ? row.count : 0;
+}
+
+/**
+ * Work out the statistics of a project's issues.
+ * The counting is done by the database, rather than reading every issue.
+ * Issues in the trash are not counted.
+ * @param {any} project
+ * @param {{ weeks: number, oldest: number }} options
+ *  the number of weeks to count created and resolved issues over,
+ *  and the number of oldest open issues to list
+ * @returns {Promise<any>}
+ */
+export async function getProjectStats(project, { weeks, oldest }) {
+  const { projectId } = project;
+
+  const byPriority = await countOpenAndClosedBy(projectId, 'priority');
+  const byAssignee = await countOpenAndClosedBy(projectId, 'assignedTo.userId');
+  const totals = {
+    open: _.sumBy(byPriority, 'open'),
+    closed: _.sumBy(byPriority, 'closed'),
+  };
+  totals.total = totals.open + totals.closed;
+
+  // issues created and resolved in each of the last few weeks
+  const since = addDays(toWeekStart(toDay(Date.now())), -7 * (weeks - 1));
+  const created = await countByDay(projectId, 'createdOn', [
+    ['createdOn', '>=', since],
+  ]);
+  const resolved = await countByDay(projectId, 'resolvedOn', [
+    ['resolvedOn', '>=', since],
+  ]);
+  const weekly = _.range(weeks).map((i) => ({
+    week: addDays(since, 7 * i),
+    created: 0,
+    resolved: 0,
+  }));
+  const weeksByStart = _.keyBy(weekly, 'week');
+  for (const [field, counts] of [
+    ['created', created],
+    ['resolved', resolved],
+  ]) {
+    _.forEach(counts, (count, day) => {
+      // leave out any dates in the future
+      const week = weeksByStart[toWeekStart(day)];
+      if (week) {
+        week[field] += count;
+      }
+    });
+  }
+
+  const [resolution] = await Issues.aggregateForProject(
+    projectId,
+    {
+      where: [
+        ['status', 'in', doneStatuses],
+        ['resolutionInSeconds', 'exists', true],
+      ],
+    },
+    {
+      aggregates: {
+        count: ['count'],
+        avgSeconds: ['avg', 'resolutionInSeconds'],
+      },
+    }
+  );
+  const avgSeconds = resolution && resolution.avgSeconds;
+
+  const { items: oldestOpen } = await Issues.getPageForProject(
+    projectId,
+    {
+      where: [['status', 'in', openStatuses]],
+      orderBy: [['createdOn', 'ASC']],
+    },
+    oldest
+  );
+
+  const members = _.keyBy(project.members, 'userId');
+  return {
+    projectId,
+    totals,
+    byPriority: byPriority.map(({ groupValue, open, closed }) => ({
+      priority: groupValue,
+      open,
+      closed,
+    })),
+    byAssignee: byAssignee.map(({ groupValue, open, closed }) => ({
+      userId: groupValue,
+      email: groupValue ? _.get(members, [groupValue, 'email'], null) : null,
+      open,
+      closed,
+    })),
+    weekly,
+    resolution: {
+      count: resolution ? resolution.count : 0,
+      meanHours: _.isNumber(avgSeconds) ? _.round(avgSeconds / 3600, 1) : null,
+    },
+    oldestOpen: oldestOpen.map((issue) => ({
+      ..._.pick(issue, 'issueId', 'title', 'status', 'priority', 'createdOn'),
+      ageInDays: Math.floor((Date.now() - new Date(issue.createdOn)) / dayInMs),
+    })),
+  };
+}
+
+/**
+ * Work out how many issues were open at the end of each day of a range,
+ * for a burndown chart. Also gives the ideal line, which falls steadily
+ * from the issues open on the first day to none on the last day.
+ * Issues count as resolved from when they were last resolved or closed.
+ * @param {string} projectId
+ * @param {{ milestoneId?: string, from: string, to: string }} options
+ *  only count the issues of a milestone, between two ISO days (inclusive)
+ * @returns {Promise<{
+ *  date: string,
+ *  created: number,
+ *  resolved: number,
+ *  open: number,
+ *  ideal: number
+ * }[]>}
+ */
+export async function getBurndown(projectId, { milestoneId, from, to }) {
+  const where = milestoneId ? [['milestoneId', '=', milestoneId]] : [];
+  const end = addDays(to, 1);
+
+  const createdBefore = await countWhere(projectId, [
+    ...where,
+    ['createdOn', '<', from],
+  ]);
+  const resolvedBefore = await countWhere(projectId, [
+    ...where,
+    ['resolvedOn', '<', from],
+  ]);
+  const created = await countByDay(projectId, 'createdOn', [
+    ...where,
+    ['createdOn', '>=', from],
+    ['createdOn', '<', end],
+  ]);
+  const resolved = await countByDay(projectId, 'resolvedOn', [
+    ...where,
+    ['resolvedOn', '>=', from],
+    ['resolvedOn', '<', end],
+  ]);
+
+  const rows = [];
+  let open = createdBefore - resolvedBefore;
+  for (let day = from; day < end; day = addDays(day, 1)) {
+    open += (created[day] || 0) - (resolved[day] || 0);
+    rows.push({
+      date: day,
+      created: created[day] || 0,
+      resolved: resolved[day] || 0,
+      open,
+    });
+  }
+  const start = rows.length ? rows[0].open : 0;
+  rows.forEach((row, i) => {
+    const remaining = rows.length > 1 ? 1 - i / (rows.length - 1) : 0;
+    row.ideal = _.round(start * remaining, 2);
+  });
+  return rows;
+}
@@ -0,0 +1,197 @@
+import config from 'config';
+import debug from 'debug';
+import _ from 'lodash';
+import { Issues, IssueComments, Attachments, Trash } from './db.js';
+import { removeIssue, removeComment } from './cascade.js';
+
+const debugTrash = debug('app:core:trash');
+const { retentionInDays, purgeIntervalInMinutes } = config.get('trash');
+
+/**
+ * Remove the trash fields from an issue or comment.
+ * @param {any} item
+ */
+function clearTrashFields(item) {
+  delete item.deletedOn;
+  delete item.deletedBy;
+  delete item.deletedWithIssue;
+  delete item.deletedWithComment;
+}
+
+/**
+ * Move an issue to the trash, along with its comments.
+ * @param {any} issue
+ * @param {any} auth the user deleting the issue
+ * @returns {Promise<any>} the trashed issue
+ */
+export async function trashIssue(issue, auth) {
+  const { projectId, issueId } = issue;
+  const now = new Date();
+  const deletedBy = _.pick(auth, 'userId', 'email');
+
+  issue.deletedOn = now;
+  issue.deletedBy = deletedBy;
+  const resource = await Issues.replace(projectId, issueId, issue, issue._etag);
+
+  const comments = await IssueComments.getAllCommentsForIssue(
+    projectId,
+    issueId
+  );
+  for (const comment of comments) {
+    comment.deletedOn = now;
+    comment.deletedBy = deletedBy;
+    comment.deletedWithIssue = true;
+    await IssueComments.replace(projectId, issueId, comment.id, comment);
+  }
+  debugTrash(`Issue ${issueId} trashed, with ${comments.length} comments.`);
+  return resource;
+}
+
+/**
+ * Restore an issue from the trash,
+ * along with the comments that were trashed with it.
+ * @param {any} issue
+ * @returns {Promise<any>} the restored issue
+ */
+export async function restoreIssue(issue) {
+  const { projectId, issueId } = issue;
+  clearTrashFields(issue);
+  const resource = await Issues.replace(projectId, issueId, issue, issue._etag);
+
+  const comments = await IssueComments.getAllCommentsForIssue(
+    projectId,
+    issueId,
+    true
+  );
+  const trashedWithIssue = comments.filter((c) => c.deletedWithIssue);
+  for (const comment of trashedWithIssue) {
+    clearTrashFields(comment);
+    await IssueComments.replace(projectId, issueId, comment.id, comment);
+  }
+  debugTrash(
+    `Issue ${issueId} restored, with ${trashedWithIssue.length} comments.`
+  );
+  return resource;
+}
+
+/**
+ * Move a comment to the trash, along with its attachments.
+ * @param {any} comment
+ * @param {any} auth the user deleting the comment
+ * @returns {Promise<any>} the trashed comment
+ */
+export async function trashComment(comment, auth) {
+  const { projectId, issueId, id: commentId } = comment;
+  const now = new Date();
+  const deletedBy = _.pick(auth, 'userId', 'email');
+
+  comment.deletedOn = now;
+  comment.deletedBy = deletedBy;
+  const resource = await IssueComments.replace(
+    projectId,
+    issueId,
+    commentId,
+    comment,
+    comment._etag
+  );
+
+  const attachments = await Attachments.getAllForComment(
+    projectId,
+    issueId,
+    commentId
+  );
+  for (const attachment of attachments) {
+    attachment.deletedOn = now;
+    attachment.deletedBy = deletedBy;
+    attachment.deletedWithComment = true;
+    await Attachments.replace(projectId, issueId, attachment.id, attachment);
+  }
+  debugTrash(
+    `Comment ${commentId} trashed, with ${attachments.length} attachments.`
+  );
+  return resource;
+}
+
+/**
+ * Restore a comment from the trash, along with its attachments.
+ * @param {any} comment
+ * @returns {Promise<any>} the restored comment
+ */
+export async function restoreComment(comment) {
+  const { projectId, issueId, id: commentId } = comment;
+  clearTrashFields(comment);
+  const resource = await IssueComments.replace(
+    projectId,
+    issueId,
+    commentId,
+    comment,
+    comment._etag
+  );
+
+  const attachments = await Attachments.getAllForComment(
+    projectId,
+    issueId,
+    commentId,
+    true
+  );
+  const trashedWithComment = attachments.filter((a) => a.deletedWithComment);
+  for (const attachment of trashedWithComment) {
+    clearTrashFields(attachment);
+    await Attachments.replace(projectId, issueId, attachment.id, attachment);
+  }
+  debugTrash(
+    `Comment ${commentId} restored, with ${trashedWithComment.length} attachments.`
+  );
+  return resource;
+}
+
+/**
+ * Permanently remove an issue or comment that is in the trash.
+ * @param {any} item
+ */
+export async function purgeItem(item) {
+  if (item.type === 'Issue') {
+    await removeIssue(item.projectId, item.issueId);
+  } else {
+    await removeComment(item.projectId, item.issueId, item.id);
+  }
+  debugTrash(`${item.type} ${item.id} purged.`);
+}
+
+/**
+ * Permanently remove the items that have been in the trash
+ * for longer than the retention period.
+ * @returns {Promise<number>} the number of items purged
+ */
+export async function purgeExpired() {
+  const cutoff = new Date(Date.now() - retentionInDays * 24 * 60 * 60 * 1000);
+  const items = await Trash.getAllDeletedBefore(cutoff);
+  for (const item of _.sortBy(items, (item) => item.type !== 'Issue')) {
+    // comments may have gone already, along with their issue
+    const current =
+      item.type === 'Issue'
+        ? await Issues.getById(item.projectId, item.issueId, true)
+        : await IssueComments.getById(
+            item.projectId,
+            item.issueId,
+            item.id,
+            true
+          );
+    if (current) {
+      await purgeItem(current);
+    }
+  }
+  return items.length;
+}
+
+/**
+ * Purge expired items from the trash now, and then at regular intervals.
+ */
+export function startTrashPurge() {
+  const run = () =>
+    purgeExpired()
+      .then((count) => debugTrash(`${count} expired items purged.`))
+      .catch((err) => debugTrash(`Purge error: ${err.message}`));
+  setInterval(run, purgeIntervalInMinutes * 60 * 1000).unref();
+  run();
+}
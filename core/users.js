@@ -0,0 +1,162 @@
+import config from 'config';
+import debug from 'debug';
+import _ from 'lodash';
+import { Users, Projects, Issues, IssueComments, Attachments } from './db.js';
+import { getMember, newMember, setMembers } from './membership.js';
+import { endAllSessions } from './sessions.js';
+import { revokeAuthTokens } from './authTokens.js';
+import { removeUserNotifications } from './notifications.js';
+
+const debugUsers = debug('app:core:users');
+const { maxPageSize } = config.get('paging');
+
+/**
+ * The reference that is left in place of a user who has been deleted.
+ */
+export const deletedUserRef = { userId: null, email: null, deleted: true };
+
+/**
+ * Read every page of a query into a single array,
+ * including any items that are in the trash.
+ * The items are all read before any are changed,
+ * so that changing them cannot shift the later pages.
+ * @param {(query: any, pageSize: number, continuationToken: string) => Promise<any>} getPage
+ * @param {import('./cosmos.js').Query} query
+ * @returns {Promise<any[]>}
+ */
+async function getAllPages(getPage, query) {
+  const items = [];
+  let continuationToken = null;
+  do {
+    const page = await getPage(query, maxPageSize, continuationToken, true);
+    items.push(...page.items);
+    continuationToken = page.continuationToken;
+  } while (continuationToken);
+  return items;
+}
+
+/**
+ * Find the projects that would be left without an owner if a user was removed.
+ * @param {string} userId
+ * @returns {Promise<any[]>}
+ */
+export async function getSoleOwnedProjects(userId) {
+  const projects = await Projects.getAllForMember(userId);
+  return projects.filter(
+    (project) =>
+      _.get(getMember(project, userId), 'role') === 'owner' &&
+      _.filter(project.members, { role: 'owner' }).length < 2
+  );
+}
+
+/**
+ * Delete a user, along with their sessions, tokens and notifications.
+ * Their projects, issues, comments and attachments are kept,
+ * but the references to them are either reassigned to another user,
+ * or anonymized.
+ * @param {any} user the user being deleted
+ * @param {any} reassignTo the user to reassign to (or null, to anonymize)
+ * @param {any} auth the admin deleting the user
+ * @returns {Promise<{
+ *  projects: number,
+ *  issues: number,
+ *  comments: number,
+ *  attachments: number
+ * }>}
+ *  the number of items that were changed
+ */
+export async function deleteUser(user, reassignTo, auth) {
+  const { userId } = user;
+  const ref = reassignTo
+    ? _.pick(reassignTo, 'userId', 'email')
+    : deletedUserRef;
+  const counts = { projects: 0, issues: 0, comments: 0, attachments: 0 };
+
+  // hand over project memberships
+  for (const project of await Projects.getAllForMember(userId)) {
+    const member = getMember(project, userId);
+    const members = _.reject(project.members, { userId });
+    if (reassignTo && !getMember(project, reassignTo.userId)) {
+      members.push(newMember(reassignTo, member.role, auth));
+    }
+    setMembers(project, members);
+    if (_.get(project, 'createdBy.userId') === userId) {
+      project.createdBy = ref;
+    }
+    await Projects.replace(project.projectId, project);
+    counts.projects++;
+  }
+  const createdProjects = await getAllPages(Projects.getPage, {
+    where: [['createdBy.userId', '=', userId]],
+  });
+  for (const project of createdProjects) {
+    project.createdBy = ref;
+    await Projects.replace(project.projectId, project);
+    counts.projects++;
+  }
+
+  // reassign issues, which may be created by or assigned to the user
+  // including those in the trash, which may yet be restored
+  const issues = await getAllPages(Issues.getPage, {
+    where: [
+      {
+        any: [
+          ['createdBy.userId', '=', userId],
+          ['assignedTo.userId', '=', userId],
+        ],
+      },
+    ],
+  });
+  for (const issue of issues) {
+    if (_.get(issue, 'createdBy.userId') === userId) {
+      issue.createdBy = ref;
+    }
+    if (_.get(issue, 'assignedTo.userId') === userId) {
+      // issues can only be assigned to members of the project
+      issue.assignedTo = reassignTo ? ref : null;
+    }
+    await Issues.replace(issue.projectId, issue.issueId, issue);
+    counts.issues++;
+  }
+
+  const comments = await getAllPages(IssueComments.getPage, {
+    where: [['createdBy.userId', '=', userId]],
+  });
+  for (const comment of comments) {
+    comment.createdBy = ref;
+    await IssueComments.replace(
+      comment.projectId,
+      comment.issueId,
+      comment.id,
+      comment
+    );
+    counts.comments++;
+  }
+
+  const attachments = await getAllPages(Attachments.getPage, {
+    where: [['createdBy.userId', '=', userId]],
+  });
+  for (const attachment of attachments) {
+    attachment.createdBy = ref;
+    await Attachments.replace(
+      attachment.projectId,
+      attachment.issueId,
+      attachment.id,
+      attachment
+    );
+    counts.attachments++;
+  }
+
+  // remove the user's sessions, tokens, watches and notifications,
+  // and then the user
+  await endAllSessions(userId);
+  await revokeAuthTokens(userId, 'verify-email');
+  await revokeAuthTokens(userId, 'reset-password');
+  await removeUserNotifications(userId);
+  await Users.remove(userId);
+
+  debugUsers(
+    `User ${userId} deleted, ${counts.projects} projects, ${counts.issues} issues, ${counts.comments} comments and ${counts.attachments} attachments updated.`
+  );
+  return counts;
+}
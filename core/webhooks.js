@@ -0,0 +1,294 @@
+import config from 'config';
+import debug from 'debug';
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import _ from 'lodash';
+import { Webhooks, WebhookDeliveries } from './db.js';
+import { changeEvents } from './events.js';
+import { badRequest } from './errors.js';
+import { findPrivateHost, publicLookup } from './privateHosts.js';
+import { claimLease, getLeaseExpiry } from './leases.js';
+
+const debugWebhooks = debug('app:core:webhooks');
+const {
+  maxAttempts,
+  retryDelayInSeconds,
+  timeoutInSeconds,
+  leaseInSeconds,
+  allowPrivateHosts,
+} = config.get('webhooks');
+
+/**
+ * Check that a webhook's URL is on the public internet,
+ * so that webhooks cannot be used to reach services inside the network.
+ * Private hosts can be allowed in the config, e.g. for a local receiver.
+ * @param {string} url
+ */
+export async function checkWebhookUrl(url) {
+  const reason = allowPrivateHosts ? null : await findPrivateHost(url);
+  if (reason) {
+    throw badRequest('webhook_url_not_allowed', reason, { url });
+  }
+}
+
+/**
+ * Sign a payload with a webhook's secret.
+ * Receivers can verify the X-Webhook-Signature header by
+ * computing the same HMAC over the raw request body.
+ * @param {string} secret
+ * @param {string} body
+ * @returns {string} e.g. "sha256=..."
+ */
+export function signPayload(secret, body) {
+  return (
+    'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex')
+  );
+}
+
+/**
+ * Generate a random secret for a new webhook.
+ * @returns {string}
+ */
+export function newSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Remove the secret from a webhook, before it is sent to the client.
+ * @param {any} webhook
+ * @returns {any}
+ */
+export function toPublicWebhook(webhook) {
+  return _.omit(webhook, 'secret');
+}
+
+/**
+ * Remove the fields managed by the storage driver from a document.
+ * @param {any} doc
+ * @returns {any}
+ */
+function withoutSystemFields(doc) {
+  return _.omitBy(doc, (value, key) => key.startsWith('_'));
+}
+
+/**
+ * Check if a webhook is subscribed to an event.
+ * @param {any} webhook
+ * @param {string} event
+ * @returns {boolean}
+ */
+function isSubscribed(webhook, event) {
+  return (
+    webhook.active &&
+    (webhook.events.includes('*') || webhook.events.includes(event))
+  );
+}
+
+/**
+ * POST a JSON body to a url.
+ * @param {string} url
+ * @param {string} body
+ * @param {Object<string, string>} headers
+ * @returns {Promise<{ statusCode: number, body: string }>}
+ */
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...headers,
+        },
+        timeout: timeoutInSeconds * 1000,
+        lookup: allowPrivateHosts ? undefined : publicLookup,
+      },
+      (res) => {
+        let responseBody = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          // only keep the start of the response, for the delivery log
+          if (responseBody.length < 1000) {
+            responseBody += chunk;
+          }
+        });
+        res.on('end', () =>
+          resolve({
+            statusCode: res.statusCode,
+            body: responseBody.substring(0, 1000),
+          })
+        );
+      }
+    );
+    req.on('timeout', () => req.destroy(new Error('Request timed out.')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Make one attempt to deliver a payload to a webhook.
+ * On failure, schedules the next attempt, with exponential backoff,
+ * until maxAttempts is reached.
+ * Every server schedules the pending deliveries, so each attempt is first
+ * claimed, and only the server whose claim succeeds makes it.
+ * @param {any} delivery the delivery, as last read
+ */
+async function attemptDelivery(delivery) {
+  const { projectId, id } = delivery;
+  const replace = (doc, etag) =>
+    WebhookDeliveries.replace(projectId, id, doc, etag);
+  const claimed = await claimLease(delivery, replace, leaseInSeconds);
+  if (!claimed) {
+    // another server has it, so check again once it should be done
+    const current = await WebhookDeliveries.getById(projectId, id);
+    if (current && current.status === 'pending') {
+      scheduleDelivery(current);
+    }
+    return;
+  }
+  delivery = claimed;
+  const etag = claimed._etag;
+  delivery.lease = null;
+
+  const webhook = await Webhooks.getById(projectId, delivery.webhookId);
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.nextAttemptOn = null;
+    await replace(delivery, etag);
+    debugWebhooks(`Delivery ${id} dropped, webhook removed.`);
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const attempt = { attemptedOn: new Date() };
+  try {
+    // checked again, as the host may have moved since the webhook was saved
+    const reason = allowPrivateHosts
+      ? null
+      : await findPrivateHost(webhook.url);
+    if (reason) {
+      throw new Error(reason);
+    }
+    const response = await postJson(webhook.url, body, {
+      'User-Agent': 'issue-tracker-webhooks',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Signature': signPayload(webhook.secret, body),
+    });
+    attempt.statusCode = response.statusCode;
+    attempt.response = response.body;
+    attempt.success = response.statusCode >= 200 && response.statusCode < 300;
+  } catch (err) {
+    attempt.error = err.message;
+    attempt.success = false;
+  }
+
+  delivery.attempts.push(attempt);
+  if (attempt.success) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptOn = null;
+  } else if (delivery.attempts.length >= maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptOn = null;
+  } else {
+    const delay =
+      retryDelayInSeconds * 1000 * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptOn = new Date(Date.now() + delay);
+  }
+  const resource = await replace(delivery, etag);
+  debugWebhooks(
+    `Delivery ${id} attempt ${delivery.attempts.length} ${delivery.status}.`
+  );
+
+  if (resource.status === 'pending') {
+    scheduleDelivery(resource);
+  }
+}
+
+/**
+ * Schedule the next attempt to deliver a payload,
+ * or the next check on it, if another server has claimed it.
+ * @param {any} delivery
+ */
+function scheduleDelivery(delivery) {
+  const notBefore = _.max([
+    delivery.nextAttemptOn && new Date(delivery.nextAttemptOn),
+    getLeaseExpiry(delivery),
+  ]);
+  const delay = notBefore ? Math.max(0, notBefore.getTime() - Date.now()) : 0;
+  setTimeout(() => {
+    attemptDelivery(delivery).catch((err) =>
+      debugWebhooks(`Delivery ${delivery.id} error: ${err.message}`)
+    );
+  }, delay).unref();
+}
+
+/**
+ * Queue the delivery of an event to a webhook.
+ * @param {any} webhook
+ * @param {string} event
+ * @param {any} data the body of the event
+ * @returns {Promise<any>} the delivery
+ */
+export async function deliver(webhook, event, data) {
+  const id = nanoid();
+  const delivery = {
+    id,
+    projectId: webhook.projectId,
+    webhookId: webhook.id,
+    event,
+    payload: { id, event, webhookId: webhook.id, ...data },
+    status: 'pending',
+    attempts: [],
+    nextAttemptOn: null,
+    createdOn: new Date(),
+  };
+  const resource = await WebhookDeliveries.add(delivery);
+  scheduleDelivery(resource);
+  return resource;
+}
+
+/**
+ * Queue the delivery of a change to every webhook of the project
+ * that is subscribed to it.
+ * @param {any} change a change event, see changeEvents
+ */
+async function onChange(change) {
+  const webhooks = await Webhooks.getAllForProject(change.projectId);
+  for (const webhook of webhooks) {
+    if (isSubscribed(webhook, change.event)) {
+      await deliver(webhook, change.event, {
+        projectId: change.projectId,
+        issueId: change.issueId,
+        commentId: change.commentId,
+        resource: withoutSystemFields(change.resource),
+        changes: change.changes,
+        changedOn: change.changedOn,
+        changedBy: change.changedBy,
+      });
+    }
+  }
+}
+
+/**
+ * Start delivering change events to webhooks.
+ * Also resumes any deliveries that were pending when the server stopped,
+ * or that other servers are working on, in case they stop.
+ */
+export async function startWebhooks() {
+  changeEvents.on('change', (change) => {
+    onChange(change).catch((err) =>
+      debugWebhooks(`Change ${change.event} error: ${err.message}`)
+    );
+  });
+
+  const pending = await WebhookDeliveries.getAllPending();
+  pending.forEach(scheduleDelivery);
+  debugWebhooks(`Webhooks started, ${pending.length} deliveries pending.`);
+}
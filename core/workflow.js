@@ -0,0 +1,76 @@
+import Joi from 'joi';
+
+/**
+ * All of the statuses that an issue can be in.
+ */
+export const issueStatuses = [
+  'open',
+  'in-progress',
+  'resolved',
+  'closed',
+  'reopened',
+];
+
+/**
+ * The status of newly created issues.
+ */
+export const initialStatus = 'open';
+
+/**
+ * The transitions that are allowed,
+ * for projects that have not defined their own workflow.
+ */
+export const defaultWorkflow = {
+  transitions: {
+    open: ['in-progress', 'resolved', 'closed'],
+    'in-progress': ['open', 'resolved', 'closed'],
+    resolved: ['closed', 'reopened'],
+    closed: ['reopened'],
+    reopened: ['in-progress', 'resolved', 'closed'],
+  },
+};
+
+export const workflowSchema = Joi.object({
+  transitions: Joi.object(
+    Object.fromEntries(
+      issueStatuses.map((status) => [
+        status,
+        Joi.array()
+          .items(Joi.string().valid(...issueStatuses))
+          .unique()
+          .default([]),
+      ])
+    )
+  ).required(),
+});
+
+/**
+ * Get the workflow for a project.
+ * @param {any} project
+ * @returns {{ transitions: Object<string, string[]> }}
+ */
+export function getWorkflow(project) {
+  return project && project.workflow ? project.workflow : defaultWorkflow;
+}
+
+/**
+ * Get the current status of an issue.
+ * Issues created before statuses existed are treated as open.
+ * @param {any} issue
+ * @returns {string}
+ */
+export function getStatus(issue) {
+  return issue.status || initialStatus;
+}
+
+/**
+ * Check if a project's workflow allows an issue to move between two statuses.
+ * @param {any} project
+ * @param {string} from current status
+ * @param {string} to new status
+ * @returns {boolean}
+ */
+export function canTransition(project, from, to) {
+  const allowed = getWorkflow(project).transitions[from];
+  return !!allowed && allowed.includes(to);
+}
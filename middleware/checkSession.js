@@ -0,0 +1,29 @@
+import debug from 'debug';
+import asyncCatch from 'express-async-catch';
+import { Sessions } from '../core/db.js';
+import { isExpired } from '../core/sessions.js';
+
+const debugAuth = debug('app:middleware:auth');
+
+/**
+ * Check that the access token in req.auth belongs to a session that
+ * has not been ended, e.g. by logging out or changing the password.
+ * Otherwise req.auth is cleared, so the request is treated as logged out.
+ */
+export function checkSession() {
+  return asyncCatch(async (req, res, next) => {
+    if (!req.auth) {
+      return next();
+    }
+
+    const { userId, sessionId } = req.auth;
+    const session = sessionId
+      ? await Sessions.getById(userId, sessionId)
+      : null;
+    if (!session || isExpired(session)) {
+      debugAuth(`User ${userId} token rejected, session ${sessionId} ended.`);
+      req.auth = undefined;
+    }
+    return next();
+  });
+}
@@ -0,0 +1,18 @@
+/**
+ * Describe the parts of a route that the OpenAPI document
+ * cannot work out from the route's other middleware (see core/openapi.js).
+ * The middleware itself does nothing.
+ * @param {{
+ *  body?: import('joi').Schema,
+ *  formFields?: import('joi').ObjectSchema,
+ *  response?: import('joi').Schema,
+ *  contentType?: string|string[]
+ * }} description
+ *  - body: a JSON body that is validated by the route itself
+ *  - formFields: the fields sent along with an uploaded file
+ *  - response: the JSON response, when it is not the usual one
+ *  - contentType: the types of response, when it is not only JSON
+ */
+export function describeRoute(description) {
+  return Object.assign((req, res, next) => next(), { openApi: description });
+}
@@ -0,0 +1,53 @@
+import debug from 'debug';
+import asyncCatch from 'express-async-catch';
+import { Projects } from '../core/db.js';
+import { hasPermission, archivedPermissions } from '../core/membership.js';
+import { ApiError, notFound, forbidden, conflict } from '../core/errors.js';
+
+const debugAuth = debug('app:middleware:auth');
+
+/**
+ * Check that the user has a permission within the project in req.params.
+ * Archived projects are read-only, and projects being deleted are not found.
+ * Also loads the project into req.project, for use by the route handler.
+ * @param {string} permission
+ */
+export function hasProjectPermission(permission) {
+  const middleware = asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    if (!req.auth) {
+      return next(new ApiError(401, 'not_logged_in', 'You are not logged in!'));
+    }
+
+    const project = await Projects.getById(projectId);
+    if (!project || project.deleting) {
+      return next(notFound('Project', projectId));
+    }
+
+    const userId = req.auth.userId;
+    if (!hasPermission(project, userId, permission)) {
+      debugAuth(`User ${userId} denied ${permission} on ${projectId}.`);
+      return next(
+        forbidden(
+          'permission_denied',
+          `You do not have permission: ${permission}`,
+          { permission }
+        )
+      );
+    }
+    if (project.archived && !archivedPermissions.includes(permission)) {
+      return next(
+        conflict(
+          'project_archived',
+          'The project is archived, and cannot be changed.'
+        )
+      );
+    }
+
+    req.project = project;
+    return next();
+  });
+  return Object.assign(middleware, {
+    openApi: { security: true, permission },
+  });
+}
@@ -0,0 +1,31 @@
+import debug from 'debug';
+import asyncCatch from 'express-async-catch';
+import { Users } from '../core/db.js';
+import { ApiError, forbidden } from '../core/errors.js';
+
+const debugAuth = debug('app:middleware:auth');
+
+/**
+ * Check that the user making the request is an admin.
+ * Also loads the user into req.user, for use by the route handler.
+ */
+export function isAdmin() {
+  const middleware = asyncCatch(async (req, res, next) => {
+    if (!req.auth) {
+      return next(new ApiError(401, 'not_logged_in', 'You are not logged in!'));
+    }
+
+    const userId = req.auth.userId;
+    const user = await Users.getById(userId);
+    if (!user || user.role !== 'admin') {
+      debugAuth(`User ${userId} denied admin access.`);
+      return next(forbidden('not_admin', 'You are not an admin!'));
+    }
+
+    req.user = user;
+    return next();
+  });
+  return Object.assign(middleware, {
+    openApi: { security: true, admin: true },
+  });
+}
@@ -0,0 +1,10 @@
+import { isLoggedIn as checkLoggedIn } from '@merlin4/express-auth';
+
+/**
+ * Check that the user is logged in.
+ * Wraps @merlin4/express-auth, so that the OpenAPI document
+ * shows that the route needs an access token.
+ */
+export function isLoggedIn() {
+  return Object.assign(checkLoggedIn(), { openApi: { security: true } });
+}
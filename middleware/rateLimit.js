@@ -0,0 +1,29 @@
+import { rateLimit as createRateLimit } from 'express-rate-limit';
+import { ApiError } from '../core/errors.js';
+
+/**
+ * Limit the number of requests that each client can make within a window.
+ * Logged in users are counted by user id, and everyone else by IP address.
+ * Responses carry the standard RateLimit-* headers,
+ * and requests over the limit get 429 Too Many Requests with a Retry-After header.
+ * @param {{ windowInSeconds: number, maxPerUser: number, maxPerIp: number }} options
+ */
+export function rateLimit({ windowInSeconds, maxPerUser, maxPerIp }) {
+  return createRateLimit({
+    windowMs: windowInSeconds * 1000,
+    limit: (req) => Number(req.auth ? maxPerUser : maxPerIp),
+    keyGenerator: (req) =>
+      req.auth ? 'user:' + req.auth.userId : 'ip:' + req.ip,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+      next(
+        new ApiError(
+          options.statusCode,
+          'rate_limited',
+          'Too many requests, please try again later.'
+        )
+      );
+    },
+  });
+}
@@ -0,0 +1,17 @@
+import { nanoid } from 'nanoid';
+import { runWithRequestId } from '../core/requestContext.js';
+
+/**
+ * Give each request an id, sent back in the X-Request-Id header,
+ * so that the log lines for a failed request can be found.
+ * An X-Request-Id sent by the client (or a proxy) is kept,
+ * as long as it is short and only has safe characters.
+ */
+export function requestId() {
+  return (req, res, next) => {
+    const clientId = req.get('X-Request-Id');
+    req.id = clientId && /^[\w.:-]{1,64}$/.test(clientId) ? clientId : nanoid();
+    res.set('X-Request-Id', req.id);
+    runWithRequestId(req.id, next);
+  };
+}
@@ -0,0 +1,32 @@
+import multer from 'multer';
+import { ApiError } from '../core/errors.js';
+
+/**
+ * Parse a multipart/form-data upload of a single file, held in memory.
+ * The file is put on req.file, and the other fields on req.body.
+ * Uploads over the size limit get 413 Payload Too Large,
+ * and other malformed uploads get 400 Bad Request.
+ * @param {string} fieldName the form field that holds the file
+ * @param {{ maxSizeInBytes: number }} options
+ */
+export function uploadFile(fieldName, { maxSizeInBytes }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: Number(maxSizeInBytes), files: 1, fields: 10 },
+    defParamCharset: 'utf8',
+  }).single(fieldName);
+
+  const middleware = (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return next(
+          err.code === 'LIMIT_FILE_SIZE'
+            ? new ApiError(413, 'file_too_large', err.message)
+            : new ApiError(400, 'invalid_upload', err.message)
+        );
+      }
+      return next(err);
+    });
+  };
+  return Object.assign(middleware, { openApi: { upload: fieldName } });
+}
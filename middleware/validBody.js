@@ -0,0 +1,11 @@
+import validBodyJoi from 'valid-body-joi';
+
+/**
+ * Uses Joi to validate the request body against a schema
+ * and updates the body to the sanitized value.
+ * Wraps valid-body-joi, so that the schema is in the OpenAPI document.
+ * @param {import('joi').ObjectSchema} schema
+ */
+export function validBody(schema) {
+  return Object.assign(validBodyJoi(schema), { openApi: { body: schema } });
+}
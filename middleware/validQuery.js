@@ -0,0 +1,21 @@
+/**
+ * Uses Joi to validate the query string against a schema
+ * and updates the query to the sanitized value.
+ * @param {import('joi').ObjectSchema} schema
+ */
+export function validQuery(schema) {
+  const middleware = (req, res, next) => {
+    const validateResult = schema
+      .label('req.query')
+      .validate(req.query, { abortEarly: false });
+
+    if (validateResult.error) {
+      validateResult.error.status = 400;
+      return next(validateResult.error);
+    } else {
+      req.query = validateResult.value;
+      return next();
+    }
+  };
+  return Object.assign(middleware, { openApi: { query: schema } });
+}
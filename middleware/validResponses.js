@@ -0,0 +1,33 @@
+import debug from 'debug';
+
+const debugOpenApi = debug('app:middleware:openapi');
+
+/**
+ * Check that the JSON responses match the OpenAPI document,
+ * and log the ones that do not.
+ * Meant for development, as it validates every response.
+ * @param {import('../core/openapi.js').OpenApi} openApi
+ */
+export function validResponses(openApi) {
+  return (req, res, next) => {
+    const json = res.json;
+    res.json = function (body) {
+      const schema =
+        req.route &&
+        openApi.getResponseSchema(req.method, req.route.path, res.statusCode);
+      if (schema) {
+        const { error } = schema
+          .label('res.body')
+          .validate(body, { abortEarly: false });
+        if (error) {
+          debugOpenApi(
+            `${req.method} ${req.originalUrl} ${res.statusCode} ` +
+              `does not match the OpenAPI document: ${error.message}`
+          );
+        }
+      }
+      return json.call(this, body);
+    };
+    return next();
+  };
+}
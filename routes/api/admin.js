@@ -0,0 +1,289 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import _ from 'lodash';
+import Joi from 'joi';
+import { validBody } from '../../middleware/validBody.js';
+import { isAdmin } from '../../middleware/isAdmin.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { cacheDisable } from '../../middleware/cacheDisable.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { Users } from '../../core/db.js';
+import { defineListQuery } from '../../core/listQuery.js';
+import { getLockouts, clearLockout } from '../../core/loginThrottle.js';
+import { endAllSessions } from '../../core/sessions.js';
+import { sendPasswordResetEmail } from '../../core/authTokens.js';
+import { getSoleOwnedProjects, deleteUser } from '../../core/users.js';
+import { badRequest, notFound } from '../../core/errors.js';
+
+const debugApi = debug('app:api:admin');
+const router = express.Router();
+router.use('/admin', cacheDisable());
+
+/**
+ * The roles that a user can have across the whole site.
+ */
+const userRoles = ['user', 'admin'];
+
+const userListQuery = defineListQuery({
+  filters: { role: 'role' },
+  ranges: { registered: 'registeredOn', lastLogin: 'lastLoginOn' },
+  sortFields: [
+    'email',
+    'givenName',
+    'familyName',
+    'registeredOn',
+    'lastLoginOn',
+  ],
+  defaultSortBy: 'email',
+  defaultSortDir: 'asc',
+});
+const userListSchema = userListQuery.schema.keys({
+  q: Joi.string().trim(),
+  disabled: Joi.boolean(),
+});
+
+const disableSchema = Joi.object({
+  reason: Joi.string().trim().allow(''), // optional
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...userRoles)
+    .required(),
+});
+
+const deleteSchema = Joi.object({
+  reassignToUserId: Joi.string().trim(), // optional, anonymized if not given
+});
+
+/**
+ * Select the fields of a user that an admin can see.
+ * @param {any} user
+ * @returns {any}
+ */
+function toAdminProfile(user) {
+  return _.pick(
+    user,
+    'userId',
+    'email',
+    'givenName',
+    'familyName',
+    'emailVerified',
+    'role',
+    'disabled',
+    'disabledOn',
+    'disabledBy',
+    'disabledReason',
+    'passwordResetRequired',
+    'registeredOn',
+    'lastLoginOn'
+  );
+}
+
+/**
+ * Load the user in req.params, throwing a 404 if they do not exist.
+ * Admins may not use these routes on themselves, so that they cannot
+ * lock themselves out, or leave the site without an admin.
+ * @param {import('express').Request} req
+ * @returns {Promise<any>} the user
+ */
+async function loadTargetUser(req) {
+  const userId = req.params.userId;
+  const user = await Users.getById(userId);
+  if (!user) {
+    throw notFound('User', userId);
+  }
+  if (userId === req.auth.userId && req.method !== 'GET') {
+    throw badRequest(
+      'cannot_change_self',
+      'You cannot change your own account here.',
+      { id: userId }
+    );
+  }
+  return user;
+}
+
+router.get(
+  '/admin/user/list',
+  isAdmin(),
+  validQuery(userListSchema),
+  asyncCatch(async (req, res, next) => {
+    const { pageSize, continuationToken, q, disabled } = req.query;
+    const query = userListQuery.toQuery(req.query);
+    if (q) {
+      query.where.push({
+        any: ['email', 'givenName', 'familyName'].map((field) => [
+          field,
+          'includes',
+          q,
+        ]),
+      });
+    }
+    if (disabled) {
+      query.where.push(['disabled', '=', true]);
+    } else if (disabled === false) {
+      // accounts that were never disabled have no disabled field
+      query.where.push({
+        any: [
+          ['disabled', '=', false],
+          ['disabled', 'exists', false],
+        ],
+      });
+    }
+    const page = await Users.getPage(query, pageSize, continuationToken);
+    res.json({ ...page, items: page.items.map(toAdminProfile) });
+    debugApi(`Users listed by ${req.auth.userId}.`);
+  })
+);
+
+router.get(
+  '/admin/user/:userId',
+  isAdmin(),
+  asyncCatch(async (req, res, next) => {
+    const user = await loadTargetUser(req);
+    res.json(toAdminProfile(user));
+    debugApi(`User ${user.userId} read by ${req.auth.userId}.`);
+  })
+);
+
+router.put(
+  '/admin/user/:userId/disable',
+  isAdmin(),
+  validBody(disableSchema),
+  asyncCatch(async (req, res, next) => {
+    const user = await loadTargetUser(req);
+
+    const { userId } = user;
+    user.disabled = true;
+    user.disabledOn = new Date();
+    user.disabledBy = _.pick(req.auth, 'userId', 'email');
+    user.disabledReason = req.body.reason || null;
+    const resource = await Users.replace(userId, user);
+    await endAllSessions(userId);
+    res.json({
+      message: 'User disabled.',
+      userId,
+      resource: toAdminProfile(resource),
+    });
+    debugApi(`User ${userId} disabled by ${req.auth.userId}.`);
+  })
+);
+
+router.put(
+  '/admin/user/:userId/enable',
+  isAdmin(),
+  asyncCatch(async (req, res, next) => {
+    const user = await loadTargetUser(req);
+
+    const { userId } = user;
+    user.disabled = false;
+    user.disabledOn = null;
+    user.disabledBy = null;
+    user.disabledReason = null;
+    const resource = await Users.replace(userId, user);
+    res.json({
+      message: 'User enabled.',
+      userId,
+      resource: toAdminProfile(resource),
+    });
+    debugApi(`User ${userId} enabled by ${req.auth.userId}.`);
+  })
+);
+
+router.put(
+  '/admin/user/:userId/role',
+  isAdmin(),
+  validBody(roleSchema),
+  asyncCatch(async (req, res, next) => {
+    const user = await loadTargetUser(req);
+
+    const { userId } = user;
+    user.role = req.body.role;
+    const resource = await Users.replace(userId, user);
+    res.json({
+      message: 'User role changed.',
+      userId,
+      resource: toAdminProfile(resource),
+    });
+    debugApi(`User ${userId} made ${user.role} by ${req.auth.userId}.`);
+  })
+);
+
+router.put(
+  '/admin/user/:userId/reset-password',
+  isAdmin(),
+  asyncCatch(async (req, res, next) => {
+    const user = await loadTargetUser(req);
+
+    // the user cannot log in again until they have reset their password
+    const { userId } = user;
+    user.passwordResetRequired = true;
+    const resource = await Users.replace(userId, user);
+    await endAllSessions(userId);
+    await sendPasswordResetEmail(resource);
+    res.json({
+      message: 'Password reset required.',
+      userId,
+      resource: toAdminProfile(resource),
+    });
+    debugApi(`User ${userId} password reset forced by ${req.auth.userId}.`);
+  })
+);
+
+router.delete(
+  '/admin/user/:userId',
+  isAdmin(),
+  validQuery(deleteSchema),
+  asyncCatch(async (req, res, next) => {
+    const user = await loadTargetUser(req);
+
+    const { userId } = user;
+    const { reassignToUserId } = req.query;
+    let reassignTo = null;
+    if (reassignToUserId) {
+      reassignTo = await Users.getById(reassignToUserId);
+      if (!reassignTo || reassignToUserId === userId) {
+        throw notFound('User', reassignToUserId);
+      }
+    } else {
+      const projects = await getSoleOwnedProjects(userId);
+      if (projects.length) {
+        throw badRequest(
+          'sole_project_owner',
+          'User is the only owner of some projects, reassign them to another user.',
+          { id: userId, projectIds: _.map(projects, 'projectId') }
+        );
+      }
+    }
+
+    const updated = await deleteUser(user, reassignTo, req.auth);
+    res.json({ message: 'User deleted.', userId, updated });
+    debugApi(`User ${userId} deleted by ${req.auth.userId}.`);
+  })
+);
+
+router.get(
+  '/admin/lockout/list',
+  describeRoute({ response: Joi.array().items(Joi.object()) }),
+  isAdmin(),
+  asyncCatch(async (req, res, next) => {
+    res.json(await getLockouts());
+    debugApi(`Lockouts read by ${req.auth.userId}.`);
+  })
+);
+
+router.delete(
+  '/admin/lockout/:key',
+  isAdmin(),
+  asyncCatch(async (req, res, next) => {
+    const key = req.params.key;
+    if (!(await clearLockout(key))) {
+      throw notFound('Lockout', key);
+    }
+    res.json({ message: 'Lockout cleared.', key });
+    debugApi(`Lockout ${key} cleared by ${req.auth.userId}.`);
+  })
+);
+
+export default router;
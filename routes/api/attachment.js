@@ -0,0 +1,256 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import config from 'config';
+import crypto from 'crypto';
+import path from 'path';
+import { nanoid } from 'nanoid';
+import _ from 'lodash';
+import Joi from 'joi';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { uploadFile } from '../../middleware/uploadFile.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { Issues, IssueComments, Attachments } from '../../core/db.js';
+import { defineListQuery } from '../../core/listQuery.js';
+import { recordHistory } from '../../core/history.js';
+import { hasPermission } from '../../core/membership.js';
+import { sniffContentType } from '../../core/fileType.js';
+import { fileStore } from '../../core/fileStore.js';
+import { removeAttachment } from '../../core/cascade.js';
+import {
+  ApiError,
+  badRequest,
+  forbidden,
+  notFound,
+} from '../../core/errors.js';
+
+const debugApi = debug('app:api:attachment');
+const router = express.Router();
+const { maxSizeInBytes, allowedTypes } = config.get('attachments');
+
+const uploadSchema = Joi.object({
+  commentId: Joi.string().trim(), // optional
+});
+
+const attachmentListQuery = defineListQuery({
+  filters: {
+    commentId: 'commentId',
+    contentType: 'contentType',
+    createdBy: 'createdBy.userId',
+  },
+  ranges: { created: 'createdOn' },
+  sortFields: ['createdOn', 'fileName', 'size'],
+  defaultSortBy: 'createdOn',
+  defaultSortDir: 'asc',
+});
+
+/**
+ * Clean up the file name given by the client,
+ * so that it is safe to send back in a Content-Disposition header.
+ * @param {string} originalName
+ * @returns {string}
+ */
+function toFileName(originalName) {
+  const fileName = path.posix
+    .basename(String(originalName || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim()
+    .slice(0, 255);
+  return fileName || 'file';
+}
+
+router.get(
+  '/project/:projectId/issue/:issueId/attachment/list',
+  isLoggedIn(),
+  hasProjectPermission('issue:read'),
+  validQuery(attachmentListQuery.schema),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId } = req.params;
+    const { pageSize, continuationToken } = req.query;
+
+    const issue = await Issues.getById(projectId, issueId);
+    if (!issue) {
+      throw notFound('Issue', issueId);
+    }
+
+    const query = attachmentListQuery.toQuery(req.query);
+    const page = await Attachments.getPageForIssue(
+      projectId,
+      issueId,
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json(page);
+    debugApi(`All attachments for issue ${issueId} read.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/issue/:issueId/attachment/new',
+  describeRoute({ formFields: uploadSchema }),
+  isLoggedIn(),
+  hasProjectPermission('attachment:create'),
+  uploadFile('file', { maxSizeInBytes }),
+  asyncCatch(async (req, res, next) => {
+    const attachmentId = nanoid();
+    const { projectId, issueId } = req.params;
+
+    const { error, value } = uploadSchema
+      .label('req.body')
+      .validate(req.body, { abortEarly: false });
+    if (error) {
+      error.status = 400;
+      return next(error);
+    }
+    if (!req.file) {
+      throw badRequest(
+        'file_required',
+        'Please upload a file in the "file" field.'
+      );
+    }
+
+    const issue = await Issues.getById(projectId, issueId);
+    if (!issue) {
+      throw notFound('Issue', issueId);
+    }
+
+    const { commentId } = value;
+    if (commentId) {
+      const comment = await IssueComments.getById(
+        projectId,
+        issueId,
+        commentId
+      );
+      if (!comment) {
+        throw badRequest('comment_not_found', 'Comment not found.', {
+          id: commentId,
+        });
+      }
+    }
+
+    // trust the contents of the file, rather than the type the client claims
+    const data = req.file.buffer;
+    const contentType = sniffContentType(data, req.file.mimetype);
+    if (!allowedTypes.includes(contentType)) {
+      throw new ApiError(
+        415,
+        'file_type_not_allowed',
+        `Files of type ${contentType} are not allowed.`,
+        { contentType, allowedTypes }
+      );
+    }
+
+    const storageKey = `${projectId}/${issueId}/${attachmentId}`;
+    await fileStore.write(storageKey, data);
+
+    const newAttachment = {
+      id: attachmentId,
+      projectId,
+      issueId,
+      commentId: commentId || null,
+      fileName: toFileName(req.file.originalname),
+      contentType,
+      size: data.length,
+      sha256: crypto.createHash('sha256').update(data).digest('hex'),
+      storageKey,
+      createdOn: new Date(),
+      createdBy: _.pick(req.auth, 'userId', 'email'),
+    };
+
+    let resource;
+    try {
+      resource = await Attachments.add(newAttachment);
+    } catch (err) {
+      // don't leave behind a file that no attachment refers to
+      await fileStore.remove(storageKey);
+      throw err;
+    }
+    await recordHistory('Attachment', 'create', null, resource, req.auth);
+    res.json({ message: 'Attachment uploaded.', id: attachmentId, resource });
+    debugApi(`Attachment ${attachmentId} uploaded.`);
+  })
+);
+
+router.get(
+  '/project/:projectId/issue/:issueId/attachment/:attachmentId',
+  isLoggedIn(),
+  hasProjectPermission('issue:read'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, attachmentId } = req.params;
+    const issue = await Issues.getById(projectId, issueId);
+    const attachment =
+      issue && (await Attachments.getById(projectId, issueId, attachmentId));
+
+    if (!attachment) {
+      throw notFound('Attachment', attachmentId);
+    }
+    res.json(attachment);
+    debugApi(`Attachment ${attachmentId} read.`);
+  })
+);
+
+router.get(
+  '/project/:projectId/issue/:issueId/attachment/:attachmentId/download',
+  describeRoute({ contentType: 'application/octet-stream' }),
+  isLoggedIn(),
+  hasProjectPermission('issue:read'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, attachmentId } = req.params;
+    const issue = await Issues.getById(projectId, issueId);
+    const attachment =
+      issue && (await Attachments.getById(projectId, issueId, attachmentId));
+
+    if (!attachment) {
+      throw notFound('Attachment', attachmentId);
+    }
+
+    const stream = await fileStore.read(attachment.storageKey);
+    // always download, so that uploaded files are never rendered by the browser
+    res.attachment(attachment.fileName);
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'X-Content-Type-Options': 'nosniff',
+      ETag: `"${attachment.sha256}"`,
+    });
+    stream.on('error', next);
+    stream.pipe(res);
+    debugApi(`Attachment ${attachmentId} downloaded.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/issue/:issueId/attachment/:attachmentId',
+  isLoggedIn(),
+  hasProjectPermission('attachment:create'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, attachmentId } = req.params;
+    const issue = await Issues.getById(projectId, issueId);
+    const attachment =
+      issue && (await Attachments.getById(projectId, issueId, attachmentId));
+
+    if (!attachment) {
+      throw notFound('Attachment', attachmentId);
+    }
+    if (
+      attachment.createdBy.userId !== req.auth.userId &&
+      !hasPermission(req.project, req.auth.userId, 'attachment:moderate')
+    ) {
+      throw forbidden(
+        'not_attachment_author',
+        'You may only delete your own attachments.',
+        { id: attachmentId }
+      );
+    }
+
+    await removeAttachment(attachment);
+    await recordHistory('Attachment', 'delete', attachment, null, req.auth);
+    res.json({ message: 'Attachment deleted.', id: attachmentId });
+    debugApi(`Attachment ${attachmentId} deleted.`);
+  })
+);
+
+export default router;
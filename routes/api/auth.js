@@ -1,16 +1,43 @@
 import express from 'express';
 import asyncCatch from 'express-async-catch';
-import validBody from 'valid-body-joi';
 import debug from 'debug';
 import config from 'config';
 import { nanoid } from 'nanoid';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import Joi from 'joi';
 import _ from 'lodash';
-import { isLoggedIn } from '@merlin4/express-auth';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validBody } from '../../middleware/validBody.js';
 import { cacheDisable } from '../../middleware/cacheDisable.js';
-import { Users } from '../../core/cosmos.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { Users, Sessions } from '../../core/db.js';
+import {
+  redeemAuthToken,
+  revokeAuthTokens,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} from '../../core/authTokens.js';
+import {
+  getLoginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearLockout,
+} from '../../core/loginThrottle.js';
+import { checkIfMatch, setETag, isPreconditionError } from '../../core/etag.js';
+import {
+  ApiError,
+  badRequest,
+  forbidden,
+  notFound,
+} from '../../core/errors.js';
+import {
+  generateToken,
+  startSession,
+  refreshSession,
+  endSession,
+  endAllSessions,
+  toPublicSession,
+} from '../../core/sessions.js';
 
 const debugApi = debug('app:api:auth');
 const router = express.Router();
@@ -26,7 +53,7 @@ const registerSchema = Joi.object({
 const updateSchema = Joi.object({
   givenName: Joi.string().trim(),
   familyName: Joi.string().trim(),
-  //email: Joi.string().email().lowercase().trim(),
+  email: Joi.string().email().lowercase().trim(),
   password: Joi.string().min(8),
 });
 
@@ -35,18 +62,71 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
-const { passwordSaltRounds, tokenSecretKey, tokenExpiresIn } =
-  config.get('auth');
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().trim().required(),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().trim().required(),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().trim().required(),
+  password: Joi.string().min(8).required(),
+});
+
+const { passwordSaltRounds, tokenExpiresIn, adminEmails } = config.get('auth');
 
 /**
- * Generate a new JWT auth token for a user.
+ * Select the fields of a user that are safe to send to the client.
  * @param {any} user user data
- * @returns {Promise<string>} auth token
+ * @returns {any} user profile
+ */
+function toProfile(user) {
+  return _.pick(
+    user,
+    'userId',
+    'email',
+    'givenName',
+    'familyName',
+    'emailVerified',
+    'role',
+    'registeredOn',
+    'lastLoginOn'
+  );
+}
+
+/**
+ * Strip the sensitive fields from the user attached to a 412 error,
+ * so that the password hash is never sent to the client.
+ * @param {Error} err
+ * @returns {Error}
  */
-function generateToken({ userId, email, givenName, familyName }) {
-  return jwt.sign({ userId, email, givenName, familyName }, tokenSecretKey, {
-    expiresIn: tokenExpiresIn,
-  });
+function toProfileError(err) {
+  const resource = isPreconditionError(err) && _.get(err, 'fields.resource');
+  if (resource) {
+    err.fields.resource = { ...toProfile(resource), _etag: resource._etag };
+  }
+  return err;
+}
+
+/**
+ * Select the fields of a new session that are sent to the client.
+ * @param {{ session: any, token: string, refreshToken: string }} started
+ * @returns {any}
+ */
+function toTokens({ session, token, refreshToken }) {
+  return {
+    sessionId: session.id,
+    token,
+    tokenExpiresIn,
+    refreshToken,
+    refreshTokenExpiresOn: session.expiresOn,
+  };
 }
 
 router.post(
@@ -58,7 +138,7 @@ router.post(
 
     const existingUser = await Users.getByEmail(email);
     if (existingUser) {
-      return res.status(400).json({ message: 'Email already in use.', email });
+      throw badRequest('email_in_use', 'Email already in use.', { email });
     }
 
     const now = new Date();
@@ -69,20 +149,22 @@ router.post(
       familyName,
       email,
       passwordHash: await bcrypt.hash(password, passwordSaltRounds),
+      emailVerified: false,
+      disabled: false,
+      role: adminEmails.includes(email) ? 'admin' : 'user',
       type: 'User',
       registeredOn: now,
       lastLoginOn: now,
     };
 
-    const token = await generateToken(newUser);
-
     const resource = await Users.add(newUser);
+    await sendVerificationEmail(newUser);
+    const started = await startSession(newUser, req);
     res.json({
       message: 'User registered.',
       userId,
       email,
-      token,
-      tokenExpiresIn,
+      ...toTokens(started),
     });
     debugApi(`User ${userId} registered.`);
   })
@@ -94,18 +176,44 @@ router.post(
   asyncCatch(async (req, res, next) => {
     const { email, password } = req.body;
 
+    const retryAfter = await getLoginRetryAfter(email, req.ip);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      throw new ApiError(
+        429,
+        'login_locked_out',
+        'Too many failed logins, please try again later.',
+        { email, retryAfter }
+      );
+    }
+
     const user = await Users.getByEmail(email);
     if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
-      res
-        .status(400)
-        .json({ message: 'Incorrect email or password.', email });
+      await recordLoginFailure(email, req.ip);
+      throw badRequest('invalid_credentials', 'Incorrect email or password.', {
+        email,
+      });
+    } else if (user.disabled) {
+      throw forbidden('account_disabled', 'This account has been disabled.', {
+        email,
+      });
+    } else if (user.passwordResetRequired) {
+      throw forbidden(
+        'password_reset_required',
+        'You must reset your password before you can log in.',
+        { email }
+      );
     } else {
       const { userId } = user;
-      const token = await generateToken(user);
+      await recordLoginSuccess(email);
+      const started = await startSession(user, req);
 
       // update lastLogin timestamp
       const now = new Date();
       user.lastLoginOn = now;
+      if (adminEmails.includes(email)) {
+        user.role = 'admin';
+      }
       await Users.replace(userId, user);
 
       // send response
@@ -113,8 +221,7 @@ router.post(
         message: 'User logged in.',
         userId,
         email,
-        token,
-        tokenExpiresIn,
+        ...toTokens(started),
       });
       debugApi(`User ${userId} logged in.`);
     }
@@ -129,9 +236,10 @@ router.get(
 
     const user = await Users.getById(userId);
     if (!user) {
-      res.status(404).json({ message: 'User not found.', userId });
+      throw notFound('User', userId);
     } else {
-      res.json(_.pick(user, 'userId', 'email', 'givenName', 'familyName', 'registeredOn', 'lastLoginOn'));
+      setETag(res, user);
+      res.json(toProfile(user));
       debugApi(`User ${userId} read.`);
     }
   })
@@ -147,18 +255,29 @@ router.put(
 
     const user = await Users.getById(userId);
     if (!user) {
-      res.status(404).json({ message: 'User not found.', userId });
+      throw notFound('User', userId);
     } else {
+      const etag = user._etag;
+      try {
+        checkIfMatch(req, user);
+      } catch (err) {
+        throw toProfileError(err);
+      }
+      let emailChanged = false;
       for (const key in userData) {
         if (key === 'password') {
           user.passwordHash = await bcrypt.hash(userData.password, passwordSaltRounds);
+          user.passwordChangedOn = new Date();
         } else if (key === 'email') {
           if (userData.email != user.email) {
             const existingUser = await Users.getByEmail(userData.email);
             if (existingUser && existingUser.id !== userId) {
-              return res.status(400).json({ message: 'Email already in use.', email: userData.email });
+              throw badRequest('email_in_use', 'Email already in use.', { email: userData.email });
             } else {
+              // the new address must be verified again
               user.email = userData.email;
+              user.emailVerified = false;
+              emailChanged = true;
             }
           }
         } else {
@@ -166,14 +285,30 @@ router.put(
         }
       }
 
-      const token = await generateToken(user);
-      const resource = await Users.replace(userId, user);
+      const resource = await Users.replace(userId, user, etag).catch((err) => {
+        throw toProfileError(err);
+      });
+      if (emailChanged) {
+        await sendVerificationEmail(resource);
+      }
+
+      // changing the password logs out every session, including this one,
+      // so a new session is started for the caller
+      let tokens;
+      if (userData.password) {
+        await endAllSessions(userId);
+        tokens = toTokens(await startSession(resource, req));
+      } else {
+        const token = generateToken(resource, req.auth.sessionId);
+        tokens = { sessionId: req.auth.sessionId, token, tokenExpiresIn };
+      }
+
+      setETag(res, resource);
       res.json({
         message: 'User updated.',
         userId,
         email: resource.email,
-        token,
-        tokenExpiresIn,
+        ...tokens,
         // user: _.pick(resource, 'userId', 'email', 'givenName', 'familyName')
       });
       debugApi(`User ${userId} updated.`);
@@ -181,5 +316,167 @@ router.put(
   })
 );
 
+router.post(
+  '/auth/verify-email',
+  validBody(verifyEmailSchema),
+  asyncCatch(async (req, res, next) => {
+    const authToken = await redeemAuthToken(req.body.token, 'verify-email');
+    const user = authToken && (await Users.getById(authToken.userId));
+    // the token is only valid for the address that it was sent to
+    if (!user || user.email !== authToken.email) {
+      throw badRequest(
+        'invalid_verification_token',
+        'Invalid or expired verification token.'
+      );
+    }
+
+    const { userId } = user;
+    user.emailVerified = true;
+    user.emailVerifiedOn = new Date();
+    await Users.replace(userId, user);
+    res.json({ message: 'Email verified.', userId, email: user.email });
+    debugApi(`User ${userId} verified ${user.email}.`);
+  })
+);
+
+router.post(
+  '/auth/verify-email/resend',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const user = await Users.getById(userId);
+    if (!user) {
+      throw notFound('User', userId);
+    }
+    if (user.emailVerified) {
+      throw badRequest('email_already_verified', 'Email already verified.', {
+        email: user.email,
+      });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent.', email: user.email });
+    debugApi(`User ${userId} verification email resent.`);
+  })
+);
+
+router.post(
+  '/auth/forgot-password',
+  validBody(forgotPasswordSchema),
+  asyncCatch(async (req, res, next) => {
+    const { email } = req.body;
+    const user = await Users.getByEmail(email);
+    if (user) {
+      await sendPasswordResetEmail(user);
+      debugApi(`User ${user.userId} password reset email sent.`);
+    }
+    // respond the same either way, so that registered emails are not revealed
+    res.json({
+      message: 'If the email is registered, a password reset link has been sent.',
+      email,
+    });
+  })
+);
+
+router.post(
+  '/auth/reset-password',
+  validBody(resetPasswordSchema),
+  asyncCatch(async (req, res, next) => {
+    const { token, password } = req.body;
+    const authToken = await redeemAuthToken(token, 'reset-password');
+    const user = authToken && (await Users.getById(authToken.userId));
+    if (!user) {
+      throw badRequest(
+        'invalid_password_reset_token',
+        'Invalid or expired password reset token.'
+      );
+    }
+
+    const { userId } = user;
+    user.passwordHash = await bcrypt.hash(password, passwordSaltRounds);
+    user.passwordChangedOn = new Date();
+    user.passwordResetRequired = false;
+    // the reset link proves that the user can read their email
+    if (user.email === authToken.email) {
+      user.emailVerified = true;
+    }
+    await Users.replace(userId, user);
+    await revokeAuthTokens(userId, 'reset-password');
+    await endAllSessions(userId);
+    await clearLockout('account:' + user.email);
+    res.json({ message: 'Password reset.', userId, email: user.email });
+    debugApi(`User ${userId} reset their password.`);
+  })
+);
+
+router.post(
+  '/auth/refresh',
+  validBody(refreshSchema),
+  asyncCatch(async (req, res, next) => {
+    const refreshed = await refreshSession(
+      req.body.refreshToken,
+      Users.getById,
+      req
+    );
+    if (!refreshed) {
+      throw new ApiError(
+        401,
+        'invalid_refresh_token',
+        'Invalid or expired refresh token.'
+      );
+    }
+    const { userId } = refreshed.session;
+    res.json({ message: 'Token refreshed.', userId, ...toTokens(refreshed) });
+    debugApi(`User ${userId} refreshed session ${refreshed.session.id}.`);
+  })
+);
+
+router.post(
+  '/auth/logout',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId, sessionId } = req.auth;
+    await endSession(userId, sessionId);
+    res.json({ message: 'User logged out.', userId });
+    debugApi(`User ${userId} logged out of session ${sessionId}.`);
+  })
+);
+
+router.post(
+  '/auth/logout/all',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const count = await endAllSessions(userId);
+    res.json({ message: 'User logged out of all sessions.', userId, count });
+    debugApi(`User ${userId} logged out of all sessions.`);
+  })
+);
+
+router.get(
+  '/auth/session/list',
+  describeRoute({ response: Joi.array().items(Joi.object()) }),
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId, sessionId } = req.auth;
+    const sessions = await Sessions.getAllForUser(userId);
+    res.json(sessions.map((session) => toPublicSession(session, sessionId)));
+    debugApi(`Sessions of user ${userId} read.`);
+  })
+);
+
+router.delete(
+  '/auth/session/:sessionId',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const sessionId = req.params.sessionId;
+    if (!(await endSession(userId, sessionId))) {
+      throw notFound('Session', sessionId);
+    }
+    res.json({ message: 'Session ended.', sessionId });
+    debugApi(`User ${userId} ended session ${sessionId}.`);
+  })
+);
 
 export default router;
@@ -0,0 +1,225 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import { nanoid } from 'nanoid';
+import _ from 'lodash';
+import Joi from 'joi';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validBody } from '../../middleware/validBody.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { Projects } from '../../core/db.js';
+import { recordHistory } from '../../core/history.js';
+import {
+  categoryKinds,
+  getCategories,
+  getCategory,
+  removeCategoryFromIssues,
+  getMilestoneProgress,
+} from '../../core/categories.js';
+import { badRequest, notFound } from '../../core/errors.js';
+
+const debugApi = debug('app:api:category');
+const router = express.Router();
+
+/**
+ * Add the progress of each milestone, worked out from the project's issues.
+ * Other kinds of category are returned as they are.
+ * @param {string} kind
+ * @param {string} projectId
+ * @param {any[]} categories
+ * @returns {Promise<any[]>}
+ */
+async function withProgress(kind, projectId, categories) {
+  if (kind !== 'milestone') {
+    return categories;
+  }
+  const progress = await getMilestoneProgress(
+    projectId,
+    categories.map((milestone) => milestone.id)
+  );
+  return categories.map((milestone) => ({
+    ...milestone,
+    progress: progress[milestone.id],
+  }));
+}
+
+/**
+ * Check if another category of the same kind already has a name.
+ * @param {any} project
+ * @param {string} kind
+ * @param {string} name
+ * @param {string} exceptId the category being renamed (or null)
+ * @returns {boolean}
+ */
+function isNameTaken(project, kind, name, exceptId) {
+  return getCategories(project, kind).some(
+    (category) =>
+      category.id !== exceptId &&
+      category.name.toLowerCase() === name.toLowerCase()
+  );
+}
+
+// labels, components and milestones are all managed in the same way
+for (const kind in categoryKinds) {
+  const { entityType, projectField, schema } = categoryKinds[kind];
+
+  router.get(
+    `/project/:projectId/${kind}/list`,
+    describeRoute({ response: Joi.array().items(schema.unknown(true)) }),
+    isLoggedIn(),
+    hasProjectPermission('project:read'),
+    asyncCatch(async (req, res, next) => {
+      const projectId = req.params.projectId;
+      let categories = getCategories(req.project, kind);
+      if (kind === 'milestone') {
+        // soonest due first, and those without a due date last
+        categories = _.sortBy(categories, (milestone) =>
+          milestone.dueDate ? new Date(milestone.dueDate).getTime() : Infinity
+        );
+      }
+      res.json(await withProgress(kind, projectId, categories));
+      debugApi(`All ${projectField} of project ${projectId} read.`);
+    })
+  );
+
+  router.get(
+    `/project/:projectId/${kind}/:categoryId`,
+    isLoggedIn(),
+    hasProjectPermission('project:read'),
+    asyncCatch(async (req, res, next) => {
+      const { projectId, categoryId } = req.params;
+      const category = getCategory(req.project, kind, categoryId);
+      if (!category) {
+        throw notFound(entityType, categoryId);
+      }
+      const [resource] = await withProgress(kind, projectId, [category]);
+      res.json(resource);
+      debugApi(`${entityType} ${categoryId} read.`);
+    })
+  );
+
+  router.put(
+    `/project/:projectId/${kind}/new`,
+    isLoggedIn(),
+    hasProjectPermission('project:update'),
+    validBody(schema),
+    asyncCatch(async (req, res, next) => {
+      const projectId = req.params.projectId;
+      const project = req.project;
+      const before = _.cloneDeep(project);
+
+      if (isNameTaken(project, kind, req.body.name, null)) {
+        throw badRequest(
+          'name_taken',
+          `${entityType} ${req.body.name} already exists.`,
+          { name: req.body.name }
+        );
+      }
+
+      const now = new Date();
+      const auth = _.pick(req.auth, 'userId', 'email');
+      const category = {
+        id: nanoid(),
+        ...req.body,
+        createdOn: now,
+        createdBy: auth,
+      };
+      project[projectField] = [...getCategories(project, kind), category];
+      project.lastUpdatedOn = now;
+      project.lastUpdatedBy = auth;
+
+      const resource = await Projects.replace(projectId, project, before._etag);
+      await recordHistory('Project', 'update', before, resource, req.auth);
+      res.json({
+        message: `${entityType} created.`,
+        id: category.id,
+        [kind]: category,
+      });
+      debugApi(`${entityType} ${category.id} created in project ${projectId}.`);
+    })
+  );
+
+  router.put(
+    `/project/:projectId/${kind}/:categoryId`,
+    isLoggedIn(),
+    hasProjectPermission('project:update'),
+    validBody(schema),
+    asyncCatch(async (req, res, next) => {
+      const { projectId, categoryId } = req.params;
+      const project = req.project;
+      const before = _.cloneDeep(project);
+
+      const category = getCategory(project, kind, categoryId);
+      if (!category) {
+        throw notFound(entityType, categoryId);
+      }
+      if (isNameTaken(project, kind, req.body.name, categoryId)) {
+        throw badRequest(
+          'name_taken',
+          `${entityType} ${req.body.name} already exists.`,
+          { name: req.body.name }
+        );
+      }
+
+      const now = new Date();
+      const auth = _.pick(req.auth, 'userId', 'email');
+      for (const key in req.body) {
+        category[key] = req.body[key];
+      }
+      category.lastUpdatedOn = now;
+      category.lastUpdatedBy = auth;
+      project.lastUpdatedOn = now;
+      project.lastUpdatedBy = auth;
+
+      const resource = await Projects.replace(projectId, project, before._etag);
+      await recordHistory('Project', 'update', before, resource, req.auth);
+      res.json({
+        message: `${entityType} updated.`,
+        id: categoryId,
+        [kind]: category,
+      });
+      debugApi(`${entityType} ${categoryId} updated.`);
+    })
+  );
+
+  router.delete(
+    `/project/:projectId/${kind}/:categoryId`,
+    isLoggedIn(),
+    hasProjectPermission('project:update'),
+    asyncCatch(async (req, res, next) => {
+      const { projectId, categoryId } = req.params;
+      const project = req.project;
+      const before = _.cloneDeep(project);
+
+      if (!getCategory(project, kind, categoryId)) {
+        throw notFound(entityType, categoryId);
+      }
+
+      const now = new Date();
+      project[projectField] = _.reject(getCategories(project, kind), {
+        id: categoryId,
+      });
+      project.lastUpdatedOn = now;
+      project.lastUpdatedBy = _.pick(req.auth, 'userId', 'email');
+
+      const resource = await Projects.replace(projectId, project, before._etag);
+      await recordHistory('Project', 'update', before, resource, req.auth);
+      const issueCount = await removeCategoryFromIssues(
+        projectId,
+        kind,
+        categoryId
+      );
+      res.json({
+        message: `${entityType} deleted.`,
+        id: categoryId,
+        issueCount,
+      });
+      debugApi(
+        `${entityType} ${categoryId} deleted from project ${projectId}.`
+      );
+    })
+  );
+}
+
+export default router;
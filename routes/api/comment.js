@@ -1,37 +1,85 @@
 import express from 'express';
 import asyncCatch from 'express-async-catch';
-import validBody from 'valid-body-joi';
 import debug from 'debug';
 import { nanoid } from 'nanoid';
 import _ from 'lodash';
 import Joi from 'joi';
-import { isLoggedIn } from '@merlin4/express-auth';
-import { Issues, IssueComments } from '../../core/cosmos.js';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validBody } from '../../middleware/validBody.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { Projects, Issues, IssueComments } from '../../core/db.js';
+import { defineListQuery } from '../../core/listQuery.js';
+import { recordHistory } from '../../core/history.js';
+import { hasPermission } from '../../core/membership.js';
+import { applyMentions, withMentionWarning } from '../../core/mentions.js';
+import { checkIfMatch, setETag } from '../../core/etag.js';
+import { trashComment } from '../../core/trash.js';
+import { commentSchema } from '../../core/schemas.js';
+import { badRequest, forbidden, notFound } from '../../core/errors.js';
 
 const debugApi = debug('app:api:comment');
 const router = express.Router();
 
-const commentSchema = Joi.object({
+const editSchema = Joi.object({
   text: Joi.string().trim().required(),
 });
 
+const reactionSchema = Joi.object({
+  emoji: Joi.string()
+    .pattern(/^(\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d)+$/u)
+    .max(32)
+    .required(),
+});
+
+const commentListQuery = defineListQuery({
+  filters: {
+    createdBy: 'createdBy.userId',
+    parentCommentId: 'parentCommentId',
+  },
+  ranges: { created: 'createdOn' },
+  sortFields: ['createdOn'],
+  defaultSortBy: 'createdOn',
+  defaultSortDir: 'asc',
+});
+
 router.get(
   '/comment/list',
   isLoggedIn(),
+  validQuery(commentListQuery.schema),
   asyncCatch(async (req, res, next) => {
-    const comments = await IssueComments.getAll();
-    res.json(comments);
-    debugApi('All comments read.');
+    const { userId } = req.auth;
+    const { pageSize, continuationToken } = req.query;
+    const projects = await Projects.getAllForMember(userId);
+    const query = commentListQuery.toQuery(req.query);
+    query.where.push(['projectId', 'in', _.map(projects, 'projectId')]);
+    const page = await IssueComments.getPage(
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json(page);
+    debugApi(`All comments for user ${userId} read.`);
   })
 );
 
 router.get(
   '/project/:projectId/issue/:issueId/comment/list',
   isLoggedIn(),
+  hasProjectPermission('comment:read'),
+  validQuery(commentListQuery.schema),
   asyncCatch(async (req, res, next) => {
     const { projectId, issueId } = req.params;
-    const comments = await IssueComments.getAllCommentsForIssue(projectId, issueId);
-    res.json(comments);
+    const { pageSize, continuationToken } = req.query;
+    const query = commentListQuery.toQuery(req.query);
+    const page = await IssueComments.getPageForIssue(
+      projectId,
+      issueId,
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json(page);
     debugApi('All comments for issue read.');
   })
 );
@@ -39,6 +87,7 @@ router.get(
 router.put(
   '/project/:projectId/issue/:issueId/comment/new',
   isLoggedIn(),
+  hasProjectPermission('comment:create'),
   validBody(commentSchema),
   asyncCatch(async (req, res, next) => {
     const commentId = nanoid();
@@ -46,7 +95,23 @@ router.put(
 
     const issue = await Issues.getById(projectId, issueId);
     if (!issue) {
-      return res.status(404).json({ message: 'Issue not found.', issueId });
+      throw notFound('Issue', issueId);
+    }
+
+    const { parentCommentId } = req.body;
+    if (parentCommentId) {
+      const parent = await IssueComments.getById(
+        projectId,
+        issueId,
+        parentCommentId
+      );
+      if (!parent) {
+        throw badRequest(
+          'parent_comment_not_found',
+          'Parent comment not found.',
+          { id: parentCommentId }
+        );
+      }
     }
 
     const now = new Date();
@@ -57,11 +122,194 @@ router.put(
     newComment.type = 'Comment';
     newComment.createdOn = now;
     newComment.createdBy = _.pick(req.auth, 'userId', 'email');
+    const unresolved = await applyMentions(
+      req.project,
+      newComment,
+      'text',
+      'html'
+    );
 
     const resource = await IssueComments.add(newComment)
-    res.json({ message: 'Comment created.', id: issueId, resource });
+    await recordHistory('Comment', 'create', null, resource, req.auth);
+    res.json(
+      withMentionWarning(
+        { message: 'Comment created.', id: issueId, resource },
+        unresolved
+      )
+    );
     debugApi(`Comment ${commentId} created.`);
   })
 );
 
+router.get(
+  '/project/:projectId/issue/:issueId/comment/:commentId',
+  isLoggedIn(),
+  hasProjectPermission('comment:read'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, commentId } = req.params;
+    const comment = await IssueComments.getById(projectId, issueId, commentId);
+    if (!comment) {
+      throw notFound('Comment', commentId);
+    } else {
+      setETag(res, comment);
+      res.json(comment);
+      debugApi(`Comment ${commentId} read.`);
+    }
+  })
+);
+
+router.put(
+  '/project/:projectId/issue/:issueId/comment/:commentId',
+  isLoggedIn(),
+  hasProjectPermission('comment:create'),
+  validBody(editSchema),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, commentId } = req.params;
+    const { text } = req.body;
+    const comment = await IssueComments.getById(projectId, issueId, commentId);
+
+    if (!comment) {
+      throw notFound('Comment', commentId);
+    }
+    if (comment.createdBy.userId !== req.auth.userId) {
+      throw forbidden(
+        'not_comment_author',
+        'You may only edit your own comments.',
+        { id: commentId }
+      );
+    }
+
+    const now = new Date();
+    const before = _.cloneDeep(comment);
+    checkIfMatch(req, comment);
+    comment.edits = [
+      ...(comment.edits || []),
+      { text: comment.text, editedOn: now },
+    ];
+    comment.text = text;
+    const unresolved = await applyMentions(
+      req.project,
+      comment,
+      'text',
+      'html'
+    );
+    comment.edited = true;
+    comment.lastUpdatedOn = now;
+    comment.lastUpdatedBy = _.pick(req.auth, 'userId', 'email');
+
+    const resource = await IssueComments.replace(
+      projectId,
+      issueId,
+      commentId,
+      comment,
+      before._etag
+    );
+    await recordHistory('Comment', 'update', before, resource, req.auth);
+    setETag(res, resource);
+    res.json(
+      withMentionWarning(
+        { message: 'Comment updated.', id: commentId, resource },
+        unresolved
+      )
+    );
+    debugApi(`Comment ${commentId} updated.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/issue/:issueId/comment/:commentId',
+  isLoggedIn(),
+  hasProjectPermission('comment:create'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, commentId } = req.params;
+    const comment = await IssueComments.getById(projectId, issueId, commentId);
+
+    if (!comment) {
+      throw notFound('Comment', commentId);
+    }
+    if (
+      comment.createdBy.userId !== req.auth.userId &&
+      !hasPermission(req.project, req.auth.userId, 'comment:moderate')
+    ) {
+      throw forbidden(
+        'not_comment_author',
+        'You may only delete your own comments.',
+        { id: commentId }
+      );
+    }
+
+    checkIfMatch(req, comment);
+    const before = _.cloneDeep(comment);
+    const resource = await trashComment(comment, req.auth);
+    await recordHistory('Comment', 'delete', before, null, req.auth);
+    res.json({ message: 'Comment moved to trash.', id: commentId, resource });
+    debugApi(`Comment ${commentId} moved to trash.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/issue/:issueId/comment/:commentId/reaction',
+  isLoggedIn(),
+  hasProjectPermission('comment:create'),
+  validBody(reactionSchema),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, commentId } = req.params;
+    const { emoji } = req.body;
+    const { userId } = req.auth;
+    const comment = await IssueComments.getById(projectId, issueId, commentId);
+
+    if (!comment) {
+      throw notFound('Comment', commentId);
+    }
+
+    const reactions = comment.reactions || {};
+    reactions[emoji] = _.union(reactions[emoji] || [], [userId]);
+    comment.reactions = reactions;
+
+    const resource = await IssueComments.replace(
+      projectId,
+      issueId,
+      commentId,
+      comment,
+      comment._etag
+    );
+    setETag(res, resource);
+    res.json({ message: 'Reaction added.', id: commentId, resource });
+    debugApi(`Reaction ${emoji} added to comment ${commentId}.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/issue/:issueId/comment/:commentId/reaction/:emoji',
+  isLoggedIn(),
+  hasProjectPermission('comment:create'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, commentId, emoji } = req.params;
+    const { userId } = req.auth;
+    const comment = await IssueComments.getById(projectId, issueId, commentId);
+
+    if (!comment) {
+      throw notFound('Comment', commentId);
+    }
+
+    const reactions = comment.reactions || {};
+    reactions[emoji] = _.without(reactions[emoji] || [], userId);
+    if (!reactions[emoji].length) {
+      delete reactions[emoji];
+    }
+    comment.reactions = reactions;
+
+    const resource = await IssueComments.replace(
+      projectId,
+      issueId,
+      commentId,
+      comment,
+      comment._etag
+    );
+    setETag(res, resource);
+    res.json({ message: 'Reaction removed.', id: commentId, resource });
+    debugApi(`Reaction ${emoji} removed from comment ${commentId}.`);
+  })
+);
+
 export default router;
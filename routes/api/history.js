@@ -0,0 +1,71 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { History } from '../../core/db.js';
+import { defineListQuery } from '../../core/listQuery.js';
+import { pageOf } from '../../core/openapi.js';
+
+const debugApi = debug('app:api:history');
+const router = express.Router();
+
+const historyListQuery = defineListQuery({
+  filters: {
+    entityType: 'entityType',
+    action: 'action',
+    changedBy: 'changedBy.userId',
+  },
+  contains: { field: 'changedFields' },
+  ranges: { changed: 'changedOn' },
+  sortFields: ['changedOn'],
+  defaultSortBy: 'changedOn',
+  defaultSortDir: 'desc',
+});
+
+router.get(
+  '/project/:projectId/activity',
+  describeRoute({ response: pageOf() }),
+  isLoggedIn(),
+  hasProjectPermission('project:read'),
+  validQuery(historyListQuery.schema),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const { pageSize, continuationToken } = req.query;
+    const query = historyListQuery.toQuery(req.query);
+    const page = await History.getPageForProject(
+      projectId,
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json(page);
+    debugApi(`Activity for project ${projectId} read.`);
+  })
+);
+
+router.get(
+  '/project/:projectId/issue/:issueId/history',
+  describeRoute({ response: pageOf() }),
+  isLoggedIn(),
+  hasProjectPermission('issue:read'),
+  validQuery(historyListQuery.schema),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId } = req.params;
+    const { pageSize, continuationToken } = req.query;
+    const query = historyListQuery.toQuery(req.query);
+    const page = await History.getPageForIssue(
+      projectId,
+      issueId,
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json(page);
+    debugApi(`History for issue ${issueId} read.`);
+  })
+);
+
+export default router;
@@ -0,0 +1,138 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import config from 'config';
+import Joi from 'joi';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { uploadFile } from '../../middleware/uploadFile.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { toCsv, parseCsv } from '../../core/csv.js';
+import {
+  issueCsvColumns,
+  exportProject,
+  exportIssueRows,
+  importProject,
+} from '../../core/importExport.js';
+import { badRequest } from '../../core/errors.js';
+
+const debugApi = debug('app:api:importExport');
+const router = express.Router();
+const { maxSizeInBytes, maxRows } = config.get('import');
+
+const exportQuerySchema = Joi.object({
+  format: Joi.string().lowercase().valid('json', 'csv').default('json'),
+});
+
+const importQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+});
+
+const importSchema = Joi.object({
+  issues: Joi.array().items(Joi.object().unknown()).default([]),
+  comments: Joi.array().items(Joi.object().unknown()).default([]),
+}).unknown();
+
+/**
+ * Read the data to import from the request.
+ * An uploaded file may be a JSON export, or a CSV file of issues.
+ * Without a file, the data is the JSON body of the request.
+ * @param {any} req
+ * @returns {{ error?: string, data?: any }}
+ */
+function readImportData(req) {
+  if (!req.file) {
+    return { data: req.body };
+  }
+  const text = req.file.buffer.toString('utf8');
+  const isCsv =
+    /\.csv$/i.test(req.file.originalname) || req.file.mimetype === 'text/csv';
+  if (isCsv) {
+    return { data: { issues: parseCsv(text) } };
+  }
+  try {
+    return { data: JSON.parse(text) };
+  } catch (err) {
+    return { error: `The file is not valid JSON or CSV: ${err.message}` };
+  }
+}
+
+router.get(
+  '/project/:projectId/export',
+  describeRoute({ contentType: ['application/json', 'text/csv'] }),
+  isLoggedIn(),
+  hasProjectPermission('project:read'),
+  validQuery(exportQuerySchema),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    if (req.query.format === 'csv') {
+      const rows = await exportIssueRows(req.project);
+      res.attachment(`issues-${projectId}.csv`);
+      res.type('text/csv');
+      res.send(toCsv(rows, issueCsvColumns));
+    } else {
+      res.attachment(`project-${projectId}.json`);
+      res.json(await exportProject(req.project, req.auth));
+    }
+    debugApi(`Project ${projectId} exported as ${req.query.format}.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/import',
+  describeRoute({ body: importSchema }),
+  isLoggedIn(),
+  hasProjectPermission('project:import'),
+  validQuery(importQuerySchema),
+  uploadFile('file', { maxSizeInBytes }),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const { dryRun } = req.query;
+
+    const { error: readError, data } = readImportData(req);
+    if (readError) {
+      throw badRequest('invalid_import_file', readError);
+    }
+    const { error, value } = importSchema
+      .label('data')
+      .validate(data, { abortEarly: false });
+    if (error) {
+      error.status = 400;
+      return next(error);
+    }
+
+    const rowCount = value.issues.length + value.comments.length;
+    if (!rowCount) {
+      throw badRequest('nothing_to_import', 'There is nothing to import.');
+    }
+    if (rowCount > maxRows) {
+      throw badRequest(
+        'too_many_rows',
+        `An import can have at most ${maxRows} issues and comments.`,
+        { rowCount, maxRows }
+      );
+    }
+
+    const result = await importProject(
+      req.project,
+      value,
+      { dryRun },
+      req.auth
+    );
+    const failed =
+      result.issues.filter((x) => x.action === 'failed').length +
+      result.comments.filter((x) => x.action === 'failed').length;
+    res.json({
+      message: dryRun ? 'Import checked.' : 'Import finished.',
+      id: projectId,
+      failed,
+      ...result,
+    });
+    debugApi(
+      `${dryRun ? 'Dry run of import' : 'Import'} into project ${projectId}.`
+    );
+  })
+);
+
+export default router;
@@ -1,39 +1,93 @@
 import express from 'express';
 import asyncCatch from 'express-async-catch';
-import validBody from 'valid-body-joi';
 import debug from 'debug';
 import { nanoid } from 'nanoid';
 import _ from 'lodash';
 import Joi from 'joi';
-import { isLoggedIn } from '@merlin4/express-auth';
-import { Projects, Issues } from '../../core/cosmos.js';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validBody } from '../../middleware/validBody.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { Users, Projects, Issues } from '../../core/db.js';
+import { defineListQuery } from '../../core/listQuery.js';
+import {
+  issueStatuses,
+  initialStatus,
+  getStatus,
+  canTransition,
+} from '../../core/workflow.js';
+import { getMember } from '../../core/membership.js';
+import { findUnknownCategories } from '../../core/categories.js';
+import { issueSchema } from '../../core/schemas.js';
+import { recordHistory } from '../../core/history.js';
+import { checkIfMatch, setETag } from '../../core/etag.js';
+import { trashIssue } from '../../core/trash.js';
+import { doneStatuses, getOpenBlockers } from '../../core/issueLinks.js';
+import { applyMentions, withMentionWarning } from '../../core/mentions.js';
+import { badRequest, notFound, conflict } from '../../core/errors.js';
 
 const debugApi = debug('app:api:issue');
 const router = express.Router();
 
-const issueSchema = Joi.object({
-  title: Joi.string().trim().required(),
-  description: Joi.string().trim().required(),
-  priority: Joi.string().trim().allow('').required(), // optional
+const assignSchema = Joi.object({
+  assignedToUserId: Joi.string().trim().allow(null).required(),
+});
+
+const statusSchema = Joi.object({
+  status: Joi.string()
+    .valid(...issueStatuses)
+    .required(),
+  force: Joi.boolean().default(false), // close even if blockers are open
+});
+
+const issueListQuery = defineListQuery({
+  filters: {
+    priority: 'priority',
+    status: 'status',
+    assignedTo: 'assignedTo.userId',
+    createdBy: 'createdBy.userId',
+    component: 'componentId',
+    milestone: 'milestoneId',
+  },
+  contains: { label: 'labelIds' },
+  ranges: { created: 'createdOn', updated: 'lastUpdatedOn' },
+  sortFields: ['createdOn', 'lastUpdatedOn', 'title', 'priority'],
+  defaultSortBy: 'createdOn',
+  defaultSortDir: 'desc',
 });
 
 router.get(
   '/issue/list',
   isLoggedIn(),
+  validQuery(issueListQuery.schema),
   asyncCatch(async (req, res, next) => {
-    const issues = await Issues.getAll();
-    res.json(issues);
-    debugApi('All issues read.');
+    const { userId } = req.auth;
+    const { pageSize, continuationToken } = req.query;
+    const projects = await Projects.getAllForMember(userId);
+    const query = issueListQuery.toQuery(req.query);
+    query.where.push(['projectId', 'in', _.map(projects, 'projectId')]);
+    const page = await Issues.getPage(query, pageSize, continuationToken);
+    res.json(page);
+    debugApi(`All issues for user ${userId} read.`);
   })
 );
 
 router.get(
   '/project/:projectId/issue/list',
   isLoggedIn(),
+  hasProjectPermission('issue:read'),
+  validQuery(issueListQuery.schema),
   asyncCatch(async (req, res, next) => {
     const projectId = req.params.projectId;
-    const issues = await Issues.getAllIssuesForProject(projectId);
-    res.json(issues);
+    const { pageSize, continuationToken } = req.query;
+    const query = issueListQuery.toQuery(req.query);
+    const page = await Issues.getPageForProject(
+      projectId,
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json(page);
     debugApi('All issues for project read.');
   })
 );
@@ -41,13 +95,15 @@ router.get(
 router.get(
   '/project/:projectId/issue/:issueId',
   isLoggedIn(),
+  hasProjectPermission('issue:read'),
   asyncCatch(async (req, res, next) => {
     const projectId = req.params.projectId;
     const issueId = req.params.issueId;
     const issue = await Issues.getById(projectId, issueId);
     if (!issue) {
-      res.status(404).json({ message: 'Issue not found.', projectId, issueId });
+      throw notFound('Issue', issueId);
     } else {
+      setETag(res, issue);
       res.json(issue);
       debugApi(`Issue ${issueId} read.`);
     }
@@ -57,14 +113,19 @@ router.get(
 router.put(
   '/project/:projectId/issue/new',
   isLoggedIn(),
+  hasProjectPermission('issue:create'),
   validBody(issueSchema),
   asyncCatch(async (req, res, next) => {
     const issueId = nanoid();
     const projectId = req.params.projectId;
 
-    const project = await Projects.getById(projectId);
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found.', projectId });
+    const unknown = findUnknownCategories(req.project, req.body);
+    if (unknown.length) {
+      throw badRequest(
+        'unknown_categories',
+        'Unknown labels, components or milestones.',
+        { unknown }
+      );
     }
 
     const now = new Date();
@@ -73,11 +134,24 @@ router.put(
     newIssue.issueId = issueId;
     newIssue.projectId = projectId;
     newIssue.type = 'Issue';
+    newIssue.status = initialStatus;
     newIssue.createdOn = now;
     newIssue.createdBy = _.pick(req.auth, 'userId', 'email');
+    const unresolved = await applyMentions(
+      req.project,
+      newIssue,
+      'description',
+      'descriptionHtml'
+    );
 
     const resource = await Issues.add(newIssue);
-    res.json({ message: 'Issue created.', id: issueId, resource });
+    await recordHistory('Issue', 'create', null, resource, req.auth);
+    res.json(
+      withMentionWarning(
+        { message: 'Issue created.', id: issueId, resource },
+        unresolved
+      )
+    );
     debugApi(`Issue ${issueId} created.`);
   })
 );
@@ -85,6 +159,7 @@ router.put(
 router.put(
   '/project/:projectId/issue/:issueId',
   isLoggedIn(),
+  hasProjectPermission('issue:update'),
   validBody(issueSchema),
   asyncCatch(async (req, res, next) => {
     const projectId = req.params.projectId;
@@ -92,9 +167,18 @@ router.put(
     const issueData = req.body;
     const issue = await Issues.getById(projectId, issueId);
 
+    const unknown = findUnknownCategories(req.project, issueData);
     if (!issue) {
-      res.status(404).json({ message: 'Issue not found.', id: issueId });
+      throw notFound('Issue', issueId);
+    } else if (unknown.length) {
+      throw badRequest(
+        'unknown_categories',
+        'Unknown labels, components or milestones.',
+        { unknown }
+      );
     } else {
+      const before = _.cloneDeep(issue);
+      checkIfMatch(req, issue);
       for (const key in issueData) {
         issue[key] = issueData[key];
       }
@@ -102,28 +186,189 @@ router.put(
       const now = new Date();
       issue.lastUpdatedOn = now;
       issue.lastUpdatedBy = _.pick(req.auth, 'userId', 'email');
+      const unresolved = await applyMentions(
+        req.project,
+        issue,
+        'description',
+        'descriptionHtml'
+      );
 
-      const resource = await Issues.replace(projectId, issueId, issue);
-      res.json({ message: 'Issue updated.', id: issueId, resource });
+      const resource = await Issues.replace(
+        projectId,
+        issueId,
+        issue,
+        before._etag
+      );
+      await recordHistory('Issue', 'update', before, resource, req.auth);
+      setETag(res, resource);
+      res.json(
+        withMentionWarning(
+          { message: 'Issue updated.', id: issueId, resource },
+          unresolved
+        )
+      );
       debugApi(`Issue ${issueId} updated.`);
     }
   })
 );
 
+router.put(
+  '/project/:projectId/issue/:issueId/assign',
+  isLoggedIn(),
+  hasProjectPermission('issue:update'),
+  validBody(assignSchema),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const issueId = req.params.issueId;
+    const { assignedToUserId } = req.body;
+    const issue = await Issues.getById(projectId, issueId);
+
+    if (!issue) {
+      throw notFound('Issue', issueId);
+    }
+
+    let assignedTo = null;
+    if (assignedToUserId) {
+      const user = await Users.getById(assignedToUserId);
+      if (!user) {
+        throw badRequest('user_not_found', 'User not found.', {
+          id: assignedToUserId,
+        });
+      }
+      if (!getMember(req.project, assignedToUserId)) {
+        throw badRequest(
+          'not_project_member',
+          'User is not a member of this project.',
+          { id: assignedToUserId }
+        );
+      }
+      assignedTo = _.pick(user, 'userId', 'email');
+    }
+
+    const now = new Date();
+    const auth = _.pick(req.auth, 'userId', 'email');
+    const before = _.cloneDeep(issue);
+    checkIfMatch(req, issue);
+    issue.assignedTo = assignedTo;
+    issue.assignedOn = now;
+    issue.assignedBy = auth;
+    issue.lastUpdatedOn = now;
+    issue.lastUpdatedBy = auth;
+
+    const resource = await Issues.replace(
+      projectId,
+      issueId,
+      issue,
+      before._etag
+    );
+    await recordHistory('Issue', 'update', before, resource, req.auth);
+    setETag(res, resource);
+    res.json({ message: 'Issue assigned.', id: issueId, resource });
+    debugApi(`Issue ${issueId} assigned to ${assignedToUserId}.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/issue/:issueId/status',
+  isLoggedIn(),
+  hasProjectPermission('issue:update'),
+  validBody(statusSchema),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const issueId = req.params.issueId;
+    const { status, force } = req.body;
+    const issue = await Issues.getById(projectId, issueId);
+
+    if (!issue) {
+      throw notFound('Issue', issueId);
+    }
+
+    const fromStatus = getStatus(issue);
+    if (!canTransition(req.project, fromStatus, status)) {
+      throw badRequest(
+        'invalid_transition',
+        `Issue cannot move from ${fromStatus} to ${status}.`,
+        { id: issueId, from: fromStatus, to: status }
+      );
+    }
+
+    const blockers = doneStatuses.includes(status)
+      ? (await getOpenBlockers(issue)).map((blocker) =>
+          _.pick(blocker, 'projectId', 'issueId', 'title', 'status')
+        )
+      : [];
+    if (blockers.length && !force) {
+      throw conflict(
+        'issue_blocked',
+        `Issue cannot be ${status} while it is blocked by open issues.`,
+        { id: issueId, blockers }
+      );
+    }
+
+    const now = new Date();
+    const auth = _.pick(req.auth, 'userId', 'email');
+    const before = _.cloneDeep(issue);
+    checkIfMatch(req, issue);
+    issue.status = status;
+    issue.statusChangedOn = now;
+    issue.statusChangedBy = auth;
+    if (!doneStatuses.includes(status)) {
+      delete issue.resolvedOn;
+      delete issue.resolutionInSeconds;
+    } else if (!doneStatuses.includes(fromStatus)) {
+      // kept for the project stats, which average the time to resolution
+      issue.resolvedOn = now;
+      issue.resolutionInSeconds = Math.round(
+        (now - new Date(issue.createdOn)) / 1000
+      );
+    }
+    issue.transitions = [
+      ...(issue.transitions || []),
+      { from: fromStatus, to: status, changedOn: now, changedBy: auth },
+    ];
+    issue.lastUpdatedOn = now;
+    issue.lastUpdatedBy = auth;
+
+    const resource = await Issues.replace(
+      projectId,
+      issueId,
+      issue,
+      before._etag
+    );
+    await recordHistory('Issue', 'update', before, resource, req.auth);
+    setETag(res, resource);
+    const response = {
+      message: 'Issue status changed.',
+      id: issueId,
+      resource,
+    };
+    if (blockers.length) {
+      response.warning = 'Issue is still blocked by open issues.';
+      response.blockers = blockers;
+    }
+    res.json(response);
+    debugApi(`Issue ${issueId} moved from ${fromStatus} to ${status}.`);
+  })
+);
+
 router.delete(
   '/project/:projectId/issue/:issueId',
   isLoggedIn(),
+  hasProjectPermission('issue:delete'),
   asyncCatch(async (req, res, next) => {
     const projectId = req.params.projectId;
     const issueId = req.params.issueId;
     const issue = await Issues.getById(projectId, issueId);
 
     if (!issue) {
-      res.status(404).json({ message: 'Issue not found.', id: issueId });
+      throw notFound('Issue', issueId);
     } else {
-      const resource = await Issues.remove(projectId, issueId);
-      res.json({ message: 'Issue removed.', id: issueId, resource });
-      debugApi(`Issue ${issueId} removed.`);
+      checkIfMatch(req, issue);
+      const before = _.cloneDeep(issue);
+      const resource = await trashIssue(issue, req.auth);
+      await recordHistory('Issue', 'delete', before, null, req.auth);
+      res.json({ message: 'Issue moved to trash.', id: issueId, resource });
+      debugApi(`Issue ${issueId} moved to trash.`);
     }
   })
 );
@@ -0,0 +1,220 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import _ from 'lodash';
+import Joi from 'joi';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validBody } from '../../middleware/validBody.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { Projects, Issues } from '../../core/db.js';
+import { recordHistory } from '../../core/history.js';
+import { hasPermission } from '../../core/membership.js';
+import { checkIfMatch, setETag } from '../../core/etag.js';
+import {
+  linkTypes,
+  findLink,
+  wouldCreateCycle,
+  addLink,
+  removeLink,
+} from '../../core/issueLinks.js';
+import {
+  badRequest,
+  forbidden,
+  notFound,
+  conflict,
+} from '../../core/errors.js';
+
+const debugApi = debug('app:api:link');
+const router = express.Router();
+
+const linkSchema = Joi.object({
+  type: Joi.string()
+    .valid(...Object.keys(linkTypes))
+    .required(),
+  projectId: Joi.string().trim(), // optional, defaults to the same project
+  issueId: Joi.string().trim().required(),
+});
+
+/**
+ * Find the issue at the other end of a link,
+ * checking that the user may change it.
+ * Throws an error if they may not.
+ * @param {any} req
+ * @param {string} projectId
+ * @param {string} issueId
+ * @returns {Promise<any>} the issue
+ */
+async function getTargetIssue(req, projectId, issueId) {
+  const project =
+    projectId === req.project.projectId
+      ? req.project
+      : await Projects.getById(projectId);
+  const issue =
+    project && !project.deleting && (await Issues.getById(projectId, issueId));
+
+  if (!issue || !hasPermission(project, req.auth.userId, 'issue:read')) {
+    throw badRequest('linked_issue_not_found', 'Linked issue not found.', {
+      projectId,
+      issueId,
+    });
+  }
+  if (!hasPermission(project, req.auth.userId, 'issue:update')) {
+    throw forbidden(
+      'permission_denied',
+      'You do not have permission: issue:update',
+      { permission: 'issue:update', projectId, issueId }
+    );
+  }
+  if (project.archived) {
+    throw conflict(
+      'project_archived',
+      'The project of the linked issue is archived.',
+      { projectId, issueId }
+    );
+  }
+  return issue;
+}
+
+router.get(
+  '/project/:projectId/issue/:issueId/link/list',
+  describeRoute({ response: Joi.array().items(Joi.object()) }),
+  isLoggedIn(),
+  hasProjectPermission('issue:read'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId } = req.params;
+    const issue = await Issues.getById(projectId, issueId);
+
+    if (!issue) {
+      throw notFound('Issue', issueId);
+    }
+
+    // show a summary of each linked issue that the user can see
+    const projects = _.keyBy(
+      await Projects.getAllForMember(req.auth.userId),
+      'projectId'
+    );
+    const links = [];
+    for (const link of issue.links || []) {
+      const target =
+        projects[link.projectId] &&
+        (await Issues.getById(link.projectId, link.issueId));
+      links.push({
+        ...link,
+        issue: target
+          ? _.pick(target, 'title', 'status', 'priority', 'assignedTo')
+          : null,
+      });
+    }
+    res.json(links);
+    debugApi(`All links of issue ${issueId} read.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/issue/:issueId/link/new',
+  isLoggedIn(),
+  hasProjectPermission('issue:update'),
+  validBody(linkSchema),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId } = req.params;
+    const { type } = req.body;
+    const targetProjectId = req.body.projectId || projectId;
+    const targetIssueId = req.body.issueId;
+    const issue = await Issues.getById(projectId, issueId);
+
+    if (!issue) {
+      throw notFound('Issue', issueId);
+    }
+    if (targetProjectId === projectId && targetIssueId === issueId) {
+      throw badRequest('self_link', 'An issue cannot be linked to itself.', {
+        id: issueId,
+      });
+    }
+
+    const target = await getTargetIssue(req, targetProjectId, targetIssueId);
+    if (findLink(issue, type, target)) {
+      throw badRequest('already_linked', 'The issues are already linked.', {
+        id: issueId,
+        type,
+        projectId: targetProjectId,
+        issueId: targetIssueId,
+      });
+    }
+    if (await wouldCreateCycle(issue, type, target)) {
+      throw badRequest(
+        'link_cycle',
+        'The link would make a circle of blocking issues.',
+        {
+          id: issueId,
+          type,
+          projectId: targetProjectId,
+          issueId: targetIssueId,
+        }
+      );
+    }
+
+    checkIfMatch(req, issue);
+    const before = _.cloneDeep(issue);
+    const targetBefore = _.cloneDeep(target);
+    const result = await addLink(issue, type, target, req.auth);
+    await recordHistory('Issue', 'update', before, result.source, req.auth);
+    await recordHistory(
+      'Issue',
+      'update',
+      targetBefore,
+      result.target,
+      req.auth
+    );
+    setETag(res, result.source);
+    res.json({
+      message: 'Issues linked.',
+      id: issueId,
+      link: result.link,
+      resource: result.source,
+    });
+    debugApi(`Issue ${issueId} ${type} ${targetIssueId}.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/issue/:issueId/link/:linkId',
+  isLoggedIn(),
+  hasProjectPermission('issue:update'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, linkId } = req.params;
+    const issue = await Issues.getById(projectId, issueId);
+
+    if (!issue) {
+      throw notFound('Issue', issueId);
+    }
+    const link = _.find(issue.links, { id: linkId });
+    if (!link) {
+      throw notFound('Link', linkId);
+    }
+
+    checkIfMatch(req, issue);
+    const before = _.cloneDeep(issue);
+    const targetBefore = await Issues.getById(
+      link.projectId,
+      link.issueId,
+      true
+    );
+    const result = await removeLink(issue, link, req.auth);
+    await recordHistory('Issue', 'update', before, result.source, req.auth);
+    if (result.target) {
+      await recordHistory(
+        'Issue',
+        'update',
+        targetBefore,
+        result.target,
+        req.auth
+      );
+    }
+    setETag(res, result.source);
+    res.json({ message: 'Link removed.', id: linkId, resource: result.source });
+    debugApi(`Link ${linkId} removed from issue ${issueId}.`);
+  })
+);
+
+export default router;
@@ -0,0 +1,137 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import config from 'config';
+import _ from 'lodash';
+import Joi from 'joi';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { Projects } from '../../core/db.js';
+import { hasPermission } from '../../core/membership.js';
+import { liveEvents, getEventsSince } from '../../core/liveUpdates.js';
+import { forbidden, notFound } from '../../core/errors.js';
+
+const debugApi = debug('app:api:live');
+const router = express.Router();
+const { heartbeatInSeconds, retryInMs } = config.get('liveUpdates');
+
+const liveQuerySchema = Joi.object({
+  projectId: Joi.array()
+    .items(Joi.string().trim())
+    .single()
+    .min(1)
+    .max(50)
+    .required(),
+  // for clients that cannot send the Last-Event-ID header
+  lastEventId: Joi.string().trim(), // optional
+});
+
+/**
+ * Write a server-sent event to the stream.
+ * @param {any} res
+ * @param {string|null} id
+ * @param {string} event
+ * @param {any} data
+ */
+function writeEvent(res, id, event, data) {
+  res.write(
+    (id ? `id: ${id}\n` : '') +
+      `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+  );
+}
+
+router.get(
+  '/live',
+  describeRoute({ contentType: 'text/event-stream' }),
+  isLoggedIn(),
+  validQuery(liveQuerySchema),
+  asyncCatch(async (req, res, next) => {
+    const userId = req.auth.userId;
+
+    // the projects that the client is subscribed to
+    const projects = new Map();
+    for (const projectId of _.uniq(req.query.projectId)) {
+      const project = await Projects.getById(projectId);
+      if (!project || project.deleting) {
+        throw notFound('Project', projectId);
+      }
+      if (!hasPermission(project, userId, 'project:read')) {
+        throw forbidden(
+          'permission_denied',
+          'You do not have permission: project:read',
+          { permission: 'project:read', projectId }
+        );
+      }
+      projects.set(projectId, project);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-control': 'no-store',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${retryInMs}\n\n`);
+
+    const send = (event) => {
+      const { projectId } = event;
+      if (!projects.has(projectId)) {
+        return;
+      }
+      if (event.event === 'project.deleted') {
+        projects.delete(projectId);
+        writeEvent(res, event.id, event.event, _.omit(event, 'id', 'ts'));
+      } else if (
+        event.issueId === null &&
+        !hasPermission(event.resource, userId, 'project:read')
+      ) {
+        // stop sending the project's events to users who are removed from it
+        projects.delete(projectId);
+        writeEvent(res, event.id, 'unsubscribed', { projectId });
+      } else {
+        if (event.issueId === null) {
+          projects.set(projectId, event.resource);
+        }
+        writeEvent(res, event.id, event.event, _.omit(event, 'id', 'ts'));
+      }
+      if (!projects.size) {
+        res.end();
+      }
+    };
+
+    // catch up on the events that were missed while disconnected
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = getEventsSince(lastEventId);
+      if (missed) {
+        missed.forEach(send);
+      } else {
+        writeEvent(res, null, 'reset', {
+          message: 'Some events were missed, please reload.',
+        });
+      }
+    }
+
+    // keep the connection open through proxies,
+    // and close it when the access token expires, so the client logs in again
+    const heartbeat = setInterval(
+      () => res.write(': heartbeat\n\n'),
+      heartbeatInSeconds * 1000
+    );
+    const expiry =
+      req.auth.exp &&
+      setTimeout(() => res.end(), req.auth.exp * 1000 - Date.now());
+    liveEvents.on('event', send);
+    req.on('close', () => {
+      liveEvents.off('event', send);
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      debugApi(`User ${userId} disconnected.`);
+    });
+    debugApi(`User ${userId} connected, to ${projects.size} projects.`);
+  })
+);
+
+export default router;
@@ -0,0 +1,202 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import _ from 'lodash';
+import Joi from 'joi';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validBody } from '../../middleware/validBody.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { Users, Projects } from '../../core/db.js';
+import {
+  projectRoles,
+  getMember,
+  newMember,
+  setMembers,
+} from '../../core/membership.js';
+import { recordHistory } from '../../core/history.js';
+import {
+  ApiError,
+  badRequest,
+  forbidden,
+  notFound,
+} from '../../core/errors.js';
+
+const debugApi = debug('app:api:member');
+const router = express.Router();
+
+const inviteSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required(),
+  role: Joi.string()
+    .valid(...projectRoles)
+    .required(),
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...projectRoles)
+    .required(),
+});
+
+/**
+ * Check if the user making the request is allowed to grant or revoke a role.
+ * Only owners may manage other owners.
+ * @param {any} project
+ * @param {any} auth
+ * @param {string} role
+ * @returns {boolean}
+ */
+function canManageRole(project, auth, role) {
+  if (role !== 'owner') {
+    return true;
+  }
+  const member = getMember(project, auth.userId);
+  return !!member && member.role === 'owner';
+}
+
+/**
+ * Count the number of owners of a project.
+ * @param {any} project
+ * @returns {number}
+ */
+function countOwners(project) {
+  return _.filter(project.members, { role: 'owner' }).length;
+}
+
+router.get(
+  '/project/:projectId/member/list',
+  describeRoute({ response: Joi.array().items(Joi.object()) }),
+  isLoggedIn(),
+  hasProjectPermission('project:read'),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    res.json(req.project.members || []);
+    debugApi(`All members of project ${projectId} read.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/member/new',
+  isLoggedIn(),
+  hasProjectPermission('member:manage'),
+  validBody(inviteSchema),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const { email, role } = req.body;
+    const project = req.project;
+    const before = _.cloneDeep(project);
+
+    const user = await Users.getByEmail(email);
+    if (!user) {
+      throw new ApiError(404, 'user_not_found', 'User not found.', { email });
+    }
+    if (getMember(project, user.userId)) {
+      throw badRequest('already_member', 'User is already a member.', {
+        id: user.userId,
+      });
+    }
+    if (!canManageRole(project, req.auth, role)) {
+      throw forbidden('owner_required', 'Only owners may add owners.', {
+        role,
+      });
+    }
+
+    const now = new Date();
+    const member = newMember(user, role, req.auth);
+    setMembers(project, [...(project.members || []), member]);
+    project.lastUpdatedOn = now;
+    project.lastUpdatedBy = _.pick(req.auth, 'userId', 'email');
+
+    const resource = await Projects.replace(projectId, project, before._etag);
+    await recordHistory('Project', 'update', before, resource, req.auth);
+    res.json({ message: 'Member added.', id: projectId, member, resource });
+    debugApi(`User ${user.userId} added to project ${projectId} as ${role}.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/member/:userId',
+  isLoggedIn(),
+  hasProjectPermission('member:manage'),
+  validBody(roleSchema),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, userId } = req.params;
+    const { role } = req.body;
+    const project = req.project;
+    const before = _.cloneDeep(project);
+
+    const member = getMember(project, userId);
+    if (!member) {
+      throw notFound('Member', userId);
+    }
+    if (
+      !canManageRole(project, req.auth, member.role) ||
+      !canManageRole(project, req.auth, role)
+    ) {
+      throw forbidden('owner_required', 'Only owners may change owners.', {
+        id: userId,
+      });
+    }
+    if (
+      member.role === 'owner' &&
+      role !== 'owner' &&
+      countOwners(project) < 2
+    ) {
+      throw badRequest(
+        'last_owner',
+        'A project must have at least one owner.',
+        { id: userId }
+      );
+    }
+
+    const now = new Date();
+    member.role = role;
+    project.lastUpdatedOn = now;
+    project.lastUpdatedBy = _.pick(req.auth, 'userId', 'email');
+
+    const resource = await Projects.replace(projectId, project, before._etag);
+    await recordHistory('Project', 'update', before, resource, req.auth);
+    res.json({ message: 'Member updated.', id: projectId, member, resource });
+    debugApi(`User ${userId} changed to ${role} in project ${projectId}.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/member/:userId',
+  isLoggedIn(),
+  hasProjectPermission('member:manage'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, userId } = req.params;
+    const project = req.project;
+    const before = _.cloneDeep(project);
+
+    const member = getMember(project, userId);
+    if (!member) {
+      throw notFound('Member', userId);
+    }
+    if (!canManageRole(project, req.auth, member.role)) {
+      throw forbidden('owner_required', 'Only owners may remove owners.', {
+        id: userId,
+      });
+    }
+    if (member.role === 'owner' && countOwners(project) < 2) {
+      throw badRequest(
+        'last_owner',
+        'A project must have at least one owner.',
+        { id: userId }
+      );
+    }
+
+    const now = new Date();
+    setMembers(project, _.reject(project.members, { userId }));
+    project.lastUpdatedOn = now;
+    project.lastUpdatedBy = _.pick(req.auth, 'userId', 'email');
+
+    const resource = await Projects.replace(projectId, project, before._etag);
+    await recordHistory('Project', 'update', before, resource, req.auth);
+    res.json({ message: 'Member removed.', id: projectId, resource });
+    debugApi(`User ${userId} removed from project ${projectId}.`);
+  })
+);
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import _ from 'lodash';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { Projects, Mentions } from '../../core/db.js';
+import { defineListQuery } from '../../core/listQuery.js';
+
+const debugApi = debug('app:api:mention');
+const router = express.Router();
+
+const mentionListQuery = defineListQuery({
+  filters: {
+    type: 'type',
+    projectId: 'projectId',
+    issueId: 'issueId',
+    createdBy: 'createdBy.userId',
+  },
+  ranges: { created: 'createdOn' },
+  sortFields: ['createdOn'],
+  defaultSortBy: 'createdOn',
+  defaultSortDir: 'desc',
+});
+
+/**
+ * Summarize an issue or comment that mentions a user.
+ * @param {any} item the issue or comment
+ * @returns {any}
+ */
+function toMention(item) {
+  const isComment = item.type === 'Comment';
+  return {
+    type: item.type,
+    projectId: item.projectId,
+    issueId: item.issueId,
+    commentId: isComment ? item.id : null,
+    title: isComment ? undefined : item.title,
+    html: isComment ? item.html : item.descriptionHtml,
+    createdOn: item.createdOn,
+    createdBy: item.createdBy,
+    lastUpdatedOn: item.lastUpdatedOn,
+  };
+}
+
+router.get(
+  '/mention/list',
+  isLoggedIn(),
+  validQuery(mentionListQuery.schema),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const { pageSize, continuationToken } = req.query;
+    // only the projects that the user can still read
+    const projects = await Projects.getAllForMember(userId);
+    const query = mentionListQuery.toQuery(req.query);
+    query.where.push(['projectId', 'in', _.map(projects, 'projectId')]);
+    const page = await Mentions.getPageForUser(
+      userId,
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json({ ...page, items: page.items.map(toMention) });
+    debugApi(`Mentions of user ${userId} read.`);
+  })
+);
+
+export default router;
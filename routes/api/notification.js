@@ -0,0 +1,180 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import _ from 'lodash';
+import Joi from 'joi';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validBody } from '../../middleware/validBody.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { cacheDisable } from '../../middleware/cacheDisable.js';
+import { Users, Notifications } from '../../core/db.js';
+import { defineListQuery } from '../../core/listQuery.js';
+import {
+  defaultPreferences,
+  getPreferences,
+  markAsRead,
+} from '../../core/notifications.js';
+import { notFound } from '../../core/errors.js';
+
+const debugApi = debug('app:api:notification');
+const router = express.Router();
+
+const notificationListQuery = defineListQuery({
+  filters: {
+    event: 'event',
+    reason: 'reason',
+    projectId: 'projectId',
+    issueId: 'issueId',
+  },
+  ranges: { created: 'createdOn' },
+  sortFields: ['createdOn'],
+  defaultSortBy: 'createdOn',
+  defaultSortDir: 'desc',
+});
+
+const notificationListSchema = notificationListQuery.schema.keys({
+  unread: Joi.boolean(), // optional
+});
+
+const preferencesSchema = Joi.object(
+  _.mapValues(defaultPreferences, () => Joi.boolean())
+);
+
+// the inbox changes all the time, so it is never cached
+router.use('/notification', cacheDisable());
+
+router.get(
+  '/notification/list',
+  isLoggedIn(),
+  validQuery(notificationListSchema),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const { pageSize, continuationToken, unread } = req.query;
+    const query = notificationListQuery.toQuery(req.query);
+    if (unread !== undefined) {
+      query.where.push(['read', '=', !unread]);
+    }
+    const page = await Notifications.getPageForUser(
+      userId,
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json(page);
+    debugApi(`Notifications for user ${userId} read.`);
+  })
+);
+
+router.get(
+  '/notification/count',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const unread = await Notifications.countUnreadForUser(userId);
+    res.json({ unread });
+  })
+);
+
+router.get(
+  '/notification/preferences',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const user = await Users.getById(userId);
+    if (!user) {
+      throw notFound('User', userId);
+    }
+    res.json(getPreferences(user));
+  })
+);
+
+router.put(
+  '/notification/preferences',
+  isLoggedIn(),
+  validBody(preferencesSchema),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const user = await Users.getById(userId);
+    if (!user) {
+      throw notFound('User', userId);
+    }
+
+    user.notificationPreferences = {
+      ...user.notificationPreferences,
+      ...req.body,
+    };
+    const resource = await Users.replace(userId, user);
+    res.json({
+      message: 'Notification preferences updated.',
+      id: userId,
+      preferences: getPreferences(resource),
+    });
+    debugApi(`Notification preferences for user ${userId} updated.`);
+  })
+);
+
+router.put(
+  '/notification/read-all',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const unread = await Notifications.getAllForUser(userId, true);
+    for (const notification of unread) {
+      await markAsRead(notification);
+    }
+    res.json({ message: 'All notifications read.', count: unread.length });
+    debugApi(`${unread.length} notifications for user ${userId} read.`);
+  })
+);
+
+router.get(
+  '/notification/:notificationId',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const { notificationId } = req.params;
+    const notification = await Notifications.getById(userId, notificationId);
+    if (!notification) {
+      throw notFound('Notification', notificationId);
+    }
+    res.json(notification);
+  })
+);
+
+router.put(
+  '/notification/:notificationId/read',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const { notificationId } = req.params;
+    const notification = await Notifications.getById(userId, notificationId);
+    if (!notification) {
+      throw notFound('Notification', notificationId);
+    }
+    const resource = await markAsRead(notification);
+    res.json({
+      message: 'Notification read.',
+      id: notificationId,
+      resource,
+    });
+    debugApi(`Notification ${notificationId} read.`);
+  })
+);
+
+router.delete(
+  '/notification/:notificationId',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { userId } = req.auth;
+    const { notificationId } = req.params;
+    const notification = await Notifications.getById(userId, notificationId);
+    if (!notification) {
+      throw notFound('Notification', notificationId);
+    }
+    await Notifications.remove(userId, notificationId);
+    res.json({ message: 'Notification deleted.', id: notificationId });
+    debugApi(`Notification ${notificationId} deleted.`);
+  })
+);
+
+export default router;
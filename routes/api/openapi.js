@@ -0,0 +1,49 @@
+import express from 'express';
+import crypto from 'crypto';
+import Joi from 'joi';
+import { describeRoute } from '../../middleware/describeRoute.js';
+
+const router = express.Router();
+const swaggerUiUrl = 'https://unpkg.com/swagger-ui-dist@5.17.14';
+
+router.get(
+  '/openapi.json',
+  describeRoute({ response: Joi.object().unknown(true) }),
+  (req, res, next) => {
+    res.json(req.app.locals.openApi.document);
+  }
+);
+
+router.get(
+  '/docs',
+  describeRoute({ contentType: 'text/html' }),
+  (req, res, next) => {
+    // Swagger UI is loaded from a CDN, so the page needs its own policy
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.set(
+      'Content-Security-Policy',
+      `default-src 'self'; script-src 'nonce-${nonce}' ${swaggerUiUrl}/; ` +
+        `style-src 'self' 'unsafe-inline' ${swaggerUiUrl}/; ` +
+        `img-src 'self' data:; connect-src 'self'`
+    );
+    res.removeHeader('Cross-Origin-Embedder-Policy');
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Issue Tracker API</title>
+    <link rel="stylesheet" href="${swaggerUiUrl}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${swaggerUiUrl}/swagger-ui-bundle.js"></script>
+    <script nonce="${nonce}">
+      SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });
+    </script>
+  </body>
+</html>
+`);
+  }
+);
+
+export default router;
@@ -1,12 +1,22 @@
 import express from 'express';
 import asyncCatch from 'express-async-catch';
-import validBody from 'valid-body-joi';
 import debug from 'debug';
 import { nanoid } from 'nanoid';
 import _ from 'lodash';
 import Joi from 'joi';
-import { isLoggedIn } from '@merlin4/express-auth';
-import { Projects } from '../../core/cosmos.js';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validBody } from '../../middleware/validBody.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { Projects, Jobs } from '../../core/db.js';
+import { defineListQuery } from '../../core/listQuery.js';
+import { workflowSchema, getWorkflow } from '../../core/workflow.js';
+import { newMember, setMembers } from '../../core/membership.js';
+import { recordHistory } from '../../core/history.js';
+import { checkIfMatch, setETag } from '../../core/etag.js';
+import { startJob } from '../../core/jobs.js';
+import { badRequest, notFound } from '../../core/errors.js';
 
 const debugApi = debug('app:api:project');
 const router = express.Router();
@@ -17,28 +27,48 @@ const projectSchema = Joi.object({
   priority: Joi.string().trim().allow('').required(), // optional
 });
 
+const projectListQuery = defineListQuery({
+  filters: { priority: 'priority', createdBy: 'createdBy.userId' },
+  ranges: { created: 'createdOn', updated: 'lastUpdatedOn' },
+  sortFields: ['title', 'createdOn', 'lastUpdatedOn', 'priority'],
+  defaultSortBy: 'title',
+  defaultSortDir: 'asc',
+});
+const projectListSchema = projectListQuery.schema.keys({
+  archived: Joi.boolean().default(false),
+});
+
 router.get(
   '/project/list',
   isLoggedIn(),
+  validQuery(projectListSchema),
   asyncCatch(async (req, res, next) => {
-    const projects = await Projects.getAll();
-    res.json(projects);
-    debugApi('All projects read.');
+    const { userId } = req.auth;
+    const { pageSize, continuationToken, archived } = req.query;
+    const query = projectListQuery.toQuery(req.query);
+    // archived projects are only listed when asked for
+    query.where.push(['archived', 'exists', archived]);
+    query.where.push(['deleting', 'exists', false]);
+    const page = await Projects.getPageForMember(
+      userId,
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json(page);
+    debugApi(`All projects for user ${userId} read.`);
   })
 );
 
 router.get(
   '/project/:projectId',
   isLoggedIn(),
+  hasProjectPermission('project:read'),
   asyncCatch(async (req, res, next) => {
     const projectId = req.params.projectId;
-    const project = await Projects.getById(projectId);
-    if (!project) {
-      res.status(404).json({ message: 'Project not found.', id: projectId });
-    } else {
-      res.json(project);
-      debugApi(`Project ${projectId} read.`);
-    }
+    setETag(res, req.project);
+    res.json(req.project);
+    debugApi(`Project ${projectId} read.`);
   })
 );
 
@@ -56,54 +86,178 @@ router.put(
     newProject.type = 'Project';
     newProject.createdOn = now;
     newProject.createdBy = _.pick(req.auth, 'userId', 'email');
+    setMembers(newProject, [newMember(req.auth, 'owner', req.auth)]);
 
     const resource = await Projects.add(newProject);
+    await recordHistory('Project', 'create', null, resource, req.auth);
     res.json({ message: 'Project created.', id: projectId, resource });
-    debugApi(`Project ${issueId} created.`);
+    debugApi(`Project ${projectId} created.`);
   })
 );
 
 router.put(
   '/project/:projectId',
   isLoggedIn(),
+  hasProjectPermission('project:update'),
   validBody(projectSchema),
   asyncCatch(async (req, res, next) => {
     const projectId = req.params.projectId;
     const projectData = req.body;
-    const project = await Projects.getById(projectId);
-
-    if (!project) {
-      res.status(404).json({ message: 'Project not found.', id: projectId });
-    } else {
-      for (const key in projectData) {
-        project[key] = projectData[key];
-      }
-
-      const now = new Date();
-      project.lastUpdatedOn = now;
-      project.lastUpdatedBy = _.pick(req.auth, 'userId', 'email');
-
-      const resource = await Projects.replace(projectId, project);
-      res.json({ message: 'Project updated.', id: projectId, resource });
-      debugApi(`Project ${projectId} updated.`);
+    const project = req.project;
+    const before = _.cloneDeep(project);
+    checkIfMatch(req, project);
+
+    for (const key in projectData) {
+      project[key] = projectData[key];
     }
+
+    const now = new Date();
+    project.lastUpdatedOn = now;
+    project.lastUpdatedBy = _.pick(req.auth, 'userId', 'email');
+
+    const resource = await Projects.replace(projectId, project, before._etag);
+    await recordHistory('Project', 'update', before, resource, req.auth);
+    setETag(res, resource);
+    res.json({ message: 'Project updated.', id: projectId, resource });
+    debugApi(`Project ${projectId} updated.`);
+  })
+);
+
+router.get(
+  '/project/:projectId/workflow',
+  isLoggedIn(),
+  hasProjectPermission('project:read'),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    res.json(getWorkflow(req.project));
+    debugApi(`Project ${projectId} workflow read.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/workflow',
+  isLoggedIn(),
+  hasProjectPermission('project:update'),
+  validBody(workflowSchema),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const project = req.project;
+    const before = _.cloneDeep(project);
+    checkIfMatch(req, project);
+
+    const now = new Date();
+    project.workflow = req.body;
+    project.lastUpdatedOn = now;
+    project.lastUpdatedBy = _.pick(req.auth, 'userId', 'email');
+
+    const resource = await Projects.replace(projectId, project, before._etag);
+    await recordHistory('Project', 'update', before, resource, req.auth);
+    setETag(res, resource);
+    res.json({
+      message: 'Project workflow updated.',
+      id: projectId,
+      resource,
+    });
+    debugApi(`Project ${projectId} workflow updated.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/archive',
+  isLoggedIn(),
+  hasProjectPermission('project:archive'),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const project = req.project;
+    const before = _.cloneDeep(project);
+    checkIfMatch(req, project);
+    if (project.archived) {
+      throw badRequest('already_archived', 'Project is already archived.', {
+        id: projectId,
+      });
+    }
+
+    const now = new Date();
+    project.archived = true;
+    project.archivedOn = now;
+    project.archivedBy = _.pick(req.auth, 'userId', 'email');
+
+    const resource = await Projects.replace(projectId, project, before._etag);
+    await recordHistory('Project', 'update', before, resource, req.auth);
+    setETag(res, resource);
+    res.json({ message: 'Project archived.', id: projectId, resource });
+    debugApi(`Project ${projectId} archived.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/restore',
+  isLoggedIn(),
+  hasProjectPermission('project:archive'),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const project = req.project;
+    const before = _.cloneDeep(project);
+    checkIfMatch(req, project);
+    if (!project.archived) {
+      throw badRequest('not_archived', 'Project is not archived.', {
+        id: projectId,
+      });
+    }
+
+    // the fields are removed, rather than cleared, so the project can be
+    // found by the "archived exists" condition of the project list
+    delete project.archived;
+    delete project.archivedOn;
+    delete project.archivedBy;
+
+    const resource = await Projects.replace(projectId, project, before._etag);
+    await recordHistory('Project', 'update', before, resource, req.auth);
+    setETag(res, resource);
+    res.json({ message: 'Project restored.', id: projectId, resource });
+    debugApi(`Project ${projectId} restored.`);
   })
 );
 
 router.delete(
   '/project/:projectId',
+  describeRoute({ status: 202 }),
   isLoggedIn(),
+  hasProjectPermission('project:delete'),
   asyncCatch(async (req, res, next) => {
     const projectId = req.params.projectId;
-    const project = await Projects.getById(projectId);
-
-    if (!project) {
-      res.status(404).json({ message: 'Project not found.', id: projectId });
-    } else {
-      const resource = await Projects.remove(projectId);
-      res.json({ message: 'Project removed.', id: projectId, resource });
-      debugApi(`Project ${projectId} removed.`);
+    const project = req.project;
+    const before = _.cloneDeep(project);
+    checkIfMatch(req, project);
+
+    // hide the project straight away,
+    // and then remove it and everything in it in the background
+    project.deleting = true;
+    await Projects.replace(projectId, project, before._etag);
+    await recordHistory('Project', 'delete', before, null, req.auth);
+    const job = await startJob('delete-project', projectId, req.auth);
+    res.status(202).json({
+      message: 'Project deletion started.',
+      id: projectId,
+      jobId: job.id,
+      job,
+    });
+    debugApi(`Project ${projectId} deletion started, job ${job.id}.`);
+  })
+);
+
+router.get(
+  '/project/:projectId/job/:jobId',
+  isLoggedIn(),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, jobId } = req.params;
+    const job = await Jobs.getById(projectId, jobId);
+    // the project may be gone, so only the user who started the job can see it
+    if (!job || job.createdBy.userId !== req.auth.userId) {
+      throw notFound('Job', jobId);
     }
+    res.json(job);
+    debugApi(`Job ${jobId} read.`);
   })
 );
 
@@ -0,0 +1,43 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import config from 'config';
+import Joi from 'joi';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { search, searchSorts } from '../../core/search.js';
+
+const debugApi = debug('app:api:search');
+const router = express.Router();
+
+const { defaultPageSize, maxPageSize } = config.get('paging');
+
+const searchSchema = Joi.object({
+  q: Joi.string().trim().required(),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(maxPageSize)
+    .default(defaultPageSize),
+  continuationToken: Joi.string().trim(), // optional
+  sort: Joi.string()
+    .trim()
+    .lowercase()
+    .valid(...searchSorts)
+    .default('relevance'),
+});
+
+router.get(
+  '/search',
+  isLoggedIn(),
+  validQuery(searchSchema),
+  asyncCatch(async (req, res, next) => {
+    const { q, limit, continuationToken, sort } = req.query;
+    const page = await search(q, req.auth, limit, continuationToken, sort);
+    const { results } = page;
+    res.json({ q, results, continuationToken: page.continuationToken });
+    debugApi(`Search for "${q}" returned ${results.length} results.`);
+  })
+);
+
+export default router;
@@ -0,0 +1,92 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import Joi from 'joi';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { getCategory } from '../../core/categories.js';
+import {
+  toDay,
+  addDays,
+  getProjectStats,
+  getBurndown,
+} from '../../core/stats.js';
+import { toCsv } from '../../core/csv.js';
+import { badRequest, notFound } from '../../core/errors.js';
+
+const debugApi = debug('app:api:stats');
+const router = express.Router();
+
+const maxBurndownDays = 366;
+
+const statsQuerySchema = Joi.object({
+  weeks: Joi.number().integer().min(1).max(52).default(12),
+  oldest: Joi.number().integer().min(1).max(50).default(5),
+});
+
+const burndownQuerySchema = Joi.object({
+  milestone: Joi.string().trim(), // optional
+  from: Joi.date().iso(), // optional
+  to: Joi.date().iso(), // optional
+  format: Joi.string().lowercase().valid('json', 'csv').default('json'),
+});
+
+router.get(
+  '/project/:projectId/stats',
+  isLoggedIn(),
+  hasProjectPermission('project:read'),
+  validQuery(statsQuerySchema),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    res.json(await getProjectStats(req.project, req.query));
+    debugApi(`Stats for project ${projectId} read.`);
+  })
+);
+
+router.get(
+  '/project/:projectId/stats/burndown',
+  describeRoute({ contentType: ['application/json', 'text/csv'] }),
+  isLoggedIn(),
+  hasProjectPermission('project:read'),
+  validQuery(burndownQuerySchema),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const { milestone: milestoneId, format } = req.query;
+
+    // default to the span of the milestone, or else the last 30 days
+    let from = req.query.from && toDay(req.query.from);
+    let to = req.query.to && toDay(req.query.to);
+    if (milestoneId) {
+      const milestone = getCategory(req.project, 'milestone', milestoneId);
+      if (!milestone) {
+        throw notFound('Milestone', milestoneId);
+      }
+      from = from || toDay(milestone.createdOn);
+      to = to || toDay(milestone.dueDate || Date.now());
+    }
+    to = to || toDay(Date.now());
+    from = from || addDays(to, -29);
+
+    if (from > to || addDays(from, maxBurndownDays) <= to) {
+      throw badRequest(
+        'invalid_range',
+        `The range must run forwards, and cover at most ${maxBurndownDays} days.`,
+        { from, to }
+      );
+    }
+
+    const rows = await getBurndown(projectId, { milestoneId, from, to });
+    if (format === 'csv') {
+      res.attachment(`burndown-${projectId}.csv`);
+      res.type('text/csv');
+      res.send(toCsv(rows, ['date', 'created', 'resolved', 'open', 'ideal']));
+    } else {
+      res.json({ projectId, milestoneId: milestoneId || null, from, to, rows });
+    }
+    debugApi(`Burndown for project ${projectId} read.`);
+  })
+);
+
+export default router;
@@ -0,0 +1,164 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import _ from 'lodash';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { Issues, IssueComments, Trash } from '../../core/db.js';
+import { defineListQuery } from '../../core/listQuery.js';
+import { recordHistory } from '../../core/history.js';
+import { restoreIssue, restoreComment, purgeItem } from '../../core/trash.js';
+import { badRequest, notFound } from '../../core/errors.js';
+
+const debugApi = debug('app:api:trash');
+const router = express.Router();
+
+const trashListQuery = defineListQuery({
+  filters: {
+    type: 'type',
+    issueId: 'issueId',
+    deletedBy: 'deletedBy.userId',
+  },
+  ranges: { deleted: 'deletedOn' },
+  sortFields: ['deletedOn', 'createdOn'],
+  defaultSortBy: 'deletedOn',
+  defaultSortDir: 'desc',
+});
+
+router.get(
+  '/project/:projectId/trash/list',
+  isLoggedIn(),
+  hasProjectPermission('trash:manage'),
+  validQuery(trashListQuery.schema),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const { pageSize, continuationToken } = req.query;
+    const query = trashListQuery.toQuery(req.query);
+    const page = await Trash.getPageForProject(
+      projectId,
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json(page);
+    debugApi(`Trash for project ${projectId} read.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/trash/issue/:issueId/restore',
+  isLoggedIn(),
+  hasProjectPermission('trash:manage'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId } = req.params;
+    const issue = await Issues.getById(projectId, issueId, true);
+    if (!issue || !issue.deletedOn) {
+      throw notFound('Issue', issueId, 'Issue not found in trash.');
+    }
+
+    const before = _.cloneDeep(issue);
+    const resource = await restoreIssue(issue);
+    await recordHistory('Issue', 'update', before, resource, req.auth);
+    res.json({ message: 'Issue restored.', id: issueId, resource });
+    debugApi(`Issue ${issueId} restored.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/trash/issue/:issueId/comment/:commentId/restore',
+  isLoggedIn(),
+  hasProjectPermission('trash:manage'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, commentId } = req.params;
+    const comment = await IssueComments.getById(
+      projectId,
+      issueId,
+      commentId,
+      true
+    );
+    if (!comment || !comment.deletedOn) {
+      throw notFound('Comment', commentId, 'Comment not found in trash.');
+    }
+    if (
+      comment.deletedWithIssue ||
+      !(await Issues.getById(projectId, issueId))
+    ) {
+      throw badRequest(
+        'issue_in_trash',
+        'The issue is in the trash, restore the issue first.',
+        { id: commentId, issueId }
+      );
+    }
+
+    const before = _.cloneDeep(comment);
+    const resource = await restoreComment(comment);
+    await recordHistory('Comment', 'update', before, resource, req.auth);
+    res.json({ message: 'Comment restored.', id: commentId, resource });
+    debugApi(`Comment ${commentId} restored.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/trash/issue/:issueId',
+  isLoggedIn(),
+  hasProjectPermission('trash:manage'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId } = req.params;
+    const issue = await Issues.getById(projectId, issueId, true);
+    if (!issue || !issue.deletedOn) {
+      throw notFound('Issue', issueId, 'Issue not found in trash.');
+    }
+
+    await purgeItem(issue);
+    res.json({ message: 'Issue permanently deleted.', id: issueId });
+    debugApi(`Issue ${issueId} purged.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/trash/issue/:issueId/comment/:commentId',
+  isLoggedIn(),
+  hasProjectPermission('trash:manage'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId, commentId } = req.params;
+    const comment = await IssueComments.getById(
+      projectId,
+      issueId,
+      commentId,
+      true
+    );
+    if (!comment || !comment.deletedOn) {
+      throw notFound('Comment', commentId, 'Comment not found in trash.');
+    }
+
+    await purgeItem(comment);
+    res.json({ message: 'Comment permanently deleted.', id: commentId });
+    debugApi(`Comment ${commentId} purged.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/trash',
+  isLoggedIn(),
+  hasProjectPermission('trash:manage'),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const items = await Trash.getAllForProject(projectId);
+    // issues first, as purging an issue also purges its comments
+    const purgedIssueIds = new Set();
+    for (const item of _.sortBy(items, (item) => item.type !== 'Issue')) {
+      if (item.type === 'Comment' && purgedIssueIds.has(item.issueId)) {
+        continue;
+      }
+      await purgeItem(item);
+      if (item.type === 'Issue') {
+        purgedIssueIds.add(item.issueId);
+      }
+    }
+    res.json({ message: 'Trash emptied.', id: projectId, count: items.length });
+    debugApi(`Trash for project ${projectId} emptied.`);
+  })
+);
+
+export default router;
@@ -0,0 +1,140 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import _ from 'lodash';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { Issues, Watches } from '../../core/db.js';
+import { toWatchId, getRecipients } from '../../core/notifications.js';
+import { notFound } from '../../core/errors.js';
+
+const debugApi = debug('app:api:watch');
+const router = express.Router();
+
+/**
+ * Set whether a user is watching an issue, or the whole project.
+ * @param {string} projectId
+ * @param {string|null} issueId null for the project
+ * @param {boolean} watching
+ * @param {any} auth
+ * @returns {Promise<any>} the watch
+ */
+async function setWatch(projectId, issueId, watching, auth) {
+  const watchId = toWatchId(auth.userId, issueId);
+  const watch = await Watches.getById(projectId, watchId);
+  if (watch) {
+    watch.watching = watching;
+    watch.lastUpdatedOn = new Date();
+    return await Watches.replace(projectId, watchId, watch);
+  } else {
+    return await Watches.add({
+      id: watchId,
+      projectId,
+      issueId: issueId || undefined,
+      userId: auth.userId,
+      watching,
+      createdOn: new Date(),
+      createdBy: _.pick(auth, 'userId', 'email'),
+    });
+  }
+}
+
+router.get(
+  '/project/:projectId/watch',
+  isLoggedIn(),
+  hasProjectPermission('project:read'),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const watch = await Watches.getById(projectId, toWatchId(req.auth.userId));
+    res.json({ projectId, watching: Boolean(watch) });
+  })
+);
+
+router.put(
+  '/project/:projectId/watch',
+  isLoggedIn(),
+  hasProjectPermission('project:read'),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const watch = await setWatch(projectId, null, true, req.auth);
+    res.json({ message: 'Watching project.', id: projectId, resource: watch });
+    debugApi(`User ${req.auth.userId} watching project ${projectId}.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/watch',
+  isLoggedIn(),
+  hasProjectPermission('project:read'),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const watchId = toWatchId(req.auth.userId);
+    if (await Watches.getById(projectId, watchId)) {
+      await Watches.remove(projectId, watchId);
+    }
+    res.json({ message: 'Stopped watching project.', id: projectId });
+    debugApi(`User ${req.auth.userId} stopped watching project ${projectId}.`);
+  })
+);
+
+router.get(
+  '/project/:projectId/issue/:issueId/watch',
+  isLoggedIn(),
+  hasProjectPermission('issue:read'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId } = req.params;
+    const issue = await Issues.getById(projectId, issueId);
+    if (!issue) {
+      throw notFound('Issue', issueId);
+    }
+
+    const watches = await Watches.getAllForProject(projectId);
+    const recipients = getRecipients(issue, watches, [
+      _.get(issue, 'assignedTo.userId'),
+    ]);
+    const reason = recipients.get(req.auth.userId) || null;
+    res.json({ projectId, issueId, watching: Boolean(reason), reason });
+  })
+);
+
+router.put(
+  '/project/:projectId/issue/:issueId/watch',
+  isLoggedIn(),
+  hasProjectPermission('issue:read'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId } = req.params;
+    const issue = await Issues.getById(projectId, issueId);
+    if (!issue) {
+      throw notFound('Issue', issueId);
+    }
+
+    const watch = await setWatch(projectId, issueId, true, req.auth);
+    res.json({ message: 'Watching issue.', id: issueId, resource: watch });
+    debugApi(`User ${req.auth.userId} watching issue ${issueId}.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/issue/:issueId/watch',
+  isLoggedIn(),
+  hasProjectPermission('issue:read'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, issueId } = req.params;
+    const issue = await Issues.getById(projectId, issueId);
+    if (!issue) {
+      throw notFound('Issue', issueId);
+    }
+
+    // kept, rather than removed, so that users can also stop being notified
+    // of the issues that they created or that are assigned to them
+    const watch = await setWatch(projectId, issueId, false, req.auth);
+    res.json({
+      message: 'Stopped watching issue.',
+      id: issueId,
+      resource: watch,
+    });
+    debugApi(`User ${req.auth.userId} stopped watching issue ${issueId}.`);
+  })
+);
+
+export default router;
@@ -0,0 +1,230 @@
+import express from 'express';
+import asyncCatch from 'express-async-catch';
+import debug from 'debug';
+import { nanoid } from 'nanoid';
+import _ from 'lodash';
+import Joi from 'joi';
+import { isLoggedIn } from '../../middleware/isLoggedIn.js';
+import { validBody } from '../../middleware/validBody.js';
+import { validQuery } from '../../middleware/validQuery.js';
+import { hasProjectPermission } from '../../middleware/hasProjectPermission.js';
+import { describeRoute } from '../../middleware/describeRoute.js';
+import { Webhooks, WebhookDeliveries } from '../../core/db.js';
+import { defineListQuery } from '../../core/listQuery.js';
+import { eventNames } from '../../core/events.js';
+import { removeWebhook } from '../../core/cascade.js';
+import {
+  newSecret,
+  toPublicWebhook,
+  deliver,
+  checkWebhookUrl,
+} from '../../core/webhooks.js';
+import { resultOf } from '../../core/openapi.js';
+import { notFound } from '../../core/errors.js';
+import { checkIfMatch, setETag, isPreconditionError } from '../../core/etag.js';
+
+const debugApi = debug('app:api:webhook');
+const router = express.Router();
+
+const webhookSchema = Joi.object({
+  url: Joi.string()
+    .trim()
+    .uri({ scheme: ['http', 'https'] })
+    .required(),
+  events: Joi.array()
+    .items(Joi.string().valid('*', ...eventNames))
+    .min(1)
+    .unique()
+    .required(),
+  secret: Joi.string().min(16), // optional, generated if not provided
+  active: Joi.boolean().default(true),
+});
+
+// leaving out "active" keeps the webhook as it is, rather than turning it on
+const webhookUpdateSchema = webhookSchema.keys({
+  active: Joi.boolean(), // optional
+});
+
+/**
+ * Remove the secret from the webhook attached to a 412 error,
+ * so that it is never sent back to the client.
+ * @param {Error} err
+ * @returns {Error}
+ */
+function toPublicError(err) {
+  const resource = isPreconditionError(err) && _.get(err, 'fields.resource');
+  if (resource) {
+    err.fields.resource = toPublicWebhook(resource);
+  }
+  return err;
+}
+
+const deliveryListQuery = defineListQuery({
+  filters: { event: 'event', status: 'status' },
+  ranges: { created: 'createdOn' },
+  sortFields: ['createdOn'],
+  defaultSortBy: 'createdOn',
+  defaultSortDir: 'desc',
+});
+
+router.get(
+  '/project/:projectId/webhook/list',
+  describeRoute({ response: Joi.array().items(Joi.object()) }),
+  isLoggedIn(),
+  hasProjectPermission('webhook:manage'),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const webhooks = await Webhooks.getAllForProject(projectId);
+    res.json(webhooks.map(toPublicWebhook));
+    debugApi(`All webhooks for project ${projectId} read.`);
+  })
+);
+
+router.get(
+  '/project/:projectId/webhook/:webhookId',
+  isLoggedIn(),
+  hasProjectPermission('webhook:manage'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, webhookId } = req.params;
+    const webhook = await Webhooks.getById(projectId, webhookId);
+    if (!webhook) {
+      throw notFound('Webhook', webhookId);
+    }
+    setETag(res, webhook);
+    res.json(toPublicWebhook(webhook));
+    debugApi(`Webhook ${webhookId} read.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/webhook/new',
+  isLoggedIn(),
+  hasProjectPermission('webhook:manage'),
+  validBody(webhookSchema),
+  asyncCatch(async (req, res, next) => {
+    const projectId = req.params.projectId;
+    const webhookId = nanoid();
+
+    const now = new Date();
+    const newWebhook = req.body;
+    await checkWebhookUrl(newWebhook.url);
+    newWebhook.id = webhookId;
+    newWebhook.projectId = projectId;
+    newWebhook.secret = newWebhook.secret || newSecret();
+    newWebhook.createdOn = now;
+    newWebhook.createdBy = _.pick(req.auth, 'userId', 'email');
+
+    const resource = await Webhooks.add(newWebhook);
+    // the secret is only sent back when the webhook is created
+    res.json({ message: 'Webhook created.', id: webhookId, resource });
+    debugApi(`Webhook ${webhookId} created.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/webhook/:webhookId',
+  isLoggedIn(),
+  hasProjectPermission('webhook:manage'),
+  validBody(webhookUpdateSchema),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, webhookId } = req.params;
+    const webhookData = req.body;
+    const webhook = await Webhooks.getById(projectId, webhookId);
+    if (!webhook) {
+      throw notFound('Webhook', webhookId);
+    }
+
+    const etag = webhook._etag;
+    try {
+      checkIfMatch(req, webhook);
+    } catch (err) {
+      throw toPublicError(err);
+    }
+    await checkWebhookUrl(webhookData.url);
+    for (const key in webhookData) {
+      webhook[key] = webhookData[key];
+    }
+
+    const now = new Date();
+    webhook.lastUpdatedOn = now;
+    webhook.lastUpdatedBy = _.pick(req.auth, 'userId', 'email');
+
+    const resource = await Webhooks.replace(
+      projectId,
+      webhookId,
+      webhook,
+      etag
+    ).catch((err) => {
+      throw toPublicError(err);
+    });
+    setETag(res, resource);
+    res.json({
+      message: 'Webhook updated.',
+      id: webhookId,
+      resource: toPublicWebhook(resource),
+    });
+    debugApi(`Webhook ${webhookId} updated.`);
+  })
+);
+
+router.delete(
+  '/project/:projectId/webhook/:webhookId',
+  isLoggedIn(),
+  hasProjectPermission('webhook:manage'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, webhookId } = req.params;
+    const webhook = await Webhooks.getById(projectId, webhookId);
+    if (!webhook) {
+      throw notFound('Webhook', webhookId);
+    }
+
+    await removeWebhook(projectId, webhookId);
+    res.json({ message: 'Webhook removed.', id: webhookId });
+    debugApi(`Webhook ${webhookId} removed.`);
+  })
+);
+
+router.put(
+  '/project/:projectId/webhook/:webhookId/ping',
+  describeRoute({ response: resultOf(Joi.object()) }),
+  isLoggedIn(),
+  hasProjectPermission('webhook:manage'),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, webhookId } = req.params;
+    const webhook = await Webhooks.getById(projectId, webhookId);
+    if (!webhook) {
+      throw notFound('Webhook', webhookId);
+    }
+
+    const delivery = await deliver(webhook, 'ping', {
+      projectId,
+      sentOn: new Date(),
+      sentBy: _.pick(req.auth, 'userId', 'email'),
+    });
+    res.json({ message: 'Ping queued.', id: delivery.id, resource: delivery });
+    debugApi(`Webhook ${webhookId} pinged.`);
+  })
+);
+
+router.get(
+  '/project/:projectId/webhook/:webhookId/delivery/list',
+  isLoggedIn(),
+  hasProjectPermission('webhook:manage'),
+  validQuery(deliveryListQuery.schema),
+  asyncCatch(async (req, res, next) => {
+    const { projectId, webhookId } = req.params;
+    const { pageSize, continuationToken } = req.query;
+    const query = deliveryListQuery.toQuery(req.query);
+    const page = await WebhookDeliveries.getPageForWebhook(
+      projectId,
+      webhookId,
+      query,
+      pageSize,
+      continuationToken
+    );
+    res.json(page);
+    debugApi(`Deliveries for webhook ${webhookId} read.`);
+  })
+);
+
+export default router;
@@ -6,43 +6,124 @@ import config from 'config';
 import debug from 'debug';
 import { authMiddleware } from '@merlin4/express-auth';
 import { cacheMaxAge } from './middleware/cacheMaxAge.js';
+import { checkSession } from './middleware/checkSession.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { requestId } from './middleware/requestId.js';
+import { validResponses } from './middleware/validResponses.js';
 //import cosmos from './core/cosmos.js';
 import authApi from './routes/api/auth.js';
 import projectApi from './routes/api/project.js';
 import issueApi from './routes/api/issue.js';
 import commentApi from './routes/api/comment.js';
+import memberApi from './routes/api/member.js';
+import historyApi from './routes/api/history.js';
+import searchApi from './routes/api/search.js';
+import webhookApi from './routes/api/webhook.js';
+import adminApi from './routes/api/admin.js';
+import trashApi from './routes/api/trash.js';
+import attachmentApi from './routes/api/attachment.js';
+import categoryApi from './routes/api/category.js';
+import linkApi from './routes/api/link.js';
+import statsApi from './routes/api/stats.js';
+import importExportApi from './routes/api/importExport.js';
+import liveApi from './routes/api/live.js';
+import watchApi from './routes/api/watch.js';
+import notificationApi from './routes/api/notification.js';
+import mentionApi from './routes/api/mention.js';
+import openApi from './routes/api/openapi.js';
+import { migrateProjectMembers } from './core/migrations.js';
+import { startWebhooks } from './core/webhooks.js';
+import { resumeJobs } from './core/jobs.js';
+import { startTrashPurge } from './core/trash.js';
+import { startLoginThrottleCleanup } from './core/loginThrottle.js';
+import { startLiveUpdates } from './core/liveUpdates.js';
+import { startNotifications } from './core/notifications.js';
+import { createOpenApi } from './core/openapi.js';
+import { ApiError, toProblem } from './core/errors.js';
+import { addRequestIdToDebug } from './core/requestContext.js';
 
 // create debug channels
+addRequestIdToDebug();
 const debugStartup = debug('app:startup');
 const debugError = debug('app:error');
 
 // create and configure app
 const app = express();
+app.use(requestId());
 app.use(helmet());
-app.use(cors());
-app.use(morgan('tiny'));
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+morgan.token('id', (req) => req.id);
+app.use(
+  morgan('[:id] :method :url :status :res[content-length] - :response-time ms')
+);
 app.use(express.json());
 app.use(authMiddleware(config.get('auth.tokenSecretKey')));
+app.use(checkSession());
+app.use('/api', rateLimit(config.get('rateLimit')));
 app.use(cacheMaxAge(config.get('cache.maxAgeInSeconds')))
 
-// routes
+// routes, keyed by their tag in the OpenAPI document
+const apiRouters = {
+  project: projectApi,
+  issue: issueApi,
+  auth: authApi,
+  comment: commentApi,
+  member: memberApi,
+  history: historyApi,
+  search: searchApi,
+  webhook: webhookApi,
+  admin: adminApi,
+  trash: trashApi,
+  attachment: attachmentApi,
+  category: categoryApi,
+  link: linkApi,
+  stats: statsApi,
+  importExport: importExportApi,
+  live: liveApi,
+  watch: watchApi,
+  notification: notificationApi,
+  mention: mentionApi,
+  openapi: openApi,
+};
+app.locals.openApi = createOpenApi(apiRouters);
+if (app.get('env') === 'development') {
+  app.use('/api', validResponses(app.locals.openApi));
+}
 app.get('/', (req, res) => res.json({ message: 'Server Running.' }));
 app.get('/ping', (req, res) => res.json({ message: 'Ping.', now: new Date() }));
-app.use('/api', projectApi);
-app.use('/api', issueApi);
-app.use('/api', authApi);
-app.use('/api', commentApi);
+for (const router of Object.values(apiRouters)) {
+  app.use('/api', router);
+}
 
 // error handlers
 app.use((req, res, next) => {
-  res.status(404).json({ message: 'Route not found.' });
+  next(new ApiError(404, 'route_not_found', 'Route not found.'));
 });
 app.use((err, req, res, next) => {
-  debugError(err);
-  res.status(err.status || 500).json({ message: err.message });
+  if (res.headersSent) {
+    return next(err);
+  }
+  const { status, headers, body } = toProblem(err, req);
+  if (status >= 500) {
+    debugError(err);
+  } else {
+    debugError(`${status} ${body.code}: ${body.detail}`);
+  }
+  if (status === 412 && body.resource) {
+    // send the current version, so the client can merge their changes
+    headers.ETag = body.resource._etag;
+  }
+  res.status(status).set(headers).type('application/problem+json').json(body);
 });
 
 // start app
+await migrateProjectMembers();
+await startWebhooks();
+startNotifications();
+await resumeJobs();
+startTrashPurge();
+startLoginThrottleCleanup();
+startLiveUpdates();
 const host = config.get('http.host');
 const port = config.get('http.port');
 app.listen(port, () =>
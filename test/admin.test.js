@@ -0,0 +1,137 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+const adminEmail = 'admin@example.com';
+
+let server;
+let api;
+let admin;
+
+before(async () => {
+  server = await startServer({
+    AUTH_ADMIN_EMAILS: JSON.stringify([adminEmail]),
+  });
+  api = createClient(server.baseUrl);
+  admin = await api.register(adminEmail);
+});
+
+after(() => server && server.stop());
+
+/**
+ * Log in as a user.
+ * @param {any} user
+ */
+function login(user) {
+  return api.request('POST', '/auth/login', {
+    body: { email: user.email, password: 'password1' },
+  });
+}
+
+test('only admins can manage users', async () => {
+  const user = await api.register();
+  const res = await api.request('GET', '/admin/user/list', {
+    token: user.token,
+  });
+  assert.equal(res.status, 403);
+
+  const own = await api.request('PUT', `/admin/user/${admin.userId}/disable`, {
+    token: admin.token,
+    body: {},
+  });
+  assert.equal(own.status, 400, JSON.stringify(own.body));
+});
+
+test('disabled users cannot log in until they are enabled', async () => {
+  const user = await api.register();
+  const disabled = await api.request(
+    'PUT',
+    `/admin/user/${user.userId}/disable`,
+    { token: admin.token, body: { reason: 'Spam.' } }
+  );
+  assert.equal(disabled.status, 200, JSON.stringify(disabled.body));
+  assert.equal(disabled.body.resource.disabledReason, 'Spam.');
+
+  // their sessions are ended, too
+  const me = await api.request('GET', '/auth/me', { token: user.token });
+  assert.equal(me.status, 401);
+  const refused = await login(user);
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.code, 'account_disabled');
+
+  const list = await api.request('GET', '/admin/user/list?disabled=true', {
+    token: admin.token,
+  });
+  assert.deepEqual(
+    list.body.items.map((x) => x.userId),
+    [user.userId]
+  );
+
+  const enabled = await api.request(
+    'PUT',
+    `/admin/user/${user.userId}/enable`,
+    { token: admin.token }
+  );
+  assert.equal(enabled.status, 200, JSON.stringify(enabled.body));
+  assert.equal((await login(user)).status, 200);
+});
+
+test('users never disabled are listed as enabled', async () => {
+  const user = await api.register();
+  const res = await api.request(
+    'GET',
+    `/admin/user/list?disabled=false&q=${encodeURIComponent(user.email)}`,
+    { token: admin.token }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(
+    res.body.items.map((x) => x.userId),
+    [user.userId]
+  );
+});
+
+test('admins can change the role of a user', async () => {
+  const user = await api.register();
+  const res = await api.request('PUT', `/admin/user/${user.userId}/role`, {
+    token: admin.token,
+    body: { role: 'admin' },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.resource.role, 'admin');
+
+  const relogin = await login(user);
+  const list = await api.request('GET', '/admin/user/list?role=admin', {
+    token: relogin.body.token,
+  });
+  assert.equal(list.status, 200, JSON.stringify(list.body));
+  assert.deepEqual(
+    list.body.items.map((x) => x.email).sort(),
+    [adminEmail, user.email].sort()
+  );
+});
+
+test('deleting a user hands their projects over to another', async () => {
+  const user = await api.register();
+  const project = await api.createProject(user.token);
+
+  const refused = await api.request('DELETE', `/admin/user/${user.userId}`, {
+    token: admin.token,
+  });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, 'sole_project_owner');
+
+  const res = await api.request(
+    'DELETE',
+    `/admin/user/${user.userId}?reassignToUserId=${admin.userId}`,
+    { token: admin.token }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const read = await api.request('GET', `/project/${project.projectId}`, {
+    token: admin.token,
+  });
+  assert.equal(read.status, 200, JSON.stringify(read.body));
+  assert.deepEqual(
+    read.body.members.map((member) => [member.userId, member.role]),
+    [[admin.userId, 'owner']]
+  );
+});
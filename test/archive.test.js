@@ -0,0 +1,145 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let owner;
+let project;
+let issue;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  owner = await api.register();
+  project = await api.createProject(owner.token, { title: 'Old project' });
+  issue = await api.createIssue(owner.token, project.projectId);
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/archive`,
+    { token: owner.token }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+});
+
+after(() => server && server.stop());
+
+/**
+ * The routes that may still change an archived project:
+ * archiving, restoring and deleting it.
+ * Watches are also allowed, as they are the user's own settings,
+ * rather than part of the project.
+ */
+const allowedRoutes = [
+  'PUT /api/project/{projectId}/archive',
+  'PUT /api/project/{projectId}/restore',
+  'DELETE /api/project/{projectId}',
+  'PUT /api/project/{projectId}/watch',
+  'DELETE /api/project/{projectId}/watch',
+  'PUT /api/project/{projectId}/issue/{issueId}/watch',
+  'DELETE /api/project/{projectId}/issue/{issueId}/watch',
+];
+
+test('archived projects are hidden from the project list', async () => {
+  const list = await api.request('GET', '/project/list', {
+    token: owner.token,
+  });
+  assert.deepEqual(list.body.items, []);
+  const archived = await api.request('GET', '/project/list?archived=true', {
+    token: owner.token,
+  });
+  assert.deepEqual(
+    archived.body.items.map((x) => x.projectId),
+    [project.projectId]
+  );
+});
+
+test('every route that changes a project is refused once it is archived', async () => {
+  const doc = await api.request('GET', '/openapi.json');
+  const routes = [];
+  for (const [path, operations] of Object.entries(doc.body.paths)) {
+    for (const method of Object.keys(operations)) {
+      const route = `${method.toUpperCase()} ${path}`;
+      if (
+        method !== 'get' &&
+        path.startsWith('/api/project/{projectId}') &&
+        !allowedRoutes.includes(route)
+      ) {
+        routes.push(route);
+      }
+    }
+  }
+  assert.ok(routes.length > 30, `only ${routes.length} routes found`);
+
+  const allowed = [];
+  for (const route of routes) {
+    const [method, path] = route.split(' ');
+    const url = path
+      .replace(/^\/api/, '')
+      .replace('{projectId}', project.projectId)
+      .replace('{issueId}', issue.issueId)
+      .replace(/\{\w+\}/g, 'x');
+    const res = await api.request(method, url, {
+      token: owner.token,
+      body: {},
+    });
+    if (res.status !== 409 || res.body.code !== 'project_archived') {
+      allowed.push(`${route} ${res.status}`);
+    }
+  }
+  assert.deepEqual(allowed, []);
+});
+
+test('a restored project can be changed again', async () => {
+  const restored = await api.request(
+    'PUT',
+    `/project/${project.projectId}/restore`,
+    { token: owner.token }
+  );
+  assert.equal(restored.status, 200);
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/issue/new`,
+    {
+      token: owner.token,
+      body: { title: 'New', description: 'A new issue.', priority: 'low' },
+    }
+  );
+  assert.equal(res.status, 200);
+});
+
+test('deleting a project removes it in a background job', async () => {
+  const doomed = await api.createProject(owner.token, { title: 'Doomed' });
+  const doomedIssue = await api.createIssue(owner.token, doomed.projectId);
+  const res = await api.request('DELETE', `/project/${doomed.projectId}`, {
+    token: owner.token,
+  });
+  assert.equal(res.status, 202, JSON.stringify(res.body));
+
+  let job;
+  for (let i = 0; i < 50; i++) {
+    const read = await api.request(
+      'GET',
+      `/project/${doomed.projectId}/job/${res.body.jobId}`,
+      { token: owner.token }
+    );
+    assert.equal(read.status, 200, JSON.stringify(read.body));
+    job = read.body;
+    if (job.status === 'succeeded' || job.status === 'failed') {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  assert.equal(job.status, 'succeeded');
+
+  const project = await api.request('GET', `/project/${doomed.projectId}`, {
+    token: owner.token,
+  });
+  assert.equal(project.status, 404);
+  const issue = await api.request(
+    'GET',
+    `/project/${doomed.projectId}/issue/${doomedIssue.issueId}`,
+    { token: owner.token }
+  );
+  assert.equal(issue.status, 404);
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startServer, createClient } from './helpers.js';
+
+let dir;
+let server;
+let api;
+let owner;
+let reporter;
+let issue;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'issue-tracker-'));
+  server = await startServer({
+    ATTACHMENT_STORAGE_DIR: dir,
+    ATTACHMENT_MAX_SIZE: '1024',
+  });
+  api = createClient(server.baseUrl);
+  owner = await api.register();
+  reporter = await api.register();
+  const project = await api.createProject(owner.token);
+  issue = await api.createIssue(owner.token, project.projectId);
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/member/new`,
+    { token: owner.token, body: { email: reporter.email, role: 'reporter' } }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const attachmentsPath = () =>
+  `/project/${issue.projectId}/issue/${issue.issueId}/attachment`;
+
+/**
+ * Upload a file to the issue.
+ * @param {any} user
+ * @param {string} fileName
+ * @param {string|Buffer} data
+ * @param {string} type the type that the client claims
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+async function upload(user, fileName, data, type = 'text/plain') {
+  const form = new FormData();
+  form.append('file', new Blob([data], { type }), fileName);
+  const res = await fetch(`${server.baseUrl}/api${attachmentsPath()}/new`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${user.token}` },
+    body: form,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+/**
+ * List the files kept in the attachment storage.
+ * @returns {Promise<string[]>}
+ */
+async function listStoredFiles() {
+  const entries = await fs.readdir(dir, {
+    recursive: true,
+    withFileTypes: true,
+  });
+  return entries.filter((entry) => entry.isFile()).map((entry) => entry.name);
+}
+
+test('files are uploaded, downloaded and deleted', async () => {
+  const uploaded = await upload(reporter, '../notes.txt', 'Some notes.');
+  assert.equal(uploaded.status, 200, JSON.stringify(uploaded.body));
+  const attachment = uploaded.body.resource;
+  assert.equal(attachment.fileName, 'notes.txt');
+  assert.equal(attachment.size, 11);
+  assert.deepEqual(await listStoredFiles(), [attachment.id]);
+
+  const res = await fetch(
+    `${server.baseUrl}/api${attachmentsPath()}/${attachment.id}/download`,
+    { headers: { Authorization: `Bearer ${owner.token}` } }
+  );
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /^attachment;/);
+  assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+  assert.equal(await res.text(), 'Some notes.');
+
+  const deleted = await api.request(
+    'DELETE',
+    `${attachmentsPath()}/${attachment.id}`,
+    { token: reporter.token }
+  );
+  assert.equal(deleted.status, 200, JSON.stringify(deleted.body));
+  assert.deepEqual(await listStoredFiles(), []);
+});
+
+test('only their author or a moderator can delete an attachment', async () => {
+  const uploaded = await upload(owner, 'owner.txt', 'The owner.');
+  const refused = await api.request(
+    'DELETE',
+    `${attachmentsPath()}/${uploaded.body.id}`,
+    { token: reporter.token }
+  );
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.code, 'not_attachment_author');
+});
+
+test('files that are too large, or of a type not allowed, are refused', async () => {
+  const large = await upload(reporter, 'large.txt', 'x'.repeat(2048));
+  assert.equal(large.status, 413);
+  assert.equal(large.body.code, 'file_too_large');
+
+  // the type is sniffed from the contents, rather than trusted
+  const binary = await upload(
+    reporter,
+    'image.png',
+    Buffer.from([0, 1, 2, 3, 255]),
+    'image/png'
+  );
+  assert.equal(binary.status, 415, JSON.stringify(binary.body));
+  assert.equal(binary.body.code, 'file_type_not_allowed');
+});
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+});
+
+after(() => server && server.stop());
+
+/**
+ * Exchange a refresh token for new tokens.
+ * @param {string} refreshToken
+ */
+function refresh(refreshToken) {
+  return api.request('POST', '/auth/refresh', { body: { refreshToken } });
+}
+
+test('a refresh token can be exchanged once', async () => {
+  const user = await api.register();
+  const first = await refresh(user.refreshToken);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.body.sessionId, user.sessionId);
+  assert.notEqual(first.body.refreshToken, user.refreshToken);
+
+  const second = await refresh(first.body.refreshToken);
+  assert.equal(second.status, 200);
+});
+
+test('reusing a refresh token ends the session', async () => {
+  const user = await api.register();
+  const first = await refresh(user.refreshToken);
+  assert.equal(first.status, 200);
+
+  const reused = await refresh(user.refreshToken);
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'invalid_refresh_token');
+
+  // the thief's (or the owner's) newer tokens stop working too
+  const newer = await refresh(first.body.refreshToken);
+  assert.equal(newer.status, 401);
+  const me = await api.request('GET', '/auth/me', {
+    token: first.body.token,
+  });
+  assert.equal(me.status, 401);
+});
+
+test('logging out ends the session', async () => {
+  const user = await api.register();
+  const res = await api.request('POST', '/auth/logout', { token: user.token });
+  assert.equal(res.status, 200);
+  const me = await api.request('GET', '/auth/me', { token: user.token });
+  assert.equal(me.status, 401);
+  const refreshed = await refresh(user.refreshToken);
+  assert.equal(refreshed.status, 401);
+});
@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let user;
+let project;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  user = await api.register();
+  project = await api.createProject(user.token);
+});
+
+after(() => server && server.stop());
+
+/**
+ * Send a request as the user.
+ * @param {string} method
+ * @param {string} path the path under the project
+ * @param {any} body
+ */
+function send(method, path, body) {
+  return api.request(method, `/project/${project.projectId}${path}`, {
+    token: user.token,
+    body,
+  });
+}
+
+/**
+ * Define a label, component or milestone.
+ * @param {string} kind
+ * @param {any} data
+ * @returns {Promise<any>} the new category
+ */
+async function addCategory(kind, data) {
+  const res = await send('PUT', `/${kind}/new`, data);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body[kind];
+}
+
+test('issues are filtered by their labels and components', async () => {
+  const bug = await addCategory('label', { name: 'Bug', color: '#FF0000' });
+  assert.equal(bug.color, '#ff0000');
+  const ui = await addCategory('component', { name: 'UI' });
+
+  const taken = await send('PUT', '/label/new', {
+    name: 'bug',
+    color: '#00ff00',
+  });
+  assert.equal(taken.status, 400);
+  assert.equal(taken.body.code, 'name_taken');
+
+  const tagged = await api.createIssue(user.token, project.projectId, {
+    title: 'Tagged',
+    labelIds: [bug.id],
+    componentId: ui.id,
+  });
+  await api.createIssue(user.token, project.projectId, { title: 'Plain' });
+
+  for (const query of [`label=${bug.id}`, `component=${ui.id}`]) {
+    const list = await send('GET', `/issue/list?${query}`);
+    assert.deepEqual(
+      list.body.items.map((issue) => issue.issueId),
+      [tagged.issueId],
+      query
+    );
+  }
+
+  const unknown = await send('PUT', '/issue/new', {
+    title: 'Unknown',
+    description: 'An issue.',
+    priority: 'low',
+    labelIds: ['nonsense'],
+  });
+  assert.equal(unknown.status, 400, JSON.stringify(unknown.body));
+});
+
+test('deleting a label removes it from its issues', async () => {
+  const label = await addCategory('label', { name: 'Temp', color: '#0000ff' });
+  const issue = await api.createIssue(user.token, project.projectId, {
+    labelIds: [label.id],
+  });
+
+  const res = await send('DELETE', `/label/${label.id}`);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const read = await send('GET', `/issue/${issue.issueId}`);
+  assert.deepEqual(read.body.labelIds, []);
+});
+
+test('milestones are listed soonest first, with their progress', async () => {
+  const later = await addCategory('milestone', {
+    name: 'Later',
+    dueDate: '2031-01-01',
+  });
+  const sooner = await addCategory('milestone', {
+    name: 'Sooner',
+    dueDate: '2030-01-01',
+  });
+  const issues = [];
+  for (let i = 0; i < 4; i++) {
+    issues.push(
+      await api.createIssue(user.token, project.projectId, {
+        milestoneId: sooner.id,
+      })
+    );
+  }
+  // resolved and closed issues both count toward the progress
+  for (const [issue, status] of [
+    [issues[0], 'resolved'],
+    [issues[1], 'closed'],
+  ]) {
+    const res = await send('PUT', `/issue/${issue.issueId}/status`, {
+      status,
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+  }
+
+  const list = await send('GET', '/milestone/list');
+  assert.deepEqual(
+    list.body.map((milestone) => [milestone.id, milestone.progress]),
+    [
+      [sooner.id, { closed: 2, total: 4, percent: 50 }],
+      [later.id, { closed: 0, total: 0, percent: 0 }],
+    ]
+  );
+});
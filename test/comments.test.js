@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let owner;
+let project;
+let issue;
+const members = {};
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  owner = await api.register();
+  project = await api.createProject(owner.token);
+  issue = await api.createIssue(owner.token, project.projectId);
+  for (const role of ['maintainer', 'reporter', 'viewer']) {
+    members[role] = await api.register();
+    const res = await api.request(
+      'PUT',
+      `/project/${project.projectId}/member/new`,
+      { token: owner.token, body: { email: members[role].email, role } }
+    );
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+  }
+});
+
+after(() => server && server.stop());
+
+const commentsPath = () =>
+  `/project/${project.projectId}/issue/${issue.issueId}/comment`;
+
+/**
+ * Post a comment on the issue.
+ * @param {any} user
+ * @param {string} text
+ * @returns {Promise<any>} the comment
+ */
+async function addComment(user, text) {
+  const res = await api.request('PUT', `${commentsPath()}/new`, {
+    token: user.token,
+    body: { text },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.resource;
+}
+
+/**
+ * Delete a comment.
+ * @param {any} user
+ * @param {any} comment
+ */
+function deleteComment(user, comment) {
+  return api.request('DELETE', `${commentsPath()}/${comment.id}`, {
+    token: user.token,
+  });
+}
+
+test('comments are rendered from Markdown, and edits are kept', async () => {
+  const comment = await addComment(members.reporter, 'Some **bold** text.');
+  assert.match(comment.html, /<strong>bold<\/strong>/);
+
+  const res = await api.request('PUT', `${commentsPath()}/${comment.id}`, {
+    token: members.reporter.token,
+    body: { text: 'Some <script>alert(1)</script> text.' },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.resource.edited, true);
+  assert.equal(res.body.resource.edits[0].text, 'Some **bold** text.');
+  assert.doesNotMatch(res.body.resource.html, /<script>/);
+
+  const other = await api.request('PUT', `${commentsPath()}/${comment.id}`, {
+    token: members.maintainer.token,
+    body: { text: 'Not my comment.' },
+  });
+  assert.equal(other.status, 403);
+});
+
+test('replies are listed under their parent comment', async () => {
+  const parent = await addComment(owner, 'A question?');
+  const res = await api.request('PUT', `${commentsPath()}/new`, {
+    token: members.reporter.token,
+    body: { text: 'An answer.', parentCommentId: parent.id },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const list = await api.request(
+    'GET',
+    `${commentsPath()}/list?parentCommentId=${parent.id}`,
+    { token: owner.token }
+  );
+  assert.deepEqual(
+    list.body.items.map((x) => x.text),
+    ['An answer.']
+  );
+});
+
+test('authors delete their own comments, and moderators any', async () => {
+  const mine = await addComment(members.reporter, 'Mine.');
+  const theirs = await addComment(owner, 'Theirs.');
+
+  const refused = await deleteComment(members.reporter, theirs);
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.code, 'not_comment_author');
+
+  assert.equal((await deleteComment(members.reporter, mine)).status, 200);
+  assert.equal((await deleteComment(members.maintainer, theirs)).status, 200);
+});
+
+test('viewers cannot delete comments', async () => {
+  const comment = await addComment(owner, 'Read only.');
+  const res = await deleteComment(members.viewer, comment);
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'permission_denied');
+});
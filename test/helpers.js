@@ -0,0 +1,174 @@
+import { spawn } from 'child_process';
+import net from 'net';
+import { fileURLToPath } from 'url';
+
+const serverPath = fileURLToPath(new URL('../server.js', import.meta.url));
+
+/**
+ * Find a free TCP port on this machine.
+ * @returns {Promise<number>}
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the API server in a child process, on the memory storage driver,
+ * so that every test file starts with an empty database.
+ * @param {Object<string, string>} env more environment variables
+ * @returns {Promise<{
+ *  baseUrl: string,
+ *  stop: () => Promise<void>,
+ *  getOutput: () => string
+ * }>} getOutput() reads what the server has written to stderr so far
+ */
+export async function startServer(env = {}) {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, [serverPath], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'development',
+      STORAGE_DRIVER: 'memory',
+      PORT: String(port),
+      RATE_LIMIT_PER_IP: '10000',
+      RATE_LIMIT_PER_USER: '10000',
+      DEBUG: '',
+      ...env,
+    },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+  let output = '';
+  child.stderr.on('data', (chunk) => (output += chunk));
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill();
+      await exited;
+    }
+  };
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) {
+      break;
+    }
+    try {
+      await fetch(`${baseUrl}/ping`);
+      return { baseUrl, stop, getOutput: () => output };
+    } catch (err) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  await stop();
+  throw new Error(`The server did not start.\n${output}`);
+}
+
+/**
+ * Create a client for the API of a server.
+ * @param {string} baseUrl
+ */
+export function createClient(baseUrl) {
+  /**
+   * Send a request to the API, and read the JSON response.
+   * @param {string} method
+   * @param {string} path the path under /api
+   * @param {{ token?: string, body?: any, headers?: any }} options
+   * @returns {Promise<{ status: number, headers: Headers, body: any }>}
+   */
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}/api${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+  }
+
+  let userCount = 0;
+
+  /**
+   * Register a new user.
+   * @param {string} email (optional) a new email is made up by default
+   * @returns {Promise<any>} the tokens of the user's session
+   */
+  async function register(
+    email = `user${++userCount}.${Date.now()}@example.com`
+  ) {
+    const res = await request('POST', '/auth/register', {
+      body: {
+        email,
+        password: 'password1',
+        givenName: 'Test',
+        familyName: 'User',
+      },
+    });
+    if (res.status !== 200) {
+      throw new Error(`Register failed: ${JSON.stringify(res.body)}`);
+    }
+    return { email, ...res.body };
+  }
+
+  /**
+   * Create a project, owned by the user.
+   * @param {string} token
+   * @param {any} data
+   * @returns {Promise<any>} the project
+   */
+  async function createProject(token, data = {}) {
+    const res = await request('PUT', '/project/new', {
+      token,
+      body: {
+        title: 'Project',
+        description: 'A project.',
+        priority: 'low',
+        ...data,
+      },
+    });
+    if (res.status !== 200) {
+      throw new Error(`Create project failed: ${JSON.stringify(res.body)}`);
+    }
+    return res.body.resource;
+  }
+
+  /**
+   * Create an issue in a project.
+   * @param {string} token
+   * @param {string} projectId
+   * @param {any} data
+   * @returns {Promise<any>} the issue
+   */
+  async function createIssue(token, projectId, data = {}) {
+    const res = await request('PUT', `/project/${projectId}/issue/new`, {
+      token,
+      body: {
+        title: 'Issue',
+        description: 'An issue.',
+        priority: 'low',
+        ...data,
+      },
+    });
+    if (res.status !== 200) {
+      throw new Error(`Create issue failed: ${JSON.stringify(res.body)}`);
+    }
+    return res.body.resource;
+  }
+
+  return { request, register, createProject, createIssue };
+}
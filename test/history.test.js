@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let user;
+let project;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  user = await api.register();
+  project = await api.createProject(user.token);
+});
+
+after(() => server && server.stop());
+
+/**
+ * List the history of an issue, oldest first.
+ * @param {any} issue
+ * @returns {Promise<any[]>}
+ */
+async function getHistory(issue) {
+  const res = await api.request(
+    'GET',
+    `/project/${issue.projectId}/issue/${issue.issueId}/history?sortDir=asc`,
+    { token: user.token }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.items;
+}
+
+test('an update records the before and after of each changed field', async () => {
+  const issue = await api.createIssue(user.token, project.projectId);
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/issue/${issue.issueId}`,
+    {
+      token: user.token,
+      body: { title: 'Issue', description: 'Changed.', priority: 'high' },
+    }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const history = await getHistory(issue);
+  assert.deepEqual(
+    history.map((entry) => entry.action),
+    ['create', 'update']
+  );
+  const { changes, changedBy } = history[1];
+  assert.deepEqual(_sortByField(changes), [
+    { field: 'description', before: 'An issue.', after: 'Changed.' },
+    { field: 'priority', before: 'low', after: 'high' },
+  ]);
+  assert.equal(changedBy.userId, user.userId);
+});
+
+test('derived fields and link bookkeeping are not recorded', async () => {
+  const issue = await api.createIssue(user.token, project.projectId);
+  const other = await api.createIssue(user.token, project.projectId);
+  const base = `/project/${project.projectId}/issue/${issue.issueId}`;
+
+  const comment = await api.request('PUT', `${base}/comment/new`, {
+    token: user.token,
+    body: { text: 'First *draft*.' },
+  });
+  assert.equal(comment.status, 200, JSON.stringify(comment.body));
+  const edit = await api.request(
+    'PUT',
+    `${base}/comment/${comment.body.resource.id}`,
+    {
+      token: user.token,
+      body: { text: 'Second *draft*.' },
+    }
+  );
+  assert.equal(edit.status, 200, JSON.stringify(edit.body));
+
+  const link = await api.request('PUT', `${base}/link/new`, {
+    token: user.token,
+    body: { type: 'relates-to', issueId: other.issueId },
+  });
+  assert.equal(link.status, 200, JSON.stringify(link.body));
+
+  const history = await getHistory(issue);
+  const updates = history.filter((entry) => entry.action === 'update');
+  assert.deepEqual(
+    updates.map((entry) => [entry.entityType, entry.changedFields]),
+    [['Comment', ['text']]]
+  );
+});
+
+/**
+ * Sort changes by their field, as the order of fields is not fixed.
+ * @param {any[]} changes
+ * @returns {any[]}
+ */
+function _sortByField(changes) {
+  return [...changes].sort((a, b) => a.field.localeCompare(b.field));
+}
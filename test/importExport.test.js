@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let user;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  user = await api.register();
+});
+
+after(() => server && server.stop());
+
+const data = {
+  issues: [
+    { externalId: 'X-1', title: 'First', description: 'One.', priority: 'low' },
+    {
+      externalId: 'X-2',
+      title: 'Second',
+      description: 'Two.',
+      priority: 'high',
+    },
+    { externalId: 'X-3', title: '', description: 'No title.', priority: 'low' },
+  ],
+  comments: [{ externalId: 'C-1', issueExternalId: 'X-1', text: 'A comment.' }],
+};
+
+/**
+ * Import data into a project.
+ * @param {string} projectId
+ * @param {any} body
+ * @param {boolean} dryRun
+ */
+function importData(projectId, body, dryRun = false) {
+  return api.request(
+    'PUT',
+    `/project/${projectId}/import${dryRun ? '?dryRun=true' : ''}`,
+    { token: user.token, body }
+  );
+}
+
+/**
+ * List the issues of a project.
+ * @param {string} projectId
+ * @returns {Promise<any[]>}
+ */
+async function listIssues(projectId) {
+  const res = await api.request(
+    'GET',
+    `/project/${projectId}/issue/list?pageSize=100`,
+    { token: user.token }
+  );
+  return res.body.items;
+}
+
+test('a dry run reports the import without changing anything', async () => {
+  const project = await api.createProject(user.token);
+  const res = await importData(project.projectId, data, true);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.dryRun, true);
+  assert.deepEqual(
+    res.body.issues.map((x) => x.action),
+    ['created', 'created', 'failed']
+  );
+  assert.equal(res.body.issues[2].row, 3);
+  assert.ok(res.body.issues[2].errors.length);
+  assert.deepEqual(
+    res.body.comments.map((x) => x.action),
+    ['created']
+  );
+  assert.equal(res.body.failed, 1);
+  assert.deepEqual(await listIssues(project.projectId), []);
+});
+
+test('importing the same rows again does not duplicate them', async () => {
+  const project = await api.createProject(user.token);
+  const first = await importData(project.projectId, data);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.deepEqual(
+    first.body.issues.map((x) => x.action),
+    ['created', 'created', 'failed']
+  );
+  assert.equal((await listIssues(project.projectId)).length, 2);
+
+  const again = await importData(project.projectId, data);
+  assert.deepEqual(
+    again.body.issues.map((x) => x.action),
+    ['unchanged', 'unchanged', 'failed']
+  );
+  assert.deepEqual(
+    again.body.comments.map((x) => x.action),
+    ['unchanged']
+  );
+
+  const changed = {
+    issues: [{ ...data.issues[1], title: 'Second, renamed' }],
+  };
+  const updated = await importData(project.projectId, changed);
+  assert.deepEqual(
+    updated.body.issues.map((x) => x.action),
+    ['updated']
+  );
+  const issues = await listIssues(project.projectId);
+  assert.equal(issues.length, 2);
+  assert.ok(issues.some((issue) => issue.title === 'Second, renamed'));
+});
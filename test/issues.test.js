@@ -0,0 +1,135 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let user;
+let project;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  user = await api.register();
+  project = await api.createProject(user.token);
+});
+
+after(() => server && server.stop());
+
+/**
+ * Change the status of an issue.
+ * @param {any} issue
+ * @param {any} body
+ */
+function changeStatus(issue, body) {
+  return api.request(
+    'PUT',
+    `/project/${issue.projectId}/issue/${issue.issueId}/status`,
+    { token: user.token, body }
+  );
+}
+
+test('an update with a stale If-Match fails with 412', async () => {
+  const issue = await api.createIssue(user.token, project.projectId);
+  const path = `/project/${project.projectId}/issue/${issue.issueId}`;
+  const update = (title, etag) =>
+    api.request('PUT', path, {
+      token: user.token,
+      body: { title, description: 'An issue.', priority: 'low' },
+      headers: { 'If-Match': etag },
+    });
+
+  const read = await api.request('GET', path, { token: user.token });
+  const etag = read.headers.get('ETag');
+  assert.equal(etag, issue._etag);
+
+  const first = await update('First', etag);
+  assert.equal(first.status, 200);
+  const second = await update('Second', etag);
+  assert.equal(second.status, 412);
+  assert.equal(second.body.code, 'precondition_failed');
+  assert.equal(second.body.resource.title, 'First');
+  assert.equal(second.headers.get('ETag'), second.body.resource._etag);
+});
+
+test('status changes follow the default workflow', async () => {
+  const issue = await api.createIssue(user.token, project.projectId);
+  assert.equal(issue.status, 'open');
+
+  const refused = await changeStatus(issue, { status: 'reopened' });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, 'invalid_transition');
+
+  for (const status of ['in-progress', 'resolved', 'closed', 'reopened']) {
+    const res = await changeStatus(issue, { status });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.resource.status, status);
+  }
+});
+
+test("status changes follow the project's own workflow", async () => {
+  const otherProject = await api.createProject(user.token);
+  const res = await api.request(
+    'PUT',
+    `/project/${otherProject.projectId}/workflow`,
+    { token: user.token, body: { transitions: { open: ['closed'] } } }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const issue = await api.createIssue(user.token, otherProject.projectId);
+  const refused = await changeStatus(issue, { status: 'in-progress' });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, 'invalid_transition');
+  const closed = await changeStatus(issue, { status: 'closed' });
+  assert.equal(closed.status, 200);
+});
+
+test('an issue cannot be resolved while a blocker is open', async () => {
+  const blocker = await api.createIssue(user.token, project.projectId);
+  const blocked = await api.createIssue(user.token, project.projectId);
+  const link = await api.request(
+    'PUT',
+    `/project/${project.projectId}/issue/${blocker.issueId}/link/new`,
+    { token: user.token, body: { type: 'blocks', issueId: blocked.issueId } }
+  );
+  assert.equal(link.status, 200, JSON.stringify(link.body));
+
+  const cycle = await api.request(
+    'PUT',
+    `/project/${project.projectId}/issue/${blocker.issueId}/link/new`,
+    {
+      token: user.token,
+      body: { type: 'blocked-by', issueId: blocked.issueId },
+    }
+  );
+  assert.equal(cycle.status, 400);
+  assert.equal(cycle.body.code, 'link_cycle');
+
+  const refused = await changeStatus(blocked, { status: 'resolved' });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, 'issue_blocked');
+  assert.deepEqual(
+    refused.body.blockers.map((x) => x.issueId),
+    [blocker.issueId]
+  );
+
+  const forced = await changeStatus(blocked, {
+    status: 'resolved',
+    force: true,
+  });
+  assert.equal(forced.status, 200);
+  assert.ok(forced.body.warning);
+
+  const other = await api.createIssue(user.token, project.projectId);
+  await api.request(
+    'PUT',
+    `/project/${project.projectId}/issue/${other.issueId}/link/new`,
+    {
+      token: user.token,
+      body: { type: 'blocked-by', issueId: blocker.issueId },
+    }
+  );
+  await changeStatus(blocker, { status: 'closed' });
+  const allowed = await changeStatus(other, { status: 'resolved' });
+  assert.equal(allowed.status, 200);
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startServer, createClient } from './helpers.js';
+
+const adminEmail = 'admin@example.com';
+
+let dir;
+let env;
+let server;
+let api;
+let admin;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'issue-tracker-'));
+  env = {
+    STORAGE_DRIVER: 'file',
+    STORAGE_FILE: path.join(dir, 'db.json'),
+    AUTH_ADMIN_EMAILS: JSON.stringify([adminEmail]),
+    NODE_CONFIG: JSON.stringify({
+      loginThrottle: { maxFailuresPerAccount: 3, maxFailuresPerIp: 100 },
+    }),
+  };
+  server = await startServer(env);
+  api = createClient(server.baseUrl);
+  admin = await api.register(adminEmail);
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Try to log in.
+ * @param {string} email
+ * @param {string} password
+ */
+function login(email, password) {
+  return api.request('POST', '/auth/login', { body: { email, password } });
+}
+
+test('too many failed logins lock the account out, even after a restart', async () => {
+  const user = await api.register();
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await login(user.email, 'wrong')).status, 400);
+  }
+  const locked = await login(user.email, 'password1');
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, 'login_locked_out');
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+  // the failures are kept in the store, rather than in the server
+  await server.stop();
+  server = await startServer(env);
+  api = createClient(server.baseUrl);
+  assert.equal((await login(user.email, 'password1')).status, 429);
+});
+
+test('admins can list and clear lockouts', async () => {
+  const user = await api.register();
+  for (let i = 0; i < 3; i++) {
+    await login(user.email, 'wrong');
+  }
+
+  const list = await api.request('GET', '/admin/lockout/list', {
+    token: admin.token,
+  });
+  assert.equal(list.status, 200, JSON.stringify(list.body));
+  const key = 'account:' + user.email;
+  assert.ok(list.body.some((lockout) => lockout.key === key));
+
+  const cleared = await api.request(
+    'DELETE',
+    `/admin/lockout/${encodeURIComponent(key)}`,
+    { token: admin.token }
+  );
+  assert.equal(cleared.status, 200, JSON.stringify(cleared.body));
+  assert.equal((await login(user.email, 'password1')).status, 200);
+
+  const again = await api.request(
+    'DELETE',
+    `/admin/lockout/${encodeURIComponent(key)}`,
+    { token: admin.token }
+  );
+  assert.equal(again.status, 404);
+});
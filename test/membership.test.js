@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let owner;
+let project;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  owner = await api.register();
+  project = await api.createProject(owner.token);
+});
+
+after(() => server && server.stop());
+
+test('only members can see a project', async () => {
+  const stranger = await api.register();
+  const res = await api.request('GET', `/project/${project.projectId}`, {
+    token: stranger.token,
+  });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'permission_denied');
+
+  const list = await api.request('GET', '/project/list', {
+    token: stranger.token,
+  });
+  assert.deepEqual(list.body.items, []);
+});
+
+test('each role has its own permissions', async () => {
+  const viewer = await api.register();
+  const added = await api.request(
+    'PUT',
+    `/project/${project.projectId}/member/new`,
+    { token: owner.token, body: { email: viewer.email, role: 'viewer' } }
+  );
+  assert.equal(added.status, 200, JSON.stringify(added.body));
+
+  const read = await api.request('GET', `/project/${project.projectId}`, {
+    token: viewer.token,
+  });
+  assert.equal(read.status, 200);
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/issue/new`,
+    {
+      token: viewer.token,
+      body: { title: 'Issue', description: 'An issue.', priority: 'low' },
+    }
+  );
+  assert.equal(res.status, 403);
+  assert.equal(res.body.permission, 'issue:create');
+});
+
+test('projects from before membership are given their creator as owner', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'issue-tracker-'));
+  const file = path.join(dir, 'db.json');
+  const env = { STORAGE_DRIVER: 'file', STORAGE_FILE: file };
+  try {
+    // create a project, then take away its members, as if it was created
+    // by an older version of the API, which only recorded createdBy
+    let fileServer = await startServer(env);
+    const fileApi = createClient(fileServer.baseUrl);
+    const creator = await fileApi.register();
+    const oldProject = await fileApi.createProject(creator.token);
+    await fileServer.stop();
+
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    const stored = data.Projects.find((x) => x.id === oldProject.projectId);
+    delete stored.members;
+    delete stored.memberIds;
+    await fs.writeFile(file, JSON.stringify(data));
+
+    fileServer = await startServer(env);
+    try {
+      const migratedApi = createClient(fileServer.baseUrl);
+      const read = await migratedApi.request(
+        'GET',
+        `/project/${oldProject.projectId}`,
+        { token: creator.token }
+      );
+      assert.equal(read.status, 200, JSON.stringify(read.body));
+      assert.deepEqual(
+        read.body.members.map((member) => [member.userId, member.role]),
+        [[creator.userId, 'owner']]
+      );
+      const list = await migratedApi.request('GET', '/project/list', {
+        token: creator.token,
+      });
+      assert.deepEqual(
+        list.body.items.map((x) => x.projectId),
+        [oldProject.projectId]
+      );
+    } finally {
+      await fileServer.stop();
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
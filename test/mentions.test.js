@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let owner;
+let member;
+let project;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  owner = await api.register();
+  member = await api.register();
+  project = await api.createProject(owner.token);
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/member/new`,
+    { token: owner.token, body: { email: member.email, role: 'reporter' } }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+});
+
+after(() => server && server.stop());
+
+test('members are mentioned, and can list where they were', async () => {
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/issue/new`,
+    {
+      token: owner.token,
+      body: {
+        title: 'Mention',
+        description: `Please look at this, @${member.email}.`,
+        priority: 'low',
+      },
+    }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.warning, undefined);
+  const issue = res.body.resource;
+  assert.deepEqual(issue.mentions, [
+    { text: member.email, userId: member.userId, email: member.email },
+  ]);
+  assert.match(issue.descriptionHtml, new RegExp(`>@${member.email}</`));
+
+  const list = await api.request('GET', '/mention/list', {
+    token: member.token,
+  });
+  assert.equal(list.status, 200, JSON.stringify(list.body));
+  assert.deepEqual(
+    list.body.items.map((x) => [x.type, x.issueId]),
+    [['Issue', issue.issueId]]
+  );
+});
+
+test('non-members are not told apart from unregistered emails', async () => {
+  const stranger = await api.register();
+  const issue = await api.createIssue(owner.token, project.projectId);
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/issue/${issue.issueId}/comment/new`,
+    {
+      token: owner.token,
+      body: { text: `@${stranger.email} and @nobody.at.all@example.com` },
+    }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(res.body.unresolvedMentions, [
+    { text: stranger.email, reason: 'notMember' },
+    { text: 'nobody.at.all@example.com', reason: 'notMember' },
+  ]);
+  assert.deepEqual(res.body.resource.mentions, []);
+});
@@ -0,0 +1,161 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let owner;
+let member;
+let project;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  owner = await api.register();
+  member = await api.register();
+  project = await api.createProject(owner.token);
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/member/new`,
+    { token: owner.token, body: { email: member.email, role: 'reporter' } }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+});
+
+after(() => server && server.stop());
+
+/**
+ * Send a request, and check that it succeeded.
+ * @param {any} user
+ * @param {string} method
+ * @param {string} path
+ * @param {any} body
+ * @returns {Promise<any>} the response body
+ */
+async function send(user, method, path, body) {
+  const res = await api.request(method, path, { token: user.token, body });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+/**
+ * Add a comment to an issue.
+ * @param {any} user
+ * @param {any} issue
+ */
+function addComment(user, issue) {
+  return send(
+    user,
+    'PUT',
+    `/project/${issue.projectId}/issue/${issue.issueId}/comment/new`,
+    { text: 'A comment.' }
+  );
+}
+
+/**
+ * Wait for a user to have a number of unread notifications,
+ * as they are sent in the background, and then list them.
+ * @param {any} user
+ * @param {number} count
+ * @returns {Promise<any[]>} the unread notifications, oldest first
+ */
+async function waitForUnread(user, count) {
+  let items = [];
+  for (let i = 0; i < 50 && items.length < count; i++) {
+    if (i) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    items = (await send(user, 'GET', '/notification/list?unread=true')).items;
+  }
+  return items.reverse();
+}
+
+/**
+ * Mark all of a user's notifications as read.
+ * @param {any} user
+ */
+function readAll(user) {
+  return send(user, 'PUT', '/notification/read-all');
+}
+
+test('watching a project notifies of its new issues', async () => {
+  await send(member, 'PUT', `/project/${project.projectId}/watch`);
+  const issue = await api.createIssue(owner.token, project.projectId);
+
+  const notifications = await waitForUnread(member, 1);
+  assert.deepEqual(
+    notifications.map((x) => [x.event, x.reason, x.issueId]),
+    [['issue.created', 'watchingProject', issue.issueId]]
+  );
+  const count = await send(member, 'GET', '/notification/count');
+  assert.equal(count.unread, 1);
+
+  await send(member, 'PUT', `/notification/${notifications[0].id}/read`);
+  assert.equal((await send(member, 'GET', '/notification/count')).unread, 0);
+
+  // users are not notified of their own changes
+  assert.equal((await send(owner, 'GET', '/notification/count')).unread, 0);
+  await send(member, 'DELETE', `/project/${project.projectId}/watch`);
+});
+
+test('unwatching an issue stops the notifications of its creator', async () => {
+  await readAll(member);
+  const mine = await api.createIssue(member.token, project.projectId);
+  const other = await api.createIssue(owner.token, project.projectId);
+  await send(
+    member,
+    'PUT',
+    `/project/${project.projectId}/issue/${other.issueId}/watch`
+  );
+  const watch = await send(
+    member,
+    'GET',
+    `/project/${project.projectId}/issue/${mine.issueId}/watch`
+  );
+  assert.equal(watch.reason, 'creator');
+
+  await addComment(owner, mine);
+  const first = await waitForUnread(member, 1);
+  assert.deepEqual(
+    first.map((x) => [x.event, x.reason, x.issueId]),
+    [['comment.created', 'creator', mine.issueId]]
+  );
+  await readAll(member);
+
+  await send(
+    member,
+    'DELETE',
+    `/project/${project.projectId}/issue/${mine.issueId}/watch`
+  );
+  await addComment(owner, mine);
+  // notifications are sent in order, so once this one has arrived,
+  // the one for the unwatched issue would have too
+  await addComment(owner, other);
+  const second = await waitForUnread(member, 1);
+  assert.deepEqual(
+    second.map((x) => [x.event, x.reason, x.issueId]),
+    [['comment.created', 'watching', other.issueId]]
+  );
+});
+
+test('each user chooses which events notify them', async () => {
+  await readAll(member);
+  const issue = await api.createIssue(member.token, project.projectId);
+  const res = await send(member, 'PUT', '/notification/preferences', {
+    'comment.created': false,
+  });
+  assert.equal(res.preferences['comment.created'], false);
+
+  await addComment(owner, issue);
+  await send(
+    owner,
+    'PUT',
+    `/project/${project.projectId}/issue/${issue.issueId}`,
+    { title: 'Changed', description: 'An issue.', priority: 'low' }
+  );
+  const notifications = await waitForUnread(member, 1);
+  assert.deepEqual(
+    notifications.map((x) => [x.event, x.reason]),
+    [['issue.updated', 'creator']]
+  );
+});
@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+
+before(async () => {
+  // log the responses that do not match the document
+  server = await startServer({ DEBUG: 'app:middleware:openapi' });
+  api = createClient(server.baseUrl);
+});
+
+after(() => server && server.stop());
+
+test('the document describes every route', async () => {
+  const res = await api.request('GET', '/openapi.json');
+  assert.equal(res.status, 200);
+  const doc = res.body;
+  assert.equal(doc.openapi, '3.1.0');
+  assert.ok(doc.components.securitySchemes.bearerAuth);
+
+  const paths = Object.keys(doc.paths);
+  for (const path of [
+    '/api/auth/login',
+    '/api/project/list',
+    '/api/project/{projectId}/issue/{issueId}',
+    '/api/search',
+  ]) {
+    assert.ok(paths.includes(path), path);
+  }
+  for (const path of paths) {
+    for (const [method, operation] of Object.entries(doc.paths[path])) {
+      assert.ok(operation.responses, `${method} ${path}`);
+    }
+  }
+  assert.match(
+    doc.paths['/api/project/{projectId}/issue/new'].put.description,
+    /`issue:create` permission/
+  );
+});
+
+test('the docs page loads Swagger UI with a nonce', async () => {
+  const res = await fetch(`${server.baseUrl}/api/docs`);
+  assert.equal(res.status, 200);
+  const csp = res.headers.get('content-security-policy');
+  const [, nonce] = csp.match(/'nonce-([^']+)'/);
+  assert.ok((await res.text()).includes(`<script nonce="${nonce}">`));
+});
+
+test('the responses match the document', async () => {
+  const user = await api.register();
+  const project = await api.createProject(user.token);
+  const issue = await api.createIssue(user.token, project.projectId);
+  const projectPath = `/project/${project.projectId}`;
+  const issuePath = `${projectPath}/issue/${issue.issueId}`;
+  const requests = [
+    ['GET', '/auth/me'],
+    ['GET', '/project/list'],
+    ['GET', projectPath],
+    ['PUT', `${projectPath}/label/new`, { name: 'Bug', color: '#ff0000' }],
+    ['GET', `${projectPath}/label/list`],
+    ['GET', `${projectPath}/member/list`],
+    ['GET', `${projectPath}/issue/list`],
+    ['GET', issuePath],
+    ['PUT', `${issuePath}/status`, { status: 'in-progress' }],
+    ['PUT', `${issuePath}/comment/new`, { text: 'A comment.' }],
+    ['GET', `${issuePath}/comment/list`],
+    ['GET', `${issuePath}/history`],
+    ['GET', `${projectPath}/stats`],
+    ['GET', `${projectPath}/trash/list`],
+    ['GET', '/search?q=issue'],
+    ['GET', '/notification/list'],
+    ['GET', '/mention/list'],
+    // errors
+    ['GET', `${projectPath}/issue/nonsense`],
+    ['PUT', `${projectPath}/issue/new`, {}],
+  ];
+  for (const [method, path, body] of requests) {
+    const res = await api.request(method, path, { token: user.token, body });
+    assert.ok(res.status < 500, `${method} ${path} ${res.status}`);
+  }
+
+  // give the server a moment to write its log
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.doesNotMatch(server.getOutput(), /does not match the OpenAPI/);
+});
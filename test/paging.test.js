@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let user;
+let project;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  user = await api.register();
+  project = await api.createProject(user.token);
+  for (let i = 1; i <= 5; i++) {
+    await api.createIssue(user.token, project.projectId, {
+      title: `Zebra ${i}`,
+    });
+  }
+});
+
+after(() => server && server.stop());
+
+/**
+ * Read every page of a list, following the continuation tokens.
+ * @param {(token: string|null) => string} pathOf the path of a page
+ * @param {string} field the field that holds the items of a page
+ * @returns {Promise<any[][]>} the items of each page
+ */
+async function readAllPages(pathOf, field = 'items') {
+  const pages = [];
+  let continuationToken = null;
+  do {
+    const res = await api.request('GET', pathOf(continuationToken), {
+      token: user.token,
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    pages.push(res.body[field]);
+    continuationToken = res.body.continuationToken;
+  } while (continuationToken && pages.length < 10);
+  return pages;
+}
+
+test('issue lists are paged with continuation tokens', async () => {
+  const pages = await readAllPages(
+    (token) =>
+      `/project/${project.projectId}/issue/list?pageSize=2` +
+      (token ? `&continuationToken=${encodeURIComponent(token)}` : '')
+  );
+  assert.deepEqual(
+    pages.map((page) => page.length),
+    [2, 2, 1]
+  );
+  const ids = pages.flat().map((issue) => issue.issueId);
+  assert.equal(new Set(ids).size, 5);
+});
+
+test('a bad continuation token is refused', async () => {
+  const res = await api.request(
+    'GET',
+    `/project/${project.projectId}/issue/list?continuationToken=nonsense`,
+    { token: user.token }
+  );
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'invalid_continuation_token');
+});
+
+test('search results are paged, newest first, without repeats', async () => {
+  const pages = await readAllPages(
+    (token) =>
+      '/search?q=type:issue+zebra&limit=2&sort=recent' +
+      (token ? `&continuationToken=${encodeURIComponent(token)}` : ''),
+    'results'
+  );
+  const titles = pages.flat().map((result) => result.title);
+  assert.deepEqual(titles, [
+    'Zebra 5',
+    'Zebra 4',
+    'Zebra 3',
+    'Zebra 2',
+    'Zebra 1',
+  ]);
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let user;
+let project;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  user = await api.register();
+  project = await api.createProject(user.token);
+});
+
+after(() => server && server.stop());
+
+/**
+ * Search, and return the results.
+ * @param {string} q
+ * @returns {Promise<any[]>}
+ */
+async function search(q) {
+  const res = await api.request('GET', `/search?q=${encodeURIComponent(q)}`, {
+    token: user.token,
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.results;
+}
+
+test('results are ordered by relevance', async () => {
+  await api.createIssue(user.token, project.projectId, {
+    title: 'Crash',
+    description: 'It crashes.',
+  });
+  await api.createIssue(user.token, project.projectId, {
+    title: 'Slow start',
+    description: 'Loading is slow, then a crash.',
+  });
+
+  const results = await search('type:issue crash');
+  assert.deepEqual(
+    results.map((result) => result.title),
+    ['Crash', 'Slow start']
+  );
+  assert.ok(results[0].score > results[1].score);
+});
+
+test('comments have the title of their issue', async () => {
+  const issue = await api.createIssue(user.token, project.projectId, {
+    title: 'Broken link',
+  });
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/issue/${issue.issueId}/comment/new`,
+    { token: user.token, body: { text: 'The footer link is a platypus.' } }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const results = await search('platypus');
+  assert.deepEqual(
+    results.map((result) => [result.type, result.title]),
+    [['Comment', 'Broken link']]
+  );
+  assert.match(results[0].highlights.text, /<mark>platypus<\/mark>/);
+});
@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let user;
+let project;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  user = await api.register();
+  project = await api.createProject(user.token);
+  const urgent = await api.createIssue(user.token, project.projectId, {
+    title: 'Urgent',
+    priority: 'high',
+  });
+  await api.createIssue(user.token, project.projectId, { title: 'Later' });
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/issue/${urgent.issueId}/status`,
+    { token: user.token, body: { status: 'resolved' } }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+});
+
+after(() => server && server.stop());
+
+/**
+ * Read some stats of the project.
+ * @param {string} path under /stats
+ * @returns {Promise<any>}
+ */
+async function getStats(path) {
+  const res = await api.request(
+    'GET',
+    `/project/${project.projectId}/stats${path}`,
+    { token: user.token }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+test('issues are counted by status, priority and week', async () => {
+  const stats = await getStats('?weeks=2&oldest=1');
+  assert.deepEqual(stats.totals, { open: 1, closed: 1, total: 2 });
+  assert.deepEqual(_byPriority(stats.byPriority), [
+    { priority: 'high', open: 0, closed: 1 },
+    { priority: 'low', open: 1, closed: 0 },
+  ]);
+  assert.equal(stats.weekly.length, 2);
+  assert.deepEqual(
+    { created: stats.weekly[1].created, resolved: stats.weekly[1].resolved },
+    { created: 2, resolved: 1 }
+  );
+  assert.equal(stats.resolution.count, 1);
+  assert.deepEqual(
+    stats.oldestOpen.map((issue) => issue.title),
+    ['Later']
+  );
+});
+
+test('the burndown counts the issues open at the end of each day', async () => {
+  const burndown = await getStats('/burndown');
+  assert.equal(burndown.rows.length, 30);
+  const today = burndown.rows[burndown.rows.length - 1];
+  assert.deepEqual(
+    { created: today.created, resolved: today.resolved, open: today.open },
+    { created: 2, resolved: 1, open: 1 }
+  );
+
+  const res = await fetch(
+    `${server.baseUrl}/api/project/${project.projectId}/stats/burndown?format=csv`,
+    { headers: { Authorization: `Bearer ${user.token}` } }
+  );
+  assert.match(res.headers.get('content-type'), /^text\/csv/);
+  const lines = (await res.text()).trim().split(/\r?\n/);
+  assert.equal(lines[0], 'date,created,resolved,open,ideal');
+  assert.equal(lines.length, 31);
+});
+
+test('a burndown over more than a year is refused', async () => {
+  const res = await api.request(
+    'GET',
+    `/project/${project.projectId}/stats/burndown?from=2020-01-01&to=2022-01-01`,
+    { token: user.token }
+  );
+  assert.equal(res.status, 400, JSON.stringify(res.body));
+});
+
+/**
+ * Sort the counts by priority, as their order is not fixed.
+ * @param {any[]} counts
+ * @returns {any[]}
+ */
+function _byPriority(counts) {
+  return [...counts].sort((a, b) => a.priority.localeCompare(b.priority));
+}
@@ -0,0 +1,161 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createClient } from './helpers.js';
+
+let server;
+let api;
+let user;
+let project;
+
+before(async () => {
+  server = await startServer();
+  api = createClient(server.baseUrl);
+  user = await api.register();
+  project = await api.createProject(user.token);
+});
+
+after(() => server && server.stop());
+
+/**
+ * Add a comment to an issue.
+ * @param {any} issue
+ * @param {string} text
+ * @returns {Promise<any>} the comment
+ */
+async function addComment(issue, text) {
+  const res = await api.request(
+    'PUT',
+    `/project/${issue.projectId}/issue/${issue.issueId}/comment/new`,
+    { token: user.token, body: { text } }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.resource;
+}
+
+/**
+ * Send a request as the user, and check that it succeeded.
+ * @param {string} method
+ * @param {string} path
+ * @returns {Promise<any>} the response body
+ */
+async function send(method, path) {
+  const res = await api.request(method, path, { token: user.token });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+/**
+ * List the ids of the items in the trash.
+ * @returns {Promise<string[]>}
+ */
+async function listTrash() {
+  const page = await send('GET', `/project/${project.projectId}/trash/list`);
+  return page.items.map((item) => item.id);
+}
+
+test('a deleted issue goes to the trash, with its comments', async () => {
+  const issue = await api.createIssue(user.token, project.projectId);
+  const comment = await addComment(issue, 'Along for the ride.');
+  const issuePath = `/project/${project.projectId}/issue/${issue.issueId}`;
+
+  await send('DELETE', issuePath);
+  const read = await api.request('GET', issuePath, { token: user.token });
+  assert.equal(read.status, 404);
+  // the comment is restored along with the issue, rather than on its own
+  assert.deepEqual(await listTrash(), [issue.issueId]);
+
+  await send(
+    'PUT',
+    `/project/${project.projectId}/trash/issue/${issue.issueId}/restore`
+  );
+  assert.deepEqual(await listTrash(), []);
+  const comments = await send('GET', `${issuePath}/comment/list`);
+  assert.deepEqual(
+    comments.items.map((x) => x.id),
+    [comment.id]
+  );
+});
+
+test('a deleted comment can be restored on its own', async () => {
+  const issue = await api.createIssue(user.token, project.projectId);
+  const comment = await addComment(issue, 'Oops.');
+  const issuePath = `/project/${project.projectId}/issue/${issue.issueId}`;
+
+  await send('DELETE', `${issuePath}/comment/${comment.id}`);
+  assert.deepEqual(await listTrash(), [comment.id]);
+  await send(
+    'PUT',
+    `/project/${project.projectId}/trash/issue/${issue.issueId}/comment/${comment.id}/restore`
+  );
+  const comments = await send('GET', `${issuePath}/comment/list`);
+  assert.deepEqual(
+    comments.items.map((x) => x.id),
+    [comment.id]
+  );
+});
+
+test('items can be removed from the trash for good', async () => {
+  const first = await api.createIssue(user.token, project.projectId);
+  const second = await api.createIssue(user.token, project.projectId);
+  for (const issue of [first, second]) {
+    await send(
+      'DELETE',
+      `/project/${project.projectId}/issue/${issue.issueId}`
+    );
+  }
+
+  await send(
+    'DELETE',
+    `/project/${project.projectId}/trash/issue/${first.issueId}`
+  );
+  assert.deepEqual(await listTrash(), [second.issueId]);
+  const restore = await api.request(
+    'PUT',
+    `/project/${project.projectId}/trash/issue/${first.issueId}/restore`,
+    { token: user.token }
+  );
+  assert.equal(restore.status, 404);
+
+  await send('DELETE', `/project/${project.projectId}/trash`);
+  assert.deepEqual(await listTrash(), []);
+});
+
+test('items are removed for good once they have been kept long enough', async () => {
+  const purgeServer = await startServer({
+    NODE_CONFIG: JSON.stringify({
+      trash: { retentionInDays: 0, purgeIntervalInMinutes: 0.01 },
+    }),
+  });
+  try {
+    const purgeApi = createClient(purgeServer.baseUrl);
+    const owner = await purgeApi.register();
+    const purgeProject = await purgeApi.createProject(owner.token);
+    const issue = await purgeApi.createIssue(
+      owner.token,
+      purgeProject.projectId
+    );
+    const res = await purgeApi.request(
+      'DELETE',
+      `/project/${purgeProject.projectId}/issue/${issue.issueId}`,
+      { token: owner.token }
+    );
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    let items;
+    for (let i = 0; i < 50; i++) {
+      const page = await purgeApi.request(
+        'GET',
+        `/project/${purgeProject.projectId}/trash/list`,
+        { token: owner.token }
+      );
+      items = page.body.items;
+      if (!items.length) {
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    assert.deepEqual(items, []);
+  } finally {
+    await purgeServer.stop();
+  }
+});
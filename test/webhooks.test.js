@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { startServer, createClient } from './helpers.js';
+
+const secret = 'a-secret-for-testing';
+
+let server;
+let api;
+let user;
+let receiver;
+let receiverUrl;
+const received = [];
+let failuresLeft = 0;
+
+before(async () => {
+  // a local receiver, which records each request along with its raw body
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        res.writeHead(500).end('not yet');
+      } else {
+        res.writeHead(200).end('ok');
+      }
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+  server = await startServer({
+    WEBHOOKS_ALLOW_PRIVATE_HOSTS: 'true',
+    NODE_CONFIG: JSON.stringify({ webhooks: { retryDelayInSeconds: 0.2 } }),
+  });
+  api = createClient(server.baseUrl);
+  user = await api.register();
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+  if (receiver) {
+    receiver.close();
+  }
+});
+
+/**
+ * Wait until the receiver has been sent a number of requests.
+ * @param {number} count
+ */
+async function waitForRequests(count) {
+  for (let i = 0; i < 100 && received.length < count; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.ok(received.length >= count, `${received.length} requests received`);
+}
+
+/**
+ * Subscribe the receiver to the issue events of a new project.
+ * @returns {Promise<{ project: any, webhook: any }>}
+ */
+async function createProjectWithWebhook() {
+  const project = await api.createProject(user.token);
+  const res = await api.request(
+    'PUT',
+    `/project/${project.projectId}/webhook/new`,
+    {
+      token: user.token,
+      body: { url: receiverUrl, events: ['issue.created'], secret },
+    }
+  );
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return { project, webhook: res.body.resource };
+}
+
+test('events are posted to the receiver, signed with the secret', async () => {
+  received.length = 0;
+  const { project } = await createProjectWithWebhook();
+  const issue = await api.createIssue(user.token, project.projectId);
+  await waitForRequests(1);
+
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-webhook-event'], 'issue.created');
+  const expected =
+    'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+  assert.equal(headers['x-webhook-signature'], expected);
+  const payload = JSON.parse(body);
+  assert.equal(payload.id, headers['x-webhook-delivery']);
+  assert.equal(payload.projectId, project.projectId);
+  assert.equal(payload.issueId, issue.issueId);
+  assert.equal(payload.resource.title, issue.title);
+  assert.equal(payload.resource._etag, undefined);
+});
+
+test('failed deliveries are retried', async () => {
+  received.length = 0;
+  failuresLeft = 1;
+  const { project, webhook } = await createProjectWithWebhook();
+  await api.createIssue(user.token, project.projectId);
+  await waitForRequests(2);
+  assert.equal(
+    received[0].headers['x-webhook-delivery'],
+    received[1].headers['x-webhook-delivery']
+  );
+
+  const path = `/project/${project.projectId}/webhook/${webhook.id}/delivery/list`;
+  let delivery;
+  for (let i = 0; i < 20; i++) {
+    const res = await api.request('GET', path, { token: user.token });
+    delivery = res.body.items[0];
+    if (delivery.status !== 'pending') {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.equal(delivery.status, 'delivered');
+  assert.deepEqual(
+    delivery.attempts.map((attempt) => attempt.statusCode),
+    [500, 200]
+  );
+});
+
+test('webhooks cannot be sent to private hosts, unless allowed', async () => {
+  const strictServer = await startServer();
+  try {
+    const strictApi = createClient(strictServer.baseUrl);
+    const owner = await strictApi.register();
+    const project = await strictApi.createProject(owner.token);
+    const res = await strictApi.request(
+      'PUT',
+      `/project/${project.projectId}/webhook/new`,
+      {
+        token: owner.token,
+        body: { url: receiverUrl, events: ['*'] },
+      }
+    );
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'webhook_url_not_allowed');
+  } finally {
+    await strictServer.stop();
+  }
+});